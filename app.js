@@ -0,0 +1,2355 @@
+/**
+ * Clean9ja Telegram Bot v2.1.0
+ * - Multi-language onboarding and localized messages (data/messages.json)
+ * - Phone verification through Twilio Verify (optional) or a mock: E.164/local numbers, one account per phone,
+ *   resend cooldown, attempt lockout and re-verification after verification_days
+ * - Photo scans priced per material (pluggable online/offline classifier), recorded in waste.json
+ * - Pickup orders: accepted scans are paid only after collection and weighing
+ * - Complaint wizard (category, description, photos, location) resolved to state/LGA offline + admin approval + bonus
+ * - Complaint lifecycle (review, forwarded, cleanup, resolved) with /mycomplaints and duplicate-site detection
+ * - Inline Approve/Decline/View buttons on admin notifications for complaints and withdrawals
+ * - Withdrawals to saved, NUBAN-checked bank/mobile-wallet accounts, paid through a payout provider (mock gateway offline)
+ * - Send money to other users by @username or verified phone, with a confirm step, notes and receipts
+ * - /history with type filters and paginated, downloadable CSV/PDF statements
+ * - Referral program (/start ref_<code>), paid once the referee verifies and has a first scan paid
+ * - Admin tools and targeted broadcasts (throttled queue, delivery reports), plus a web dashboard at /admin (sign-in link via /admin dashboard)
+ * - Admin roles (owner, finance, moderator, support) with per-command permissions and a hash-chained audit log
+ * - Risk rules: daily scan/transfer/withdraw limits, velocity checks, holds on money from new accounts, abuse flags, account freeze
+ * - Double-entry wallet ledger (balances derived from transactions.json)
+ * - Per-chat conversation sessions (persisted steps, timeouts, /cancel)
+ * - Scheduled jobs: daily admin digest, verification reminders, expiry of stale withdrawals, OTP cleanup, backups
+ * - Checksummed backups (/admin backup, rotating daily snapshots, offline restore with backup.js) and CSV exports for bookkeeping
+ * - Impact stats: /stats (kg per material, earnings, estimated CO₂ saved), LGA leaderboards, /admin stats and a public /api/stats for the homepage (served at /)
+ * - Runtime settings (data/settings.json + meta.json) editable via /admin settings
+ * - Polling or webhook mode (settings.mode), webhook served from the Express app
+ * - Atomic, queued storage (JSON files or MongoDB) that refuses to start on corrupted data
+ *
+ * createApp() wires all of this onto an injected Telegram client (node-telegram-bot-api or a fake with
+ * the same methods), storage backend and verify service, so the whole bot runs offline in tests.
+ * bot.js is the entry point that builds the real client.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const express = require("express");
+const store = require("./storage");
+const defaultVerify = require("./verify");
+const convo = require("./conversation");
+const ledger = require("./ledger");
+const config = require("./config");
+const audit = require("./audit");
+const i18n = require("./i18n");
+const classifier = require("./classifier");
+const pickups = require("./pickups");
+const payouts = require("./payouts");
+const destinations = require("./destinations");
+const referrals = require("./referrals");
+const webhook = require("./webhook");
+const geo = require("./geo");
+const complaints = require("./complaints");
+const dashboard = require("./dashboard");
+const roles = require("./roles");
+const risk = require("./risk");
+const statements = require("./statements");
+const mockVerify = require("./mock-twilio");
+const { createScheduler, JobError } = require("./scheduler");
+const broadcasts = require("./broadcasts");
+const backup = require("./backup");
+const { newId } = require("./ids");
+const stats = require("./stats");
+
+
+// === DATA (collections live in storage.js; json files in ./data by default) ===
+const COLLECTIONS = {
+  users: [],
+  transactions: [],
+  admin: { admins: [], collectors: [], roles: {} },
+  withdrawals: [],
+  otp_store: {},
+  otp_limits: {},
+  complaints: [],
+  sessions: {},
+  settings: {},
+  meta: {},
+  audit: [],
+  waste: [],
+  pickups: [],
+  payout_mock: {},
+  destinations: [],
+  referrals: [],
+  jobs: {},
+  broadcasts: [],
+  risk_flags: [],
+  holds: [],
+};
+
+/**
+ * bot             Telegram client (node-telegram-bot-api TelegramBot, created with polling: false)
+ * storage         storage backend (storage.jsonBackend(), memoryBackend(), ...); STORAGE_BACKEND picks one when omitted
+ * verify          phone verification service with the verify.js interface
+ * token           bot token, used for the webhook path and secret
+ * port            Express port; null to not listen (tests)
+ * polling         start polling in POLLING mode
+ * initAdminId     first admin when admin.json has none
+ * now             clock for the scheduled jobs
+ * backupDir       where /admin backup and the backup job write archives
+ * onTelegramStatus(status) hears about every Telegram connection check
+ * Returns { bot, app, jobs, broadcaster, telegramStatus, address, start, stop }.
+ */
+function createApp({
+  bot,
+  storage: backend,
+  verify = defaultVerify,
+  token = "",
+  port = 8080,
+  polling = true,
+  initAdminId = null,
+  now = Date.now,
+  backupDir = backup.BACKUP_DIR,
+  onTelegramStatus = () => {},
+}) {
+
+  function getUsers() { return store.get("users"); }
+  function saveUsers(u) { store.set("users", u); }
+  function getAdminCfg() { return store.get("admin"); }
+  function saveAdminCfg(c) { store.set("admin", c); }
+  function getWithdrawals() { return store.get("withdrawals"); }
+  function saveWithdrawals(w) { store.set("withdrawals", w); }
+  function getComplaints() { return store.get("complaints"); }
+  function saveComplaints(c) { store.set("complaints", c); }
+  function getWaste() { return store.get("waste"); }
+  function saveWaste(w) { store.set("waste", w); }
+
+  // utilities
+  function findUser(id) { return getUsers().find(u => u.id === id); }
+  // the account that verified this (normalized) phone
+  function findUserByPhone(phone) { return getUsers().find(u => u.verified && verify.normalizePhone(u.phone) === phone); }
+  function findUserByUsername(un) { if (!un) return null; if (un.startsWith("@")) un = un.slice(1); return getUsers().find(u => u.username === un); }
+  function upsertUser(obj) {
+    const users = getUsers();
+    const idx = users.findIndex(u => u.id === obj.id);
+    if (idx === -1) users.push({ createdAt: new Date().toISOString(), ...obj }); else users[idx] = { ...users[idx], ...obj };
+    saveUsers(users);
+  }
+
+  // wallet balance as derived from the ledger
+  function walletBalance(userId) { return ledger.balanceOf(ledger.userAccount(userId)); }
+  // refresh the cached users.json balance from the ledger
+  function syncBalance(userId) {
+    const users = getUsers();
+    const idx = users.findIndex(u => u.id === userId);
+    const bal = walletBalance(userId);
+    if (idx !== -1) { users[idx].balance = bal; saveUsers(users); }
+    return bal;
+  }
+  // post a ledger transfer and re-sync every user account it touched
+  function moveMoney(entry) {
+    const e = ledger.transfer(entry);
+    for (const p of e.postings) { const uid = ledger.userIdOf(p.account); if (uid !== null) syncBalance(uid); }
+    return e;
+  }
+
+  // === LANGUAGE helpers ===
+  // the chat's chosen language, else settings.default_language
+  function userLang(chatId) {
+    const u = findUser(chatId);
+    return (u && u.lang) || config.get("default_language");
+  }
+  // localized text for a chat (see i18n.js)
+  function tr(chatId, key, vars) { return i18n.t(userLang(chatId), key, vars); }
+
+  function languageKeyboard() {
+    const langButtons = config.get("languages").map(k => ({ text: i18n.languageName(k), callback_data: `lang_${k}` }));
+    const inline = [];
+    for (let i=0;i<langButtons.length;i+=2) inline.push(langButtons.slice(i, i+2));
+    return { reply_markup: { inline_keyboard: inline } };
+  }
+
+  // polling or the webhook begins once storage is loaded, see start()
+  bot.on("polling_error", (err) => {
+    console.error("[polling_error]", err);
+    // Log but don't crash; if you see ETELEGRAM 409, only one instance should run.
+    lastPollingError = Date.now();
+    setTelegramStatus(false, err.message);
+  });
+
+  // --------------------- Telegram connection ---------------------
+  // checked by the "telegram_check" job and reported to the supervisor (server.js) when there is one
+  const telegramStatus = { connected: false, mode: null, error: null, checkedAt: null };
+  let lastPollingError = 0;
+
+  function setTelegramStatus(connected, error = null) {
+    Object.assign(telegramStatus, { connected, error, checkedAt: new Date().toISOString() });
+    onTelegramStatus({ ...telegramStatus });
+  }
+
+  // getMe answers even while polling is refused (409), so a recent polling error still counts as down
+  async function checkTelegram(now) {
+    try {
+      await bot.getMe();
+      const pollingFailing = now - lastPollingError < 60 * 1000;
+      const webhookMissing = telegramStatus.mode === "webhook" && !webhookActive;
+      setTelegramStatus(!pollingFailing && !webhookMissing, pollingFailing ? telegramStatus.error : webhookMissing ? "webhook not registered" : null);
+    } catch (e) {
+      setTelegramStatus(false, e.message);
+    }
+    return { connected: telegramStatus.connected };
+  }
+
+  // express health
+  const app = express();
+  app.get("/health", (req, res) => res.json({ status: "ok", telegram: telegramStatus }));
+
+  // live counters for the homepage; aggregates only, rebuilt at most once a minute. CORS lets a copy of the
+  // homepage hosted elsewhere point its clean9ja-stats-url meta tag here
+  let publicStats = null;
+  app.get("/api/stats", (req, res) => {
+    if (!publicStats || Date.now() - publicStats.at > 60 * 1000) publicStats = { at: Date.now(), body: stats.summary() };
+    res.set({ "Access-Control-Allow-Origin": "*", "Cache-Control": "public, max-age=60" }).json(publicStats.body);
+  });
+  // the homepage itself, so its counters read /api/stats from the same origin
+  app.use(express.static(path.join(__dirname, "homepage")));
+
+  // payout provider callbacks (see payouts.js); the signature covers the raw body
+  app.post("/payouts/webhook", express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }), (req, res) => {
+    if (!payouts.verifySignature(req.rawBody, req.get("X-Payout-Signature"))) return res.status(401).json({ error: "bad signature" });
+    const { reference, status } = req.body || {};
+    if (!reference || !status) return res.status(400).json({ error: "reference and status are required" });
+    const result = applyPayoutResult(req.body);
+    if (result === "unknown") return res.status(404).json({ error: "unknown reference" });
+    return res.json({ ok: true, result });
+  });
+
+  // admin web dashboard (see dashboard.js); actions go through the same functions as /admin commands
+  dashboard.mount(app, {
+    bot,
+    can: roles.can,
+    adminName,
+    reviewAction,
+    complaintStatus: adminComplaintStatus,
+    complaintNote: adminComplaintNote,
+    setSetting: applySetting,
+    describeDestination,
+    describeArea,
+  });
+
+  // menu markup helper (labels in the chat's language; the message handler maps them back via i18n.menuAction)
+  function mainMenu(chatId) {
+    const lang = userLang(chatId);
+    const label = (key) => ({ text: i18n.t(lang, key) });
+    return {
+      reply_markup: {
+        keyboard: [
+          [label("menu_scan"), label("menu_balance")],
+          [label("menu_withdraw"), label("menu_verify")],
+          [label("menu_complaints"), label("menu_send")],
+          [label("menu_menu"), label("menu_help")]
+        ],
+        resize_keyboard: true
+      }
+    };
+  }
+
+  // === /start ===
+  bot.onText(/^\/start\b(?:\s+(\S+))?/, (msg, match) => {
+    const chatId = msg.chat.id;
+    convo.end(chatId); // restarting onboarding abandons any flow in progress
+    const code = referrals.parsePayload(match && match[1]);
+    if (code) handleReferralStart(chatId, code, msg.from);
+    const user = findUser(chatId);
+    if (!user) {
+      // prompt language
+      bot.sendMessage(chatId, i18n.t(config.get("default_language"), "choose_language"), languageKeyboard());
+      return;
+    }
+    bot.sendMessage(chatId, tr(chatId, "choose_option") + "\n\n" + tr(chatId, "welcome") + reverifyLine(chatId), mainMenu(chatId));
+  });
+
+  // /language - pick another language at any time
+  bot.onText(/^\/language\b/, (msg) => {
+    bot.sendMessage(msg.chat.id, tr(msg.chat.id, "choose_language"), languageKeyboard());
+  });
+
+  // language selection
+  bot.on("callback_query", (q) => {
+    try {
+      const chatId = q.message.chat.id;
+      const data = q.data || "";
+      if (data.startsWith("lang_")) {
+        const lang = data.split("_")[1];
+        if (!config.get("languages").includes(lang)) return bot.answerCallbackQuery(q.id);
+        // existing users (via /language) keep their wallet and verification
+        if (findUser(chatId)) upsertUser({ id: chatId, lang });
+        else upsertUser({ id: chatId, lang, verified: false, balance: 0, username: q.from.username || null });
+        bot.answerCallbackQuery(q.id, { text: i18n.t(lang, "language_set", { language: i18n.languageName(lang) }) });
+        bot.sendMessage(chatId, i18n.t(lang, "welcome"), mainMenu(chatId));
+      } else if (REVIEW_PATTERN.test(data)) {
+        handleReviewCallback(q, data.match(REVIEW_PATTERN)).catch(e => console.error("review callback error", e));
+      } else if (SEND_PATTERN.test(data)) {
+        handleSendCallback(q, data.match(SEND_PATTERN)).catch(e => console.error("send callback error", e));
+      } else if (HISTORY_PATTERN.test(data)) {
+        handleHistoryCallback(q, data.match(HISTORY_PATTERN)).catch(e => console.error("history callback error", e));
+      } else if (STATEMENT_PATTERN.test(data)) {
+        sendStatement(q, data.match(STATEMENT_PATTERN)).catch(e => console.error("statement error", e));
+      } else if (BROADCAST_PATTERN.test(data)) {
+        handleBroadcastCallback(q, data.match(BROADCAST_PATTERN)).catch(e => console.error("broadcast callback error", e));
+      }
+    } catch (e) {
+      console.error("callback_query error", e);
+    }
+  });
+
+  // Generic message handler (menu + commands + conversation dispatcher)
+  bot.on("message", async (msg) => {
+    const chatId = msg.chat.id;
+    const text = (msg.text || "").trim();
+
+    // Keep usernames up-to-date
+    if (msg.from && msg.from.username) {
+      const u = findUser(chatId) || { id: chatId, balance: 0, verified: false };
+      u.username = msg.from.username;
+      upsertUser(u);
+    }
+    // someone who blocked the bot and writes again gets broadcasts again
+    if ((findUser(chatId) || {}).inactive) upsertUser({ id: chatId, inactive: null });
+
+    // /start and /language are answered by bot.onText above
+    if (/^\/(start|language)\b/.test(text)) return;
+
+    // global /cancel: abandons whatever flow the chat is in
+    if (text === "/cancel") {
+      const s = convo.end(chatId);
+      if (s) return bot.sendMessage(chatId, tr(chatId, "cancelled", { flow: tr(chatId, `flow_${s.flow}`) }), mainMenu(chatId));
+      return bot.sendMessage(chatId, tr(chatId, "nothing_to_cancel"), mainMenu(chatId));
+    }
+
+    // Commands & menu options (menu labels are matched in every language):
+    const action = i18n.menuAction(text);
+    if (action === "menu" || text === "/menu") return bot.sendMessage(chatId, tr(chatId, "choose_option"), mainMenu(chatId));
+    if (action === "help" || text === "/help") {
+      const labels = {};
+      for (const key of i18n.MENU_KEYS) labels[key] = tr(chatId, key);
+      return bot.sendMessage(chatId, tr(chatId, "help", labels));
+    }
+
+    if (text === "/orders") return showOrders(chatId);
+    if (text.startsWith("/history")) return showHistory(chatId, text.split(/\s+/).slice(1));
+    if (text.startsWith("/mycomplaints")) return showMyComplaints(chatId, text.split(/\s+/)[1]);
+    if (text === "/referral") return showReferral(chatId);
+    if (text === "/stats") return showStats(chatId);
+    if (text === "/leaderboard") return showLeaderboard(chatId);
+    if (text === "/banks") return showBanks(chatId);
+    if (text === "/accounts") return showDestinations(chatId);
+
+    if (action === "balance" || text === "/balance") {
+      const bal = walletBalance(chatId).toFixed(2);
+      const held = risk.heldAmount(chatId);
+      const heldLine = held > 0 ? "\n" + tr(chatId, "balance_held", { held: held.toFixed(2), available: risk.available(chatId).toFixed(2) }) : "";
+      return bot.sendMessage(chatId, tr(chatId, "balance", { balance: bal }) + heldLine + reverifyLine(chatId));
+    }
+
+    // frozen accounts can still look things up (above), but every flow and action below is blocked
+    if (risk.isFrozen(chatId) && !text.startsWith("/admin")) {
+      convo.end(chatId);
+      return bot.sendMessage(chatId, tr(chatId, "account_frozen"), mainMenu(chatId));
+    }
+
+    if (text === "/addaccount") return startPayoutFlow(chatId);
+    if (text.startsWith("/removeaccount")) return removeDestination(chatId, text.split(/\s+/)[1]);
+    if (text.startsWith("/collector")) return handleCollectorCommand(chatId, text);
+
+    // starting a flow replaces any flow already in progress for this chat
+    if (action === "verify" || text === "/verify") return startVerificationFlow(chatId);
+    if (action === "scan" || text === "/scan") return handleScan(chatId);
+    if (action === "withdraw" || text === "/withdraw") return startWithdrawFlow(chatId);
+    if (action === "complaints" || text === "/complaints") return startComplaintFlow(chatId);
+    if (action === "send" || text === "/send") return startSendMoneyFlow(chatId);
+    if (text.startsWith("/admin")) return handleAdminCommand(chatId, text);
+
+    // mid-flow replies (including photos/locations) go to the current step
+    if (await dispatchStep(chatId, msg)) return;
+
+    // ignore forwarded messages without text etc.
+    if (!text) return;
+
+    // Fallback: keep menu friendly
+    const u = findUser(chatId);
+    if (u) return bot.sendMessage(chatId, tr(chatId, "unknown_command"), mainMenu(chatId));
+    return bot.sendMessage(chatId, tr(chatId, "send_start"));
+  });
+
+  // --------------------- Conversation dispatcher ---------------------
+  // Flows are declared as steps: FLOWS[flow][step](chatId, msg, session). A step either moves the
+  // chat on with convo.advance(), finishes with convo.end(), or leaves the session as-is to re-ask.
+  const FLOWS = {
+    verify: { phone: verifyPhoneStep, code: verifyCodeStep },
+    scan: { photo: scanPhotoStep, decide: scanDecideStep, where: scanWhereStep },
+    withdraw: { amount: withdrawAmountStep, pick: withdrawPickStep, account: withdrawAccountStep, confirm: withdrawConfirmStep },
+    payout: { account: payoutAccountStep, confirm: payoutConfirmStep },
+    send: { details: sendDetailsStep, confirm: sendConfirmStep },
+    complaint: { category: complaintCategoryStep, description: complaintDescriptionStep, photos: complaintPhotosStep, location: complaintLocationStep }
+  };
+
+  function timeoutNotice(s) {
+    return tr(s.chatId, "session_timeout", { flow: tr(s.chatId, `flow_${s.flow}`) });
+  }
+
+  // returns true when the message was consumed by an active flow
+  async function dispatchStep(chatId, msg) {
+    const s = convo.get(chatId);
+    if (!s) return false;
+    if (convo.isExpired(s)) {
+      convo.end(chatId);
+      await bot.sendMessage(chatId, timeoutNotice(s), mainMenu(chatId));
+      return true;
+    }
+    const handler = FLOWS[s.flow] && FLOWS[s.flow][s.step];
+    if (!handler) { convo.end(chatId); return false; }
+    try {
+      await handler(chatId, msg, s);
+    } catch (e) {
+      console.error(`flow ${s.flow}/${s.step} error`, e);
+      convo.end(chatId);
+      bot.sendMessage(chatId, tr(chatId, "professional_error"), mainMenu(chatId));
+    }
+    return true;
+  }
+
+  // tell users about steps they abandoned (run by the "sessions" job)
+  function sweepSessions(now) {
+    const expired = convo.sweepExpired(now);
+    for (const s of expired) {
+      bot.sendMessage(s.chatId, timeoutNotice(s), mainMenu(s.chatId))
+        .catch(e => console.error("session timeout notice failed", s.chatId, e.message));
+    }
+    return { expired: expired.length };
+  }
+
+  // --------------------- Verification flow ---------------------
+  // phone -> code. Bad numbers and wrong codes re-ask within the limits in verify.js; "Resend code" sends a new one.
+  async function startVerificationFlow(chatId) {
+    const minutes = verify.lockedFor(chatId);
+    if (minutes) return bot.sendMessage(chatId, tr(chatId, "verify_locked", { minutes }));
+    convo.start(chatId, "verify", "phone");
+    await bot.sendMessage(chatId, tr(chatId, verify.isExpired(findUser(chatId)) ? "verify_expired_prompt" : "verify_prompt"));
+  }
+
+  // these end the flow; a taken number goes back to asking for one, other VerifyErrors just re-ask
+  const VERIFY_FATAL = ["locked", "too_many_sends"];
+  function verifyProblem(chatId, e) {
+    const fatal = VERIFY_FATAL.includes(e.code);
+    if (fatal) convo.end(chatId);
+    else if (e.code === "phone_taken") convo.advance(chatId, "phone");
+    return bot.sendMessage(chatId, tr(chatId, `verify_${e.code}`, e.vars), fatal ? mainMenu(chatId) : undefined);
+  }
+
+  function codeKeyboard(chatId) { return replyKeyboard([[{ text: tr(chatId, "verify_resend") }]]); }
+
+  async function sendCode(chatId, phone) {
+    try {
+      await verify.send(chatId, phone);
+    } catch (e) {
+      if (e instanceof verify.VerifyError) return verifyProblem(chatId, e);
+      console.error("verification send error", e);
+      convo.end(chatId);
+      return bot.sendMessage(chatId, tr(chatId, "otp_failed"), mainMenu(chatId));
+    }
+    convo.advance(chatId, "code", { phone });
+    return bot.sendMessage(chatId, tr(chatId, "otp_sent", { phone, seconds: config.get("otp_resend_seconds") }), codeKeyboard(chatId));
+  }
+
+  async function verifyPhoneStep(chatId, m) {
+    if (!m.text) return;
+    const phone = verify.normalizePhone(m.text);
+    if (!phone) return bot.sendMessage(chatId, tr(chatId, "verify_invalid_phone"));
+    return sendCode(chatId, phone);
+  }
+
+  async function verifyCodeStep(chatId, m, session) {
+    const t = (m.text || "").trim();
+    if (!t) return;
+    const { phone } = session.data;
+    if (i18n.matches(t, "verify_resend")) return sendCode(chatId, phone);
+    let res;
+    try {
+      res = await verify.check(chatId, phone, t);
+    } catch (e) {
+      if (e instanceof verify.VerifyError) return verifyProblem(chatId, e);
+      console.error("verification check error", e);
+      convo.end(chatId);
+      return bot.sendMessage(chatId, tr(chatId, "verify_error"), mainMenu(chatId));
+    }
+    if (!res.success) {
+      // the provider has thrown this code away; only a new one can work
+      if (res.reason !== "wrong_code") return bot.sendMessage(chatId, tr(chatId, "verify_code_expired", { attempts: res.attemptsLeft }), codeKeyboard(chatId));
+      return bot.sendMessage(chatId, tr(chatId, "verify_wrong_code", { attempts: res.attemptsLeft }), codeKeyboard(chatId));
+    }
+    convo.end(chatId);
+    upsertUser({ id: chatId, phone, verified: true, verifiedAt: new Date().toISOString(), verifyReminders: 0, lang: (findUser(chatId) || {}).lang || config.get("default_language") });
+    bot.sendMessage(chatId, tr(chatId, "otp_verified"), mainMenu(chatId));
+    referrals.onVerified(chatId, phone);
+    payReferral(chatId);
+    flagSharedPhone(chatId, phone);
+  }
+
+  // re-verification prompt added to /start and balance replies once a verification has expired
+  function reverifyLine(chatId) { return verify.isExpired(findUser(chatId)) ? "\n\n" + tr(chatId, "verification_expired") : ""; }
+
+  // several accounts on numbers that differ only in the last digits are usually one person farming bonuses
+  function flagSharedPhone(chatId, phone) {
+    const limit = config.get("risk_similar_phone_accounts");
+    const others = risk.similarPhones(chatId, phone);
+    if (!limit || others.length + 1 < limit) return;
+    risk.raise(chatId, "shared_phone", `${phone} ~ ${others.map(u => `${u.id} (${u.phone})`).join(", ")}`);
+  }
+
+  // --------------------- Scan flow ---------------------
+  // A scan needs a photo: it is downloaded through the Telegram file API, classified (classifier.js),
+  // priced per material and recorded in waste.json with its outcome.
+  const MAX_PHOTO_BYTES = 10 * 1024 * 1024;
+  const offlineClassifier = classifier.heuristicClassifier();
+  const onlineClassifier = process.env.CLASSIFIER_URL ? classifier.httpClassifier() : null;
+
+  // online model when enabled and configured, otherwise the offline heuristic when that is enabled;
+  // null when scanning is off or online scanning is on without a CLASSIFIER_URL to run it
+  function pickClassifier() {
+    const online = config.get("online_scanning");
+    const offline = config.get("offline_scanning");
+    if (online && onlineClassifier) return { impl: onlineClassifier, online: true, fallback: offline ? offlineClassifier : null };
+    if (offline) return { impl: offlineClassifier, online: false, fallback: null };
+    return null;
+  }
+
+  async function downloadFile(fileId) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of bot.getFileStream(fileId)) {
+      size += chunk.length;
+      if (size > MAX_PHOTO_BYTES) throw new Error("file too large");
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  }
+
+  function recordScan(entry) {
+    const waste = getWaste();
+    waste.push(entry);
+    saveWaste(waste);
+    return entry;
+  }
+
+  function updateScan(id, fields) {
+    const waste = getWaste();
+    const w = waste.find(x => x.id === id);
+    if (w) { Object.assign(w, fields); saveWaste(waste); }
+    return w;
+  }
+
+  async function handleScan(chatId) {
+    const picked = pickClassifier();
+    if (!picked) return bot.sendMessage(chatId, tr(chatId, "scan_disabled"));
+    if (!riskAllows(chatId, "scan")) return;
+    convo.start(chatId, "scan", "photo");
+    await bot.sendMessage(chatId, tr(chatId, picked.online ? "scan_photo_prompt" : "scan_offline"));
+  }
+
+  async function scanPhotoStep(chatId, m) {
+    const photo = m.photo && m.photo.length ? m.photo[m.photo.length - 1] : null;
+    const file = photo || (m.document && /^image\//.test(m.document.mime_type || "") ? m.document : null);
+    if (!file) return bot.sendMessage(chatId, tr(chatId, "scan_need_photo"));
+    const picked = pickClassifier();
+    if (!picked) { convo.end(chatId); return bot.sendMessage(chatId, tr(chatId, "scan_disabled"), mainMenu(chatId)); }
+
+    const scan = { id: newId("wst"), userId: chatId, fileId: file.file_id, fileUniqueId: file.file_unique_id || null, sha256: null, caption: m.caption || "", classification: null, price: null, outcome: null, ts: new Date().toISOString() };
+    const seen = (w) => w.outcome !== "unrecognised" && w.outcome !== "failed";
+    if (scan.fileUniqueId && getWaste().some(w => seen(w) && w.fileUniqueId === scan.fileUniqueId)) {
+      convo.end(chatId);
+      recordScan({ ...scan, outcome: "duplicate" });
+      return bot.sendMessage(chatId, tr(chatId, "scan_duplicate"), mainMenu(chatId));
+    }
+
+    await bot.sendMessage(chatId, tr(chatId, picked.online ? "scan_online" : "scan_analyzing"));
+    let result;
+    try {
+      const buffer = await downloadFile(file.file_id);
+      scan.sha256 = classifier.sha256(buffer);
+      if (getWaste().some(w => seen(w) && w.sha256 === scan.sha256)) {
+        convo.end(chatId);
+        recordScan({ ...scan, outcome: "duplicate" });
+        return bot.sendMessage(chatId, tr(chatId, "scan_duplicate"), mainMenu(chatId));
+      }
+      const input = { buffer, caption: m.caption || "", mimeType: (m.document && m.document.mime_type) || "image/jpeg", maxKg: config.get("max_scan_kg") };
+      try {
+        result = await picked.impl.classify(input);
+      } catch (e) {
+        if (!picked.fallback) throw e;
+        console.warn("online classifier failed, using offline heuristic:", e.message);
+        result = await picked.fallback.classify(input);
+      }
+    } catch (e) {
+      console.error("scan error", e);
+      convo.end(chatId);
+      recordScan({ ...scan, outcome: "failed" });
+      return bot.sendMessage(chatId, tr(chatId, "scan_failed"), mainMenu(chatId));
+    }
+
+    scan.classification = result;
+    if (!result.material || result.confidence < config.get("scan_min_confidence")) {
+      convo.end(chatId);
+      recordScan({ ...scan, outcome: "unrecognised" });
+      return bot.sendMessage(chatId, tr(chatId, "scan_unrecognised"), mainMenu(chatId));
+    }
+
+    const kg = ledger.round2(Math.min(Math.max(result.estimatedKg, 0), config.get("max_scan_kg")));
+    const rate = config.get("material_rates")[result.material] ?? config.get("price_per_kg");
+    const price = (kg * rate).toFixed(2);
+    const wasteType = classifier.MATERIALS[result.material].label;
+    recordScan({ ...scan, kg, rate, price: Number(price), outcome: "offered" });
+
+    const sourceText = tr(chatId, picked.online ? "scan_source_online" : "scan_source_offline");
+    const keyboard = { reply_markup: { keyboard: [[{ text: tr(chatId, "scan_accept", { price }) }, { text: tr(chatId, "scan_reject") }]], one_time_keyboard: true, resize_keyboard: true } };
+    convo.advance(chatId, "decide", { scanId: scan.id, price, wasteType });
+    await bot.sendMessage(chatId, tr(chatId, "scan_result", { source: sourceText, waste: wasteType, confidence: Math.round(result.confidence * 100), kg: kg.toFixed(2), rate, price }), keyboard);
+  }
+
+  function scanDecideStep(chatId, m, session) {
+    const t = (m.text || "").trim();
+    const { price, scanId } = session.data;
+    if (i18n.matches(t, "scan_accept", { price })) {
+      if (!riskAllows(chatId, "scan")) return updateScan(scanId, { outcome: "blocked", decidedAt: new Date().toISOString() });
+      if (!findUser(chatId)) upsertUser({ id: chatId, balance: 0, verified: false });
+      updateScan(scanId, { outcome: "accepted", decidedAt: new Date().toISOString() });
+      convo.advance(chatId, "where");
+      return bot.sendMessage(chatId, tr(chatId, "scan_where", { dropoff: tr(chatId, "scan_dropoff") }), whereKeyboard(chatId));
+    }
+    if (i18n.matches(t, "scan_reject")) {
+      convo.end(chatId);
+      updateScan(scanId, { outcome: "rejected", decidedAt: new Date().toISOString() });
+      return bot.sendMessage(chatId, tr(chatId, "scan_rejected"), mainMenu(chatId));
+    }
+    return bot.sendMessage(chatId, tr(chatId, "scan_choose"));
+  }
+
+  function whereKeyboard(chatId) {
+    return { reply_markup: { keyboard: [[{ text: tr(chatId, "scan_share_location"), request_location: true }], [{ text: tr(chatId, "scan_dropoff") }]], one_time_keyboard: true, resize_keyboard: true } };
+  }
+
+  // accepted scan -> pickup order (location pin, typed address or drop-off)
+  function scanWhereStep(chatId, m, session) {
+    const t = (m.text || "").trim();
+    let where = null;
+    if (m.location) where = { method: "pickup", location: { latitude: m.location.latitude, longitude: m.location.longitude }, address: null };
+    else if (i18n.matches(t, "scan_dropoff")) where = { method: "dropoff", location: null, address: null };
+    else if (t.length >= 5 && !t.startsWith("/")) where = { method: "pickup", location: null, address: t };
+    if (!where) return bot.sendMessage(chatId, tr(chatId, "scan_where_invalid", { dropoff: tr(chatId, "scan_dropoff") }), whereKeyboard(chatId));
+    convo.end(chatId);
+
+    const scan = getWaste().find(w => w.id === session.data.scanId);
+    if (!scan) return bot.sendMessage(chatId, tr(chatId, "professional_error"), mainMenu(chatId));
+    // the LGA puts the pickup on its area's leaderboard (stats.js); drop-offs have none
+    const area = where.location ? geo.resolveCoords(where.location.latitude, where.location.longitude) : where.address ? geo.resolveText(where.address) : null;
+    const order = pickups.create({
+      id: newId("pck"),
+      scanId: scan.id,
+      userId: chatId,
+      material: scan.classification.material,
+      wasteType: session.data.wasteType,
+      rate: scan.rate,
+      estimatedKg: scan.kg,
+      kgClaimed: !!scan.classification.kgClaimed,
+      estimatedPrice: scan.price,
+      ...where,
+      lga: area ? area.lga : null,
+      state: area ? area.state : null
+    });
+    updateScan(scan.id, { pickupId: order.id });
+
+    bot.sendMessage(chatId, tr(chatId, "scan_accepted", { id: order.id, price: scan.price.toFixed(2) }), mainMenu(chatId));
+    notifyAdmins("admin_new_pickup", (adminId) => ({ id: order.id, user: chatId, waste: order.wasteType, kg: order.estimatedKg, claim: kgClaimText(adminId, order), price: order.estimatedPrice.toFixed(2), where: describeWhere(order) }));
+  }
+
+  // --------------------- Complaints flow ---------------------
+  // Wizard: category -> description -> photos (albums welcome, optional) -> location pin or typed address.
+  // The place is resolved offline to a state/LGA (geo.js) so admins can filter reports by area.
+  const COMPLAINT_CATEGORIES = ["illegal_dump", "overflowing_bin", "open_burning", "blocked_drain", "pickup_request", "other"];
+  const MAX_COMPLAINT_PHOTOS = 5;
+
+  const replyKeyboard = (rows) => ({ reply_markup: { keyboard: rows, one_time_keyboard: true, resize_keyboard: true } });
+
+  function categoryKeyboard(chatId) {
+    const rows = [];
+    for (let i = 0; i < COMPLAINT_CATEGORIES.length; i += 2) rows.push(COMPLAINT_CATEGORIES.slice(i, i + 2).map(c => ({ text: tr(chatId, `complaint_cat_${c}`) })));
+    return replyKeyboard(rows);
+  }
+
+  async function startComplaintFlow(chatId) {
+    convo.start(chatId, "complaint", "category");
+    await bot.sendMessage(chatId, tr(chatId, "complaint_category_prompt"), categoryKeyboard(chatId));
+  }
+
+  function complaintCategoryStep(chatId, m) {
+    const t = (m.text || "").trim();
+    const category = COMPLAINT_CATEGORIES.find(c => i18n.matches(t, `complaint_cat_${c}`));
+    if (!category) return bot.sendMessage(chatId, tr(chatId, "complaint_category_prompt"), categoryKeyboard(chatId));
+    convo.advance(chatId, "description", { category, photos: [] });
+    return bot.sendMessage(chatId, tr(chatId, "complaint_description_prompt"), { reply_markup: { remove_keyboard: true } });
+  }
+
+  // a photo with a caption counts as the description plus the first photo
+  function complaintDescriptionStep(chatId, m) {
+    const text = (m.text || m.caption || "").trim();
+    if (text.length < 10) return bot.sendMessage(chatId, tr(chatId, "complaint_description_short"));
+    const photos = m.photo && m.photo.length ? [m.photo[m.photo.length - 1].file_id] : [];
+    convo.advance(chatId, "photos", { text, photos, mediaGroup: m.media_group_id || null });
+    return bot.sendMessage(chatId, tr(chatId, "complaint_photos_prompt", { max: MAX_COMPLAINT_PHOTOS }), photosKeyboard(chatId));
+  }
+
+  function photosKeyboard(chatId) { return replyKeyboard([[{ text: tr(chatId, "complaint_photos_done") }]]); }
+
+  function complaintPhotosStep(chatId, m, session) {
+    const t = (m.text || "").trim();
+    if (m.photo && m.photo.length) {
+      const photos = session.data.photos || [];
+      if (photos.length >= MAX_COMPLAINT_PHOTOS) return bot.sendMessage(chatId, tr(chatId, "complaint_photos_max", { max: MAX_COMPLAINT_PHOTOS }), photosKeyboard(chatId));
+      photos.push(m.photo[m.photo.length - 1].file_id);
+      const sameAlbum = m.media_group_id && m.media_group_id === session.data.mediaGroup;
+      convo.advance(chatId, "photos", { photos, mediaGroup: m.media_group_id || null });
+      // an album arrives as one message per photo; acknowledge it once
+      if (sameAlbum) return;
+      return bot.sendMessage(chatId, tr(chatId, "complaint_photo_added", { count: photos.length, max: MAX_COMPLAINT_PHOTOS }), photosKeyboard(chatId));
+    }
+    if (!i18n.matches(t, "complaint_photos_done") && !m.location) return bot.sendMessage(chatId, tr(chatId, "complaint_photos_prompt", { max: MAX_COMPLAINT_PHOTOS }), photosKeyboard(chatId));
+    convo.advance(chatId, "location");
+    // a pin sent straight away answers the next question too
+    if (m.location) return complaintLocationStep(chatId, m, convo.get(chatId));
+    return bot.sendMessage(chatId, tr(chatId, "complaint_location_prompt"), replyKeyboard([[{ text: tr(chatId, "scan_share_location"), request_location: true }]]));
+  }
+
+  function complaintLocationStep(chatId, m, session) {
+    const t = (m.text || "").trim();
+    let place;
+    if (m.location) {
+      place = { location: { latitude: m.location.latitude, longitude: m.location.longitude }, address: null, geo: geo.resolveCoords(m.location.latitude, m.location.longitude) };
+    } else if (t.length >= 5 && !t.startsWith("/")) {
+      place = { location: null, address: t, geo: geo.resolveText(t) };
+    } else {
+      return bot.sendMessage(chatId, tr(chatId, "complaint_location_invalid"));
+    }
+    convo.end(chatId);
+
+    const { category, text, photos } = session.data;
+    const complaint = {
+      id: newId("cmp"),
+      userId: chatId,
+      category,
+      text,
+      photos: photos || [],
+      photo: (photos && photos[0]) || null,
+      location: place.location,
+      address: place.address,
+      state: place.geo ? place.geo.state : null,
+      // the description may still name the area when the pin or address did not
+      lga: place.geo && place.geo.lga ? place.geo.lga : ((geo.resolveText(text) || {}).lga || null),
+      geoSource: place.geo ? place.geo.source : null,
+      status: "pending",
+      ts: new Date().toISOString(),
+      duplicateOf: null
+    };
+    if (!complaint.state && complaint.lga) complaint.state = (geo.resolveText(complaint.lga) || {}).state || null;
+    complaint.history = complaints.historyOf(complaint);
+    const dup = likelyDuplicate(complaint);
+    if (dup) complaint.duplicateOf = dup.id;
+
+    const list = getComplaints();
+    list.push(complaint);
+    saveComplaints(list);
+
+    bot.sendMessage(chatId, tr(chatId, "complaint_received", { id: complaint.id, where: describeArea(chatId, complaint) }), mainMenu(chatId));
+    notifyReview("complaint", complaint.id, "admin_new_complaint", {
+      id: complaint.id,
+      user: chatId,
+      category,
+      where: describeArea(null, complaint),
+      photos: complaint.photos.length,
+      duplicate: dup ? `${dup.id} (${dup.status}, ${dup.ts.slice(0, 10)})` : "-",
+      text: complaint.text || "[no-text]"
+    });
+  }
+
+  // oldest earlier report of the same site within the configured window; 0 days turns the check off
+  function likelyDuplicate(c) {
+    const days = config.get("complaint_duplicate_days");
+    if (!days) return null;
+    return complaints.findDuplicates(c, { days, radiusM: config.get("complaint_duplicate_radius_m") })[0] || null;
+  }
+
+  // "Eti-Osa, Lagos" / "Lagos" / address or pin / unknown
+  function describeArea(chatId, c) {
+    if (c.lga) return `${c.lga}${c.state ? `, ${c.state}` : ""}`;
+    if (c.state) return c.state;
+    if (c.address) return c.address;
+    if (c.location) return `${c.location.latitude},${c.location.longitude}`;
+    return chatId === null ? "-" : tr(chatId, "complaint_where_unknown");
+  }
+
+  // Admin review for complaints (via /admin)
+  // the bonus is paid once per site: a report flagged as a duplicate of one that was already paid is
+  // approved without it (`/admin not_duplicate <id>` clears a wrong flag first)
+  function adminApproveComplaint(adminId, complaintId) {
+    // reviewAction checks this too; checking here keeps any other caller from skipping it
+    if (!roles.can(adminId, "approve_complaint")) return forbidden(adminId, "approve_complaint");
+
+    const c0 = complaints.get(complaintId);
+    if (!c0) return bot.sendMessage(adminId, tr(adminId, "admin_complaint_not_found"));
+    if (!complaints.UNDECIDED.includes(c0.status)) return bot.sendMessage(adminId, tr(adminId, "admin_already_processed"));
+
+    const paidSite = complaints.bonusPaidForSite(c0);
+    const user = findUser(c0.userId);
+    const bonus = paidSite || !user ? 0 : config.get("complaint_bonus");
+    return complaintStep(adminId, () => {
+      const c = complaints.transition(complaintId, "approved", { by: adminId, fields: { approvedBy: adminId, approvedAt: new Date().toISOString(), bonusPaid: bonus > 0, bonus } });
+      audit.record({ adminId, action: "complaint.approve", target: c.id, before: { status: c0.status }, after: { status: c.status, bonus }, note: paidSite ? `bonus already paid for ${paidSite.id}` : "" });
+      if (bonus > 0) {
+        moveMoney({ type: "complaint_bonus", from: ledger.ACCOUNTS.COMPLAINT_BONUS, to: ledger.userAccount(c.userId), amount: bonus, note: `complaint ${c.id} approved`, ref: c.id });
+        bot.sendMessage(c.userId, tr(c.userId, "complaint_approved", { id: c.id, bonus, balance: walletBalance(c.userId).toFixed(2) }));
+        return bot.sendMessage(adminId, tr(adminId, "admin_complaint_approved", { id: c.id }));
+      }
+      if (!user) return bot.sendMessage(adminId, tr(adminId, "admin_complaint_user_missing", { user: c.userId, id: c.id }));
+      bot.sendMessage(c.userId, tr(c.userId, "complaint_approved_duplicate", { id: c.id, original: paidSite.id }));
+      return bot.sendMessage(adminId, tr(adminId, "admin_complaint_approved_duplicate", { id: c.id, original: paidSite.id }));
+    });
+  }
+
+  function adminDeclineComplaint(adminId, complaintId) {
+    if (!roles.can(adminId, "decline_complaint")) return forbidden(adminId, "decline_complaint");
+    const c0 = complaints.get(complaintId);
+    if (!c0) return bot.sendMessage(adminId, tr(adminId, "admin_complaint_not_found"));
+    if (!complaints.UNDECIDED.includes(c0.status)) return bot.sendMessage(adminId, tr(adminId, "admin_already_processed"));
+    return complaintStep(adminId, () => {
+      const c = complaints.transition(complaintId, "declined", { by: adminId, fields: { declinedBy: adminId, declinedAt: new Date().toISOString() } });
+      audit.record({ adminId, action: "complaint.decline", target: c.id, before: { status: c0.status }, after: { status: c.status } });
+      bot.sendMessage(c.userId, tr(c.userId, "complaint_declined", { id: c.id, admin: adminId }));
+      bot.sendMessage(adminId, tr(adminId, "admin_complaint_declined", { id: c.id }));
+    });
+  }
+
+  // run a complaint step, turning ComplaintError into a reply to whoever asked
+  function complaintStep(actorId, fn) {
+    try {
+      return fn();
+    } catch (e) {
+      if (e instanceof complaints.ComplaintError) return bot.sendMessage(actorId, tr(actorId, `admin_complaint_error_${e.code}`, e.vars));
+      throw e;
+    }
+  }
+
+  const noteLine = (note) => (note ? `\n📝 ${note}` : "");
+
+  // /admin complaint_status <id> <status> [note]; the note is shown to the reporter.
+  // approved/declined go through the review path so the bonus and the admin buttons are handled.
+  function adminComplaintStatus(adminId, id, status, note) {
+    if (!complaints.STATUSES.includes(status)) return bot.sendMessage(adminId, tr(adminId, "admin_complaint_status_usage", { statuses: complaints.STATUSES.join(", ") }));
+    if (status === "approved") return reviewAction(adminId, "complaint", "approve", id);
+    if (status === "declined") return reviewAction(adminId, "complaint", "decline", id);
+    return complaintStep(adminId, () => {
+      const prev = (complaints.get(id) || {}).status;
+      const c = complaints.transition(id, status, { by: adminId, note });
+      audit.record({ adminId, action: "complaint.status", target: id, before: { status: prev }, after: { status: c.status }, note });
+      bot.sendMessage(adminId, tr(adminId, "admin_complaint_status_ok", { id, status: tr(adminId, `complaint_state_${status}`) }));
+      bot.sendMessage(c.userId, tr(c.userId, `complaint_status_${status}`, { id, note: noteLine(note) }));
+    });
+  }
+
+  // /admin complaint_note <id> <text>: internal, never shown to the reporter
+  function adminComplaintNote(adminId, id, text) {
+    if (!text) return bot.sendMessage(adminId, tr(adminId, "admin_help"));
+    return complaintStep(adminId, () => {
+      complaints.addNote(id, adminId, text);
+      audit.record({ adminId, action: "complaint.note", target: id, after: { text } });
+      bot.sendMessage(adminId, tr(adminId, "admin_complaint_note_added", { id }));
+    });
+  }
+
+  // /admin duplicate <id> <originalId> | /admin not_duplicate <id>
+  function adminMarkDuplicate(adminId, id, originalId) {
+    const c = complaints.get(id);
+    if (!c || (originalId && !complaints.get(originalId))) return bot.sendMessage(adminId, tr(adminId, "admin_complaint_not_found"));
+    if (originalId === id) return bot.sendMessage(adminId, tr(adminId, "admin_complaint_duplicate_self"));
+    complaints.update(id, { duplicateOf: originalId || null });
+    audit.record({ adminId, action: "complaint.duplicate", target: id, before: { duplicateOf: c.duplicateOf || null }, after: { duplicateOf: originalId || null } });
+    if (originalId) return bot.sendMessage(adminId, tr(adminId, "admin_complaint_marked_duplicate", { id, original: originalId }));
+    return bot.sendMessage(adminId, tr(adminId, "admin_complaint_unmarked_duplicate", { id }));
+  }
+
+  // /mycomplaints - the user's reports with their current status; /mycomplaints <id> - full history
+  function showMyComplaints(chatId, id) {
+    const mine = complaints.forUser(chatId);
+    if (!mine.length) return bot.sendMessage(chatId, tr(chatId, "mycomplaints_none"));
+    const state = (s) => tr(chatId, `complaint_state_${s}`);
+    if (id) {
+      const c = mine.find(x => x.id === id);
+      if (!c) return bot.sendMessage(chatId, tr(chatId, "admin_complaint_not_found"));
+      const history = complaints.historyOf(c).map(h => `${h.ts.slice(0, 16).replace("T", " ")} - ${state(h.status)}${h.note ? ` - ${h.note}` : ""}`).join("\n");
+      return bot.sendMessage(chatId, tr(chatId, "mycomplaint_detail", { id: c.id, category: tr(chatId, `complaint_cat_${c.category || "other"}`), where: describeArea(chatId, c), status: state(c.status), history }));
+    }
+    // newest 15 keep the reply short
+    const list = mine.slice(0, 15).map(c => `${c.id} - ${tr(chatId, `complaint_cat_${c.category || "other"}`)} - ${state(c.status)} - ${(c.updatedAt || c.ts).slice(0, 10)}`).join("\n");
+    return bot.sendMessage(chatId, tr(chatId, "mycomplaints_list", { list }));
+  }
+
+  // --------------------- Withdraw flow ---------------------
+  function startWithdrawFlow(chatId) {
+    const user = findUser(chatId);
+    if (!user) return bot.sendMessage(chatId, tr(chatId, "register_first"));
+    if (!verify.isCurrent(user)) return bot.sendMessage(chatId, tr(chatId, verify.isExpired(user) ? "verification_expired" : "not_verified"));
+    if (!config.get("withdrawals_enabled")) return bot.sendMessage(chatId, tr(chatId, "withdrawal_disabled"));
+    const min = config.get("min_withdraw");
+    if (walletBalance(chatId) < min) return bot.sendMessage(chatId, tr(chatId, "min_withdraw", { min }) + "\n" + tr(chatId, "balance", { balance: walletBalance(chatId).toFixed(2) }));
+    if (!riskAllows(chatId, "withdraw")) return;
+
+    convo.start(chatId, "withdraw", "amount");
+    bot.sendMessage(chatId, tr(chatId, "withdraw_prompt", { balance: walletBalance(chatId).toFixed(2), min }));
+  }
+
+  function withdrawAmountStep(chatId, m) {
+    const text = (m.text || "").trim();
+    const amount = parseFloat(text);
+    if (!amount || amount <= 0) return bot.sendMessage(chatId, tr(chatId, "invalid_amount"));
+    if (amount < config.get("min_withdraw")) return bot.sendMessage(chatId, tr(chatId, "min_withdraw", { min: config.get("min_withdraw") }));
+    if (amount > walletBalance(chatId)) return bot.sendMessage(chatId, tr(chatId, "insufficient_balance"));
+    if (!riskAllows(chatId, "withdraw", amount)) return;
+    const saved = destinations.list(chatId);
+    if (!saved.length) {
+      convo.advance(chatId, "account", { amount });
+      return bot.sendMessage(chatId, tr(chatId, "withdraw_account_prompt"));
+    }
+    convo.advance(chatId, "pick", { amount });
+    return bot.sendMessage(chatId, tr(chatId, "withdraw_pick"), pickKeyboard(chatId, saved));
+  }
+
+  // saved destinations as reply buttons ("1. GTBank 0123456789"), plus one for a new account
+  function destinationLabel(d, i) { return `${i + 1}. ${d.bankName} ${d.accountNumber}`; }
+  function pickKeyboard(chatId, saved) {
+    const rows = saved.map((d, i) => [{ text: destinationLabel(d, i) }]);
+    rows.push([{ text: tr(chatId, "withdraw_new_account") }]);
+    return { reply_markup: { keyboard: rows, one_time_keyboard: true, resize_keyboard: true } };
+  }
+
+  function withdrawPickStep(chatId, m, session) {
+    const t = (m.text || "").trim();
+    if (i18n.matches(t, "withdraw_new_account")) {
+      convo.advance(chatId, "account");
+      return bot.sendMessage(chatId, tr(chatId, "withdraw_account_prompt"));
+    }
+    const saved = destinations.list(chatId);
+    const idx = saved.findIndex((d, i) => t === destinationLabel(d, i) || t === String(i + 1));
+    if (idx === -1) return bot.sendMessage(chatId, tr(chatId, "withdraw_pick"), pickKeyboard(chatId, saved));
+    return askWithdrawConfirm(chatId, session.data.amount, saved[idx], false);
+  }
+
+  // the phone a mobile wallet must match (destinations.js); null until the user has verified one
+  function verifiedPhone(chatId) {
+    const u = findUser(chatId);
+    return u && u.verified && u.phone ? u.phone : null;
+  }
+
+  // "<bank code> <account number>": type-specific validation, then the account name from the payout provider.
+  // Returns the destination, or null after telling the user what was wrong.
+  async function resolveDestination(chatId, text) {
+    const [bankCode, accountNumber] = (text || "").trim().split(/\s+/);
+    if (!bankCode || !payouts.validAccountNumber(accountNumber)) { await bot.sendMessage(chatId, tr(chatId, "withdraw_account_invalid")); return null; }
+    const provider = payouts.provider();
+    let bank, resolved;
+    try {
+      bank = (await provider.listBanks()).find(b => b.code === bankCode);
+      if (!bank) { await bot.sendMessage(chatId, tr(chatId, "withdraw_bank_unknown", { code: bankCode })); return null; }
+      destinations.validate({ type: bank.type, bankCode, accountNumber }, verifiedPhone(chatId));
+      resolved = await provider.resolveAccount({ bankCode, accountNumber });
+    } catch (e) {
+      if (e instanceof destinations.DestinationError) { await bot.sendMessage(chatId, tr(chatId, `destination_${e.code}`, e.vars)); return null; }
+      if (e instanceof payouts.PayoutError) { await bot.sendMessage(chatId, tr(chatId, "withdraw_account_unresolved")); return null; }
+      throw e;
+    }
+    return { type: bank.type, bankCode, bankName: bank.name, accountNumber, accountName: resolved.accountName };
+  }
+
+  async function withdrawAccountStep(chatId, m, session) {
+    let destination;
+    try {
+      destination = await resolveDestination(chatId, m.text);
+    } catch (e) {
+      console.error("account resolve error", e);
+      convo.end(chatId);
+      return bot.sendMessage(chatId, tr(chatId, "payout_provider_error"), mainMenu(chatId));
+    }
+    if (!destination) return;
+    // new accounts are saved once the withdrawal is confirmed
+    return askWithdrawConfirm(chatId, session.data.amount, destination, true);
+  }
+
+  function askWithdrawConfirm(chatId, amount, destination, save) {
+    convo.advance(chatId, "confirm", { destination, save });
+    const keyboard = { reply_markup: { keyboard: [[{ text: tr(chatId, "withdraw_confirm_yes") }, { text: tr(chatId, "withdraw_confirm_no") }]], one_time_keyboard: true, resize_keyboard: true } };
+    return bot.sendMessage(chatId, tr(chatId, "withdraw_confirm", { amount, name: destination.accountName, bank: destination.bankName, account: destination.accountNumber }), keyboard);
+  }
+
+  function withdrawConfirmStep(chatId, m, session) {
+    const t = (m.text || "").trim();
+    if (i18n.matches(t, "withdraw_confirm_no")) {
+      convo.end(chatId);
+      return bot.sendMessage(chatId, tr(chatId, "cancelled", { flow: tr(chatId, "flow_withdraw") }), mainMenu(chatId));
+    }
+    if (!i18n.matches(t, "withdraw_confirm_yes")) return bot.sendMessage(chatId, tr(chatId, "withdraw_confirm_choose"));
+    convo.end(chatId);
+    const { amount, destination, save } = session.data;
+    if (!config.get("withdrawals_enabled")) return bot.sendMessage(chatId, tr(chatId, "withdrawal_disabled"), mainMenu(chatId));
+    // re-read: the balance may have changed since the flow started
+    const user = findUser(chatId);
+    if (!user) return bot.sendMessage(chatId, tr(chatId, "register_first"));
+    if (amount > walletBalance(chatId)) return bot.sendMessage(chatId, tr(chatId, "insufficient_balance"), mainMenu(chatId));
+    if (!riskAllows(chatId, "withdraw", amount)) return;
+
+    if (save) {
+      try {
+        destinations.add({ id: newId("dst"), userId: chatId, ...destination }, verifiedPhone(chatId));
+      } catch (e) {
+        // a full address book doesn't block the withdrawal itself
+        if (!(e instanceof destinations.DestinationError)) throw e;
+      }
+    }
+
+    // create withdrawal request; the destination is copied so later edits don't change where it goes
+    const withdrawals = getWithdrawals();
+    const req = { id: newId("wd"), userId: chatId, amount, status: "pending", ts: new Date().toISOString(), phone: user.phone || null, destination };
+    withdrawals.push(req);
+    saveWithdrawals(withdrawals);
+
+    // hold the funds until the payout is paid, fails, or an admin declines
+    moveMoney({ type: "withdraw_request", from: ledger.userAccount(chatId), to: ledger.ACCOUNTS.WITHDRAWALS_PENDING, amount, note: req.id, ref: req.id });
+
+    bot.sendMessage(chatId, tr(chatId, "withdrawal_requested", { id: req.id }), mainMenu(chatId));
+    notifyReview("withdraw", req.id, "admin_new_withdrawal", { id: req.id, user: chatId, amount, destination: describeDestination(destination) });
+  }
+
+  // --------------------- Saved payout accounts ---------------------
+  function showDestinations(chatId) {
+    const saved = destinations.list(chatId);
+    if (!saved.length) return bot.sendMessage(chatId, tr(chatId, "accounts_none"));
+    return bot.sendMessage(chatId, tr(chatId, "accounts_list", { list: saved.map((d, i) => `${i + 1}. ${describeDestination(d)}`).join("\n") }));
+  }
+
+  function startPayoutFlow(chatId) {
+    if (!findUser(chatId)) return bot.sendMessage(chatId, tr(chatId, "register_first"));
+    if (destinations.list(chatId).length >= destinations.MAX_PER_USER) return bot.sendMessage(chatId, tr(chatId, "destination_full", { max: destinations.MAX_PER_USER }));
+    convo.start(chatId, "payout", "account");
+    return bot.sendMessage(chatId, tr(chatId, "withdraw_account_prompt"));
+  }
+
+  async function payoutAccountStep(chatId, m) {
+    let destination;
+    try {
+      destination = await resolveDestination(chatId, m.text);
+    } catch (e) {
+      console.error("account resolve error", e);
+      convo.end(chatId);
+      return bot.sendMessage(chatId, tr(chatId, "payout_provider_error"), mainMenu(chatId));
+    }
+    if (!destination) return;
+    convo.advance(chatId, "confirm", { destination });
+    const keyboard = { reply_markup: { keyboard: [[{ text: tr(chatId, "account_save_yes") }, { text: tr(chatId, "withdraw_confirm_no") }]], one_time_keyboard: true, resize_keyboard: true } };
+    return bot.sendMessage(chatId, tr(chatId, "account_save_confirm", { name: destination.accountName, bank: destination.bankName, account: destination.accountNumber }), keyboard);
+  }
+
+  function payoutConfirmStep(chatId, m, session) {
+    const t = (m.text || "").trim();
+    if (i18n.matches(t, "withdraw_confirm_no")) {
+      convo.end(chatId);
+      return bot.sendMessage(chatId, tr(chatId, "cancelled", { flow: tr(chatId, "flow_payout") }), mainMenu(chatId));
+    }
+    if (!i18n.matches(t, "account_save_yes")) return bot.sendMessage(chatId, tr(chatId, "withdraw_confirm_choose"));
+    convo.end(chatId);
+    try {
+      destinations.add({ id: newId("dst"), userId: chatId, ...session.data.destination }, verifiedPhone(chatId));
+    } catch (e) {
+      if (e instanceof destinations.DestinationError) return bot.sendMessage(chatId, tr(chatId, `destination_${e.code}`, e.vars), mainMenu(chatId));
+      throw e;
+    }
+    return bot.sendMessage(chatId, tr(chatId, "account_saved", { account: describeDestination(session.data.destination) }), mainMenu(chatId));
+  }
+
+  // /removeaccount <n>, numbered as in /accounts
+  function removeDestination(chatId, n) {
+    const d = destinations.list(chatId)[parseInt(n, 10) - 1];
+    if (!d) return bot.sendMessage(chatId, tr(chatId, "account_remove_usage"));
+    destinations.remove(chatId, d.id);
+    return bot.sendMessage(chatId, tr(chatId, "account_removed", { account: describeDestination(d) }));
+  }
+
+  function describeDestination(d) {
+    return d ? `${d.accountName} - ${d.bankName}${d.type === "wallet" ? " wallet" : ""} ${d.accountNumber}` : "-";
+  }
+
+  async function showBanks(chatId) {
+    try {
+      const banks = await payouts.provider().listBanks();
+      return bot.sendMessage(chatId, tr(chatId, "banks_list", { list: banks.map(b => `${b.code} - ${b.name}`).join("\n") }));
+    } catch (e) {
+      console.error("bank list error", e);
+      return bot.sendMessage(chatId, tr(chatId, "payout_provider_error"));
+    }
+  }
+
+  // Admin approve/decline (for withdrawals)
+  // approval hands the transfer to the payout provider; the funds stay held until it reports paid or failed
+  async function adminApprove(adminChatId, withdrawId) {
+    if (!roles.can(adminChatId, "approve")) return forbidden(adminChatId, "approve");
+    const withdrawals = getWithdrawals();
+    const r = withdrawals.find(x => x.id === withdrawId);
+    if (!r) return bot.sendMessage(adminChatId, tr(adminChatId, "admin_withdrawal_not_found"));
+    if (r.status !== "pending") return bot.sendMessage(adminChatId, tr(adminChatId, "admin_already_processed"));
+    if (!r.destination) return bot.sendMessage(adminChatId, tr(adminChatId, "admin_withdrawal_no_destination", { id: withdrawId }));
+    if (risk.isFrozen(r.userId)) return bot.sendMessage(adminChatId, tr(adminChatId, "admin_withdrawal_frozen", { id: withdrawId, user: r.userId }));
+
+    r.status = "processing";
+    r.approvedBy = adminChatId;
+    r.approvedAt = new Date().toISOString();
+    r.payout = { reference: payouts.reference(r.id), provider: payouts.provider().name, providerRef: null, reason: "" };
+    saveWithdrawals(withdrawals);
+    audit.record({ adminId: adminChatId, action: "withdrawal.approve", target: r.id, before: { status: "pending" }, after: { status: r.status, amount: r.amount, reference: r.payout.reference } });
+
+    const manual = r.payout.provider === "manual";
+    bot.sendMessage(adminChatId, tr(adminChatId, manual ? "admin_withdrawal_approved_manual" : "admin_withdrawal_approved", { id: withdrawId, reference: r.payout.reference, account: describeDestination(r.destination), amount: r.amount }));
+    bot.sendMessage(r.userId, tr(r.userId, "withdrawal_approved", { id: withdrawId, amount: r.amount, admin: adminChatId }));
+    return submitPayout(r, adminChatId);
+  }
+
+  // send (or re-send; the reference makes it idempotent) a processing withdrawal to the provider
+  async function submitPayout(r, adminChatId) {
+    let res;
+    try {
+      res = await payouts.provider().transfer({ reference: r.payout.reference, amount: r.amount, destination: r.destination, narration: `Clean9ja withdrawal ${r.id}` });
+    } catch (e) {
+      // the transfer may or may not exist; it stays processing until /admin payout_status settles it
+      console.error(`payout ${r.payout.reference} submit error`, e);
+      return bot.sendMessage(adminChatId, tr(adminChatId, "admin_payout_submit_failed", { id: r.id, error: e.message }));
+    }
+    return applyPayoutResult(res);
+  }
+
+  // provider result for a reference -> withdrawal state + ledger. Only a processing withdrawal moves,
+  // so repeated callbacks for the same transfer are ignored.
+  function applyPayoutResult({ reference, status, reason, providerRef }) {
+    const withdrawals = getWithdrawals();
+    const r = withdrawals.find(x => x.payout && x.payout.reference === reference);
+    if (!r) return "unknown";
+    const next = payouts.normalizeStatus(status);
+    if (r.status !== "processing" || next === "processing") return "ignored";
+
+    r.status = next;
+    r.payout.providerRef = providerRef || r.payout.providerRef;
+    r.payout.reason = reason || "";
+    r[next === "paid" ? "paidAt" : "failedAt"] = new Date().toISOString();
+    saveWithdrawals(withdrawals);
+
+    if (next === "paid") {
+      moveMoney({ type: "withdraw_paid", from: ledger.ACCOUNTS.WITHDRAWALS_PENDING, to: ledger.ACCOUNTS.PAYOUTS, amount: r.amount, note: `paid ${r.id}`, ref: r.id });
+      bot.sendMessage(r.userId, tr(r.userId, "withdrawal_paid", { id: r.id, amount: r.amount, account: describeDestination(r.destination) }));
+      notifyAdmins("admin_payout_paid", { id: r.id, amount: r.amount, reference });
+    } else {
+      // automatic refund
+      moveMoney({ type: "withdraw_failed_refund", from: ledger.ACCOUNTS.WITHDRAWALS_PENDING, to: ledger.userAccount(r.userId), amount: r.amount, note: r.id, ref: r.id });
+      bot.sendMessage(r.userId, tr(r.userId, "withdrawal_failed", { id: r.id, amount: r.amount, balance: walletBalance(r.userId).toFixed(2) }));
+      notifyAdmins("admin_payout_failed", { id: r.id, amount: r.amount, reference, reason: r.payout.reason || "-" });
+    }
+    return next;
+  }
+
+  // /admin payout_status <id>: ask the provider, settling the withdrawal or re-sending a transfer it never received
+  async function adminPayoutStatus(adminChatId, withdrawId) {
+    const r = getWithdrawals().find(x => x.id === withdrawId);
+    if (!r) return bot.sendMessage(adminChatId, tr(adminChatId, "admin_withdrawal_not_found"));
+    const reply = (w) => bot.sendMessage(adminChatId, tr(adminChatId, "admin_payout_status", { id: w.id, status: w.status, reference: w.payout.reference, reason: w.payout.reason || "-" }));
+    if (!r.payout) return bot.sendMessage(adminChatId, tr(adminChatId, "admin_payout_none", { id: withdrawId, status: r.status }));
+    if (r.status !== "processing") return reply(r);
+    let res;
+    try {
+      res = await payouts.provider().getTransfer(r.payout.reference);
+    } catch (e) {
+      console.error(`payout ${r.payout.reference} status error`, e);
+      return bot.sendMessage(adminChatId, tr(adminChatId, "payout_provider_error"));
+    }
+    if (!res) {
+      await submitPayout(r, adminChatId);
+    } else {
+      applyPayoutResult(res);
+    }
+    const after = getWithdrawals().find(x => x.id === withdrawId);
+    audit.record({ adminId: adminChatId, action: "withdrawal.payout_status", target: withdrawId, before: { status: r.status }, after: { status: after.status }, note: res ? "" : "resubmitted" });
+    return reply(after);
+  }
+
+  // /admin payout_paid|payout_failed <id> [reason]: settle a manual payout once the admin has paid (or couldn't pay) by hand
+  function adminSettlePayout(adminChatId, withdrawId, status, reason) {
+    const r = getWithdrawals().find(x => x.id === withdrawId);
+    if (!r) return bot.sendMessage(adminChatId, tr(adminChatId, "admin_withdrawal_not_found"));
+    if (!r.payout || r.payout.provider !== "manual" || r.status !== "processing") return bot.sendMessage(adminChatId, tr(adminChatId, "admin_payout_not_manual", { id: withdrawId, status: r.status }));
+    applyPayoutResult({ reference: r.payout.reference, status, reason, providerRef: null });
+    audit.record({ adminId: adminChatId, action: `withdrawal.payout_${status}`, target: withdrawId, before: { status: "processing" }, after: { status }, note: reason });
+  }
+
+  async function adminDecline(adminChatId, withdrawId) {
+    if (!roles.can(adminChatId, "decline")) return forbidden(adminChatId, "decline");
+    const withdrawals = getWithdrawals();
+    const r = withdrawals.find(x => x.id === withdrawId);
+    if (!r) return bot.sendMessage(adminChatId, tr(adminChatId, "admin_withdrawal_not_found"));
+    if (r.status !== "pending") return bot.sendMessage(adminChatId, tr(adminChatId, "admin_already_processed"));
+
+    r.status = "declined";
+    r.declinedBy = adminChatId;
+    r.declinedAt = new Date().toISOString();
+    saveWithdrawals(withdrawals);
+    audit.record({ adminId: adminChatId, action: "withdrawal.decline", target: r.id, before: { status: "pending" }, after: { status: r.status, amount: r.amount } });
+
+    // refund user
+    moveMoney({ type: "withdraw_declined_refund", from: ledger.ACCOUNTS.WITHDRAWALS_PENDING, to: ledger.userAccount(r.userId), amount: r.amount, note: withdrawId, ref: withdrawId });
+
+    bot.sendMessage(adminChatId, tr(adminChatId, "admin_withdrawal_declined", { id: withdrawId }));
+    bot.sendMessage(r.userId, tr(r.userId, "withdrawal_declined", { id: withdrawId, admin: adminChatId }));
+  }
+
+  // --------------------- Send money to other users ---------------------
+  // "@alice 500 [note]" -> a confirm step naming the resolved recipient -> transfer with receipts for both sides
+  const MAX_SEND_NOTE = 100;
+  const SEND_PATTERN = /^send_(ok|no)_([0-9a-f]+)$/;
+
+  function startSendMoneyFlow(chatId) {
+    const user = findUser(chatId);
+    if (!user) return bot.sendMessage(chatId, tr(chatId, "register_first"));
+    convo.start(chatId, "send", "details");
+    bot.sendMessage(chatId, tr(chatId, "send_prompt"));
+  }
+
+  // "@ada (+234•••••5678)": enough to recognise the person without exposing their number
+  function recipientLabel(u) {
+    const phone = u.phone ? `${u.phone.slice(0, 4)}•••••${u.phone.slice(-4)}` : "";
+    if (u.username) return phone ? `@${u.username} (${phone})` : `@${u.username}`;
+    return phone || String(u.id);
+  }
+
+  // checks shared by the details and confirm steps; tells the user and returns false when the transfer can't go ahead
+  function canSend(chatId, targetUser, amount) {
+    if (targetUser.id === chatId) { bot.sendMessage(chatId, tr(chatId, "send_self")); return false; }
+    if (targetUser.frozen) { bot.sendMessage(chatId, tr(chatId, "send_recipient_frozen")); return false; }
+    if (walletBalance(chatId) < amount) { bot.sendMessage(chatId, tr(chatId, "insufficient_balance")); return false; }
+    return riskAllows(chatId, "transfer", amount);
+  }
+
+  function sendDetailsStep(chatId, m) {
+    const t = (m.text || "").trim();
+    const tokens = t.split(/\s+/);
+    // phone numbers may be typed with spaces ("0803 123 4567 500"): use the longest leading run of tokens that makes one
+    let n = 1;
+    if (/^[+\d]/.test(tokens[0])) for (let k = tokens.length - 1; k > 1; k--) if (verify.normalizePhone(tokens.slice(0, k).join(""))) { n = k; break; }
+    const recipient = tokens.slice(0, n).join("");
+    const [amountText, ...rest] = tokens.slice(n);
+    if (!amountText) return bot.sendMessage(chatId, tr(chatId, "send_invalid_format"));
+    const amount = ledger.round2(parseFloat(amountText));
+    if (isNaN(amount) || amount <= 0) return bot.sendMessage(chatId, tr(chatId, "send_invalid_amount"));
+    const note = rest.join(" ").slice(0, MAX_SEND_NOTE);
+    convo.end(chatId);
+
+    const user = findUser(chatId);
+    if (!user) return bot.sendMessage(chatId, tr(chatId, "register_first"));
+    const phone = verify.normalizePhone(recipient);
+    const targetUser = phone ? findUserByPhone(phone) : findUserByUsername(recipient);
+    if (!targetUser) return bot.sendMessage(chatId, tr(chatId, "recipient_not_found"));
+    if (!canSend(chatId, targetUser, amount)) return;
+
+    // the token ties the buttons to this request, so an old Confirm can't send a newer one
+    const token = crypto.randomBytes(4).toString("hex");
+    convo.start(chatId, "send", "confirm", { recipientId: targetUser.id, amount, note, token });
+    const keyboard = { reply_markup: { inline_keyboard: [[{ text: tr(chatId, "send_confirm_yes"), callback_data: `send_ok_${token}` }, { text: tr(chatId, "send_confirm_no"), callback_data: `send_no_${token}` }]] } };
+    return bot.sendMessage(chatId, tr(chatId, "send_confirm", { amount: amount.toFixed(2), recipient: recipientLabel(targetUser), note: noteLine(note) }), keyboard);
+  }
+
+  // typed replies while the buttons are showing
+  function sendConfirmStep(chatId, m, session) {
+    const t = (m.text || "").trim();
+    if (i18n.matches(t, "send_confirm_yes")) return completeSend(chatId, session);
+    if (i18n.matches(t, "send_confirm_no")) return cancelSend(chatId);
+    return bot.sendMessage(chatId, tr(chatId, "send_confirm_choose"));
+  }
+
+  async function handleSendCallback(q, [, answer, token]) {
+    const chatId = q.message.chat.id;
+    const s = convo.get(chatId);
+    if (!s || s.flow !== "send" || s.step !== "confirm" || s.data.token !== token) return bot.answerCallbackQuery(q.id, { text: tr(chatId, "send_expired"), show_alert: true });
+    await bot.answerCallbackQuery(q.id);
+    bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: chatId, message_id: q.message.message_id }).catch(() => {});
+    return answer === "ok" ? completeSend(chatId, s) : cancelSend(chatId);
+  }
+
+  function cancelSend(chatId) {
+    convo.end(chatId);
+    return bot.sendMessage(chatId, tr(chatId, "cancelled", { flow: tr(chatId, "flow_send") }), mainMenu(chatId));
+  }
+
+  function completeSend(chatId, session) {
+    convo.end(chatId);
+    const { recipientId, amount, note } = session.data;
+    // re-check: balances, limits and the recipient may have changed while the buttons were up
+    const user = findUser(chatId);
+    if (!user) return bot.sendMessage(chatId, tr(chatId, "register_first"));
+    const targetUser = findUser(recipientId);
+    if (!targetUser) return bot.sendMessage(chatId, tr(chatId, "recipient_not_found"));
+    if (!canSend(chatId, targetUser, amount)) return;
+
+    const e = moveMoney({ type: "transfer", from: ledger.userAccount(chatId), to: ledger.userAccount(targetUser.id), amount, note: `from ${chatId} to ${targetUser.id}`, memo: note });
+    if (risk.isNewAccount(chatId)) risk.placeHold({ userId: targetUser.id, fromUserId: chatId, amount, ref: e.id });
+    const loop = risk.circularPath(chatId, targetUser.id);
+    if (loop) risk.raise(chatId, "circular_transfer", loop.join(" → "));
+
+    const receipt = (id) => "\n" + tr(id, "send_receipt", { id: e.id, date: e.ts.slice(0, 16).replace("T", " "), note: noteLine(note) });
+    bot.sendMessage(chatId, tr(chatId, "send_done", { amount: amount.toFixed(2), recipient: recipientLabel(targetUser), balance: walletBalance(chatId).toFixed(2) }) + receipt(chatId), mainMenu(chatId));
+    bot.sendMessage(targetUser.id, tr(targetUser.id, "send_received", { amount: amount.toFixed(2), sender: `@${user.username || user.id}`, balance: walletBalance(targetUser.id).toFixed(2) }) + receipt(targetUser.id));
+  }
+
+  // --------------------- Transaction history ---------------------
+  // /history [type] [page]: newest first, HISTORY_PAGE per page, with buttons to page and download the statement
+  const HISTORY_PAGE = 10;
+  const HISTORY_PATTERN = /^hist_([a-z_]+)_(\d+)$/;
+  const STATEMENT_PATTERN = /^stmt_(csv|pdf)_([a-z_]+)$/;
+
+  function historyLine(chatId, r) {
+    const sign = r.amount < 0 ? "-" : "+";
+    const who = r.counterparty === null ? "" : ` ${r.amount < 0 ? "→" : "←"} ${adminName(r.counterparty)}`;
+    return `${r.ts.slice(0, 16).replace("T", " ")} · ${tr(chatId, `history_type_${r.type}`)} · ${sign}₦${Math.abs(r.amount).toFixed(2)}${who}${r.memo ? ` · “${r.memo}”` : ""}`;
+  }
+
+  // { text, options } for one page; type is a statements.TYPES entry or "all"
+  function historyPage(chatId, type, page) {
+    const list = statements.rows(chatId, { type: type === "all" ? undefined : type });
+    const filter = type === "all" ? tr(chatId, "history_all") : tr(chatId, `history_type_${type}`);
+    if (!list.length) return { text: tr(chatId, "history_empty", { filter }), options: undefined };
+    const pages = Math.ceil(list.length / HISTORY_PAGE);
+    const p = Math.min(pages, Math.max(1, page));
+    const t = statements.totals(list);
+    const text = tr(chatId, "history", { filter, page: p, pages, list: list.slice((p - 1) * HISTORY_PAGE, p * HISTORY_PAGE).map(r => historyLine(chatId, r)).join("\n"), in: t.in.toFixed(2), out: t.out.toFixed(2) });
+    const nav = [];
+    if (p > 1) nav.push({ text: tr(chatId, "history_newer"), callback_data: `hist_${type}_${p - 1}` });
+    if (p < pages) nav.push({ text: tr(chatId, "history_older"), callback_data: `hist_${type}_${p + 1}` });
+    const downloads = [{ text: tr(chatId, "history_csv"), callback_data: `stmt_csv_${type}` }, { text: tr(chatId, "history_pdf"), callback_data: `stmt_pdf_${type}` }];
+    return { text, options: { reply_markup: { inline_keyboard: nav.length ? [nav, downloads] : [downloads] } } };
+  }
+
+  function showHistory(chatId, args) {
+    if (!findUser(chatId)) return bot.sendMessage(chatId, tr(chatId, "register_first"));
+    let type = "all";
+    let page = 1;
+    for (const a of args) {
+      if (/^\d+$/.test(a)) page = parseInt(a, 10);
+      else if (a === "all" || statements.TYPES.includes(a)) type = a;
+      else return bot.sendMessage(chatId, tr(chatId, "history_usage", { types: statements.TYPES.join(", ") }));
+    }
+    const { text, options } = historyPage(chatId, type, page);
+    return bot.sendMessage(chatId, text, options);
+  }
+
+  async function handleHistoryCallback(q, [, type, page]) {
+    const chatId = q.message.chat.id;
+    await bot.answerCallbackQuery(q.id);
+    const { text, options } = historyPage(chatId, type, parseInt(page, 10));
+    return bot.editMessageText(text, { chat_id: chatId, message_id: q.message.message_id, ...options });
+  }
+
+  async function sendStatement(q, [, format, type]) {
+    const chatId = q.message.chat.id;
+    const list = statements.rows(chatId, { type: type === "all" ? undefined : type });
+    if (!list.length) return bot.answerCallbackQuery(q.id, { text: tr(chatId, "history_empty", { filter: type }) });
+    await bot.answerCallbackQuery(q.id);
+    const now = new Date().toISOString();
+    const filename = `clean9ja-statement-${chatId}-${type}-${now.slice(0, 10)}.${format}`;
+    let data;
+    if (format === "csv") {
+      data = Buffer.from(statements.toCsv(list, { name: adminName }));
+    } else {
+      const title = [
+        "Clean9ja wallet statement",
+        `Account: ${adminName(chatId)} (${chatId})`,
+        `Type: ${type}`,
+        `Period: ${list[list.length - 1].ts.slice(0, 10)} to ${list[0].ts.slice(0, 10)}`,
+        `Generated: ${now.slice(0, 16).replace("T", " ")} UTC   Balance: NGN ${walletBalance(chatId).toFixed(2)}`,
+      ];
+      data = statements.toPdf(list, { title, name: adminName });
+    }
+    const caption = tr(chatId, "history_statement", { filter: type === "all" ? tr(chatId, "history_all") : tr(chatId, `history_type_${type}`), count: list.length });
+    return bot.sendDocument(chatId, data, { caption }, { filename, contentType: format === "csv" ? "text/csv" : "application/pdf" });
+  }
+
+  // --------------------- Risk rules ---------------------
+  // risk.check() for a user action; when it is blocked, tells the user why, ends their flow and returns false
+  function riskAllows(chatId, action, amount) {
+    try {
+      risk.check(chatId, action, amount);
+      return true;
+    } catch (e) {
+      if (!(e instanceof risk.RiskError)) throw e;
+      convo.end(chatId);
+      bot.sendMessage(chatId, tr(chatId, `risk_${e.code}`, e.vars), mainMenu(chatId));
+      return false;
+    }
+  }
+
+  const offRiskFlag = risk.onFlag((f) => notifyAdmins("admin_risk_flag", { id: f.id, user: f.userId, type: f.type, details: f.details }));
+
+  // /admin risk: open flags, frozen accounts and money on hold
+  function adminRisk(chatId) {
+    const flags = risk.openFlags().slice(0, 20).map(f => `${f.id} - ${f.userId} - ${f.type}${f.count > 1 ? ` ×${f.count}` : ""} - ${f.details}`);
+    const frozen = risk.frozenUsers().map(u => `${u.id}${u.username ? ` (@${u.username})` : ""} - ${adminName(u.frozen.by)} ${u.frozen.at.slice(0, 10)}${u.frozen.reason ? ` - ${u.frozen.reason}` : ""}`);
+    const holds = risk.activeHolds().map(h => `${h.id} - ${h.userId} ← ${h.fromUserId} - ₦${h.amount.toFixed(2)} until ${h.releaseAt.slice(0, 16).replace("T", " ")}`);
+    const section = (lines) => (lines.length ? lines.join("\n") : "-");
+    return bot.sendMessage(chatId, tr(chatId, "admin_risk", { flags: section(flags), frozen: section(frozen), holds: section(holds) }));
+  }
+
+  function adminFreeze(adminId, userId, reason) {
+    const u = findUser(userId);
+    if (!u) return bot.sendMessage(adminId, tr(adminId, "admin_user_not_found", { id: userId }));
+    if (u.frozen) return bot.sendMessage(adminId, tr(adminId, "admin_already_frozen", { id: userId }));
+    const change = risk.freeze(userId, adminId, reason);
+    convo.end(userId);
+    audit.record({ adminId, action: "risk.freeze", target: userId, before: { frozen: false }, after: { frozen: true }, note: reason });
+    bot.sendMessage(userId, tr(userId, "account_frozen_notice"));
+    return bot.sendMessage(adminId, tr(adminId, "admin_frozen", { id: userId, at: change.after.frozen.at.slice(0, 16).replace("T", " ") }));
+  }
+
+  function adminUnfreeze(adminId, userId) {
+    const u = findUser(userId);
+    if (!u) return bot.sendMessage(adminId, tr(adminId, "admin_user_not_found", { id: userId }));
+    if (!u.frozen) return bot.sendMessage(adminId, tr(adminId, "admin_not_frozen", { id: userId }));
+    risk.unfreeze(userId);
+    audit.record({ adminId, action: "risk.unfreeze", target: userId, before: { frozen: true, reason: u.frozen.reason }, after: { frozen: false } });
+    bot.sendMessage(userId, tr(userId, "account_unfrozen"), mainMenu(userId));
+    return bot.sendMessage(adminId, tr(adminId, "admin_unfrozen", { id: userId }));
+  }
+
+  function adminDismissFlag(adminId, id, note) {
+    const f = risk.dismiss(id, adminId, note);
+    if (!f) return bot.sendMessage(adminId, tr(adminId, "admin_flag_not_found", { id }));
+    audit.record({ adminId, action: "risk.dismiss_flag", target: id, before: { status: "open" }, after: { status: f.status }, note });
+    return bot.sendMessage(adminId, tr(adminId, "admin_flag_dismissed", { id, user: f.userId, type: f.type }));
+  }
+
+  function adminReleaseHold(adminId, id) {
+    const h = risk.releaseHold(id, adminId);
+    if (!h) return bot.sendMessage(adminId, tr(adminId, "admin_hold_not_found", { id }));
+    audit.record({ adminId, action: "risk.release_hold", target: id, before: { held: h.amount }, after: { held: 0 }, note: `user ${h.userId}` });
+    bot.sendMessage(h.userId, tr(h.userId, "hold_released", { amount: h.amount.toFixed(2), available: risk.available(h.userId).toFixed(2) }));
+    return bot.sendMessage(adminId, tr(adminId, "admin_hold_released", { id, user: h.userId, amount: h.amount.toFixed(2) }));
+  }
+
+  // --------------------- Pickup orders ---------------------
+  function describeWhere(p) {
+    if (p.method === "dropoff") return "Drop-off";
+    if (p.location) return `Location: ${p.location.latitude},${p.location.longitude}`;
+    return `Address: ${p.address}`;
+  }
+
+  // marks an estimate that is the user's own caption weight rather than the classifier's
+  function kgClaimText(chatId, p) { return p.kgClaimed ? tr(chatId, "pickup_kg_claimed") : ""; }
+
+  function orderLine(p) {
+    const kg = p.measuredKg !== null ? `${p.measuredKg} kg` : `~${p.estimatedKg} kg`;
+    const amount = p.finalAmount !== null ? p.finalAmount : p.estimatedPrice;
+    return `${p.id} - ${p.wasteType} - ${kg} - ₦${Number(amount).toFixed(2)} - ${p.status}${p.collectorId ? ` - collector ${p.collectorId}` : ""}`;
+  }
+
+  // /orders - a user's open pickup orders plus the last few closed ones
+  function showOrders(chatId) {
+    const mine = pickups.list({ userId: chatId });
+    if (!mine.length) return bot.sendMessage(chatId, tr(chatId, "orders_none"));
+    const open = mine.filter(p => pickups.OPEN.includes(p.status));
+    const closed = mine.filter(p => !pickups.OPEN.includes(p.status)).slice(0, 5);
+    return bot.sendMessage(chatId, tr(chatId, "orders_list", { list: open.concat(closed).map(orderLine).join("\n") }));
+  }
+
+  function isAdmin(id) { return getAdminCfg().admins.includes(id); }
+  function isCollector(id) { return (getAdminCfg().collectors || []).includes(id); }
+
+  // tell the owner of an order that it moved on
+  function notifyPickupUser(p, extra = {}) {
+    const vars = { id: p.id, kg: p.measuredKg, amount: p.finalAmount !== null ? Number(p.finalAmount).toFixed(2) : "", reason: p.rejectReason || "", ...extra };
+    bot.sendMessage(p.userId, tr(p.userId, `pickup_status_${p.status}`, vars));
+  }
+
+  // run a pickup step, turning PickupError into a reply to whoever asked
+  function pickupStep(actorId, fn) {
+    try {
+      return fn();
+    } catch (e) {
+      if (e instanceof pickups.PickupError) return bot.sendMessage(actorId, tr(actorId, `pickup_error_${e.code}`, e.vars));
+      throw e;
+    }
+  }
+
+  // collectors may only touch orders assigned to them; admins may touch any
+  function canHandlePickup(actorId, p) {
+    return roles.can(actorId, "weigh") || (isCollector(actorId) && p && p.collectorId === actorId);
+  }
+
+  function pickupAssign(adminId, id, collectorId) {
+    if (!isCollector(collectorId) && !isAdmin(collectorId)) return bot.sendMessage(adminId, tr(adminId, "admin_not_collector", { id: collectorId }));
+    return pickupStep(adminId, () => {
+      const prev = (pickups.get(id) || {}).status;
+      const p = pickups.transition(id, "assigned", { by: adminId, fields: { collectorId } });
+      audit.record({ adminId, action: "pickup.assign", target: id, before: { status: prev }, after: { status: p.status, collectorId } });
+      bot.sendMessage(adminId, tr(adminId, "admin_pickup_assigned", { id, collector: collectorId }));
+      bot.sendMessage(collectorId, tr(collectorId, "collector_new_job", { id, waste: p.wasteType, kg: p.estimatedKg, claim: kgClaimText(collectorId, p), where: describeWhere(p) }));
+      notifyPickupUser(p);
+    });
+  }
+
+  function pickupCollected(actorId, id) {
+    if (!canHandlePickup(actorId, pickups.get(id))) return bot.sendMessage(actorId, tr(actorId, "admin_unauthorized"));
+    return pickupStep(actorId, () => {
+      const prev = (pickups.get(id) || {}).status;
+      const p = pickups.transition(id, "collected", { by: actorId });
+      audit.record({ adminId: actorId, action: "pickup.collected", target: id, before: { status: prev }, after: { status: p.status } });
+      bot.sendMessage(actorId, tr(actorId, "pickup_collected_ok", { id }));
+      notifyPickupUser(p);
+    });
+  }
+
+  // record the measured weight; the payout is recalculated from it at the scan's rate
+  function pickupWeigh(actorId, id, kgText) {
+    const p0 = pickups.get(id);
+    if (!canHandlePickup(actorId, p0)) return bot.sendMessage(actorId, tr(actorId, "admin_unauthorized"));
+    const kg = Number(kgText);
+    if (!Number.isFinite(kg) || kg <= 0) return bot.sendMessage(actorId, tr(actorId, "pickup_invalid_kg"));
+    return pickupStep(actorId, () => {
+      const measuredKg = ledger.round2(kg);
+      const p = pickups.transition(id, "weighed", { by: actorId, fields: { measuredKg, finalAmount: ledger.round2(measuredKg * p0.rate), weighedBy: actorId } });
+      audit.record({ adminId: actorId, action: "pickup.weigh", target: id, before: { status: p0.status, measuredKg: p0.measuredKg }, after: { status: p.status, measuredKg, finalAmount: p.finalAmount } });
+      bot.sendMessage(actorId, tr(actorId, "pickup_weighed_ok", { id, kg: measuredKg, amount: p.finalAmount.toFixed(2) }));
+      if (!isAdmin(actorId)) notifyAdmins("admin_pickup_weighed", { id, by: actorId, kg: measuredKg, amount: p.finalAmount.toFixed(2) });
+      notifyPickupUser(p);
+    });
+  }
+
+  // pay the user for the weighed amount; `/admin confirm <id> <kg>` weighs and pays in one step, so a
+  // weight that can't be recorded pays nothing
+  function pickupCredit(adminId, id, kgText) {
+    const p0 = pickups.get(id);
+    const weigh = kgText !== undefined && p0 && ["collected", "weighed"].includes(p0.status);
+    const kg = ledger.round2(Number(kgText));
+    if (weigh && (!Number.isFinite(kg) || kg <= 0)) return bot.sendMessage(adminId, tr(adminId, "pickup_invalid_kg"));
+    return pickupStep(adminId, () => {
+      if (weigh) {
+        const w = pickups.transition(id, "weighed", { by: adminId, fields: { measuredKg: kg, finalAmount: ledger.round2(kg * p0.rate), weighedBy: adminId } });
+        audit.record({ adminId, action: "pickup.weigh", target: id, before: { status: p0.status, measuredKg: p0.measuredKg }, after: { status: w.status, measuredKg: w.measuredKg, finalAmount: w.finalAmount } });
+      }
+      const before = pickups.get(id);
+      if (before && pickups.OPEN.includes(before.status) && before.status !== "weighed") throw new pickups.PickupError("not_weighed", { id, status: before.status });
+      const p = pickups.transition(id, "credited", { by: adminId, fields: { creditedAt: new Date().toISOString() } });
+      audit.record({ adminId, action: "pickup.credit", target: id, before: { status: before.status }, after: { status: p.status, amount: p.finalAmount, userId: p.userId } });
+      if (p.finalAmount > 0) moveMoney({ type: "scan_credit", from: ledger.ACCOUNTS.SCAN_REWARDS, to: ledger.userAccount(p.userId), amount: p.finalAmount, note: `${p.wasteType} ${p.measuredKg}kg`, ref: p.id });
+      bot.sendMessage(adminId, tr(adminId, "admin_pickup_credited", { id, kg: p.measuredKg, amount: p.finalAmount.toFixed(2) }));
+      notifyPickupUser(p, { balance: walletBalance(p.userId).toFixed(2) });
+      referrals.onFirstScan(p.userId);
+      payReferral(p.userId);
+    });
+  }
+
+  function pickupReject(adminId, id, reason) {
+    return pickupStep(adminId, () => {
+      const prev = (pickups.get(id) || {}).status;
+      const p = pickups.transition(id, "rejected", { by: adminId, note: reason, fields: { rejectReason: reason || "" } });
+      audit.record({ adminId, action: "pickup.reject", target: id, before: { status: prev }, after: { status: p.status }, note: reason });
+      bot.sendMessage(adminId, tr(adminId, "admin_pickup_rejected", { id }));
+      notifyPickupUser(p);
+    });
+  }
+
+  // /collector jobs | collected <id> | weigh <id> <kg>
+  function handleCollectorCommand(chatId, text) {
+    if (!isCollector(chatId) && !isAdmin(chatId)) return bot.sendMessage(chatId, tr(chatId, "collector_not_collector"));
+    const parts = text.split(/\s+/);
+    const cmd = parts[1] || "";
+    if (cmd === "jobs") {
+      const jobs = pickups.list({ collectorId: chatId, open: true });
+      if (!jobs.length) return bot.sendMessage(chatId, tr(chatId, "collector_jobs_none"));
+      return bot.sendMessage(chatId, tr(chatId, "collector_jobs", { list: jobs.map(p => `${orderLine(p)}\n  ${describeWhere(p)}`).join("\n") }));
+    }
+    if (cmd === "collected" && parts[2]) return pickupCollected(chatId, parts[2]);
+    if (cmd === "weigh" && parts[2] && parts[3]) return pickupWeigh(chatId, parts[2], parts[3]);
+    return bot.sendMessage(chatId, tr(chatId, "collector_help"));
+  }
+
+  // --------------------- Referrals ---------------------
+  // only chats with no wallet activity and no verified phone can still be attributed to a referrer
+  function isNewUser(chatId) {
+    const u = findUser(chatId);
+    if (!u) return true;
+    return !u.verified && !u.phone && ledger.entriesFor(ledger.userAccount(chatId)).length === 0;
+  }
+
+  function handleReferralStart(chatId, code, from) {
+    if (!config.get("referral_enabled")) return;
+    if (!isNewUser(chatId)) return bot.sendMessage(chatId, tr(chatId, "referral_not_new"));
+    let r;
+    try {
+      r = referrals.attribute(code, chatId);
+    } catch (e) {
+      if (!(e instanceof referrals.ReferralError)) throw e;
+      if (e.message === "self") return bot.sendMessage(chatId, tr(chatId, "referral_self"));
+      if (e.message === "unknown_code") return bot.sendMessage(chatId, tr(chatId, "referral_unknown"));
+      return; // already attributed: a second link changes nothing
+    }
+    const referrer = findUser(r.referrerId);
+    const name = from && from.username ? `@${from.username}` : tr(r.referrerId, "referral_someone");
+    bot.sendMessage(chatId, tr(chatId, "referral_welcome", { referrer: referrer && referrer.username ? `@${referrer.username}` : r.referrerId, bonus: config.get("referral_reward_referee") }));
+    bot.sendMessage(r.referrerId, tr(r.referrerId, "referral_joined", { name, bonus: config.get("referral_reward_referrer") }));
+  }
+
+  // pay both sides once the referee has qualified; claimReward makes this safe to call repeatedly
+  function payReferral(refereeId) {
+    const rewards = { referrer: config.get("referral_reward_referrer"), referee: config.get("referral_reward_referee") };
+    const r = referrals.claimReward(refereeId, rewards);
+    if (!r) return null;
+    if (rewards.referrer > 0) moveMoney({ type: "referral_reward", from: ledger.ACCOUNTS.REFERRAL_REWARDS, to: ledger.userAccount(r.referrerId), amount: rewards.referrer, note: `referred ${refereeId}`, ref: r.id });
+    if (rewards.referee > 0) moveMoney({ type: "referral_reward", from: ledger.ACCOUNTS.REFERRAL_REWARDS, to: ledger.userAccount(refereeId), amount: rewards.referee, note: `referred by ${r.referrerId}`, ref: r.id });
+    if (rewards.referrer > 0) bot.sendMessage(r.referrerId, tr(r.referrerId, "referral_rewarded_referrer", { amount: rewards.referrer, balance: walletBalance(r.referrerId).toFixed(2) }));
+    if (rewards.referee > 0) bot.sendMessage(refereeId, tr(refereeId, "referral_rewarded_referee", { amount: rewards.referee, balance: walletBalance(refereeId).toFixed(2) }));
+    return r;
+  }
+
+  let botUsername = null;
+  async function showReferral(chatId) {
+    if (!findUser(chatId)) return bot.sendMessage(chatId, tr(chatId, "register_first"));
+    if (!botUsername) botUsername = (await bot.getMe()).username;
+    const s = referrals.stats(chatId);
+    return bot.sendMessage(chatId, tr(chatId, "referral_info", {
+      link: referrals.link(botUsername, chatId),
+      referrer: config.get("referral_reward_referrer"),
+      referee: config.get("referral_reward_referee"),
+      invited: s.invited,
+      pending: s.pending,
+      rewarded: s.rewarded,
+      earned: s.earned.toFixed(2),
+    }));
+  }
+
+  const materialLabel = (chatId, m) => (classifier.MATERIALS[m] ? classifier.MATERIALS[m].label : tr(chatId, "stats_material_other"));
+
+  // /stats: the user's recycling, earnings and estimated CO₂ saved (see stats.js)
+  function showStats(chatId) {
+    if (!findUser(chatId)) return bot.sendMessage(chatId, tr(chatId, "register_first"));
+    const s = stats.forUser(chatId);
+    if (!s.scans && !s.earnings.total) return bot.sendMessage(chatId, tr(chatId, "stats_empty", { menu_scan: tr(chatId, "menu_scan") }));
+    const materials = Object.entries(s.materials).map(([m, x]) => `• ${materialLabel(chatId, m)}: ${x.kg} kg (₦${x.amount.toFixed(2)})`).join("\n");
+    const rank = s.rank ? tr(chatId, "stats_rank", s.rank) : tr(chatId, "stats_rank_none");
+    return bot.sendMessage(chatId, tr(chatId, "stats", {
+      kg: s.kg, scans: s.scans, materials: materials || "-", co2: s.co2,
+      total: s.earnings.total.toFixed(2), earned_scans: s.earnings.scans.toFixed(2),
+      earned_complaints: s.earnings.complaints.toFixed(2), earned_referrals: s.earnings.referrals.toFixed(2), rank,
+    }));
+  }
+
+  // /leaderboard: top LGAs by kg recycled, and where the user stands in theirs (no other user is named)
+  function showLeaderboard(chatId) {
+    const rows = stats.recycled();
+    const top = stats.leaderboard(rows).slice(0, 10);
+    if (!top.length) return bot.sendMessage(chatId, tr(chatId, "leaderboard_empty"));
+    const list = top.map((l, i) => `${i + 1}. ${l.lga}${l.state ? ` (${l.state})` : ""} - ${l.kg} kg, ${l.recyclers} ♻️`).join("\n");
+    const rank = stats.rankOf(chatId, rows);
+    return bot.sendMessage(chatId, tr(chatId, "leaderboard", { list, you: rank ? tr(chatId, "stats_rank", rank) : tr(chatId, "stats_rank_none") }));
+  }
+
+  // /admin list_complaints [status=pending] [lga=Eti-Osa] [state=Lagos] [category=illegal_dump]
+  const COMPLAINT_FILTERS = ["status", "lga", "state", "category"];
+  function adminListComplaints(chatId, argText) {
+    const filters = {};
+    for (const [, key, value] of argText.matchAll(/(\w+)=(.+?)(?=\s+\w+=|$)/g)) {
+      if (!COMPLAINT_FILTERS.includes(key)) return bot.sendMessage(chatId, tr(chatId, "admin_complaints_usage", { filters: COMPLAINT_FILTERS.join(", "), categories: COMPLAINT_CATEGORIES.join(", ") }));
+      filters[key] = geo.norm(value);
+    }
+    if (argText.trim() && !Object.keys(filters).length) return bot.sendMessage(chatId, tr(chatId, "admin_complaints_usage", { filters: COMPLAINT_FILTERS.join(", "), categories: COMPLAINT_CATEGORIES.join(", ") }));
+    const c = getComplaints().filter(x => Object.entries(filters).every(([k, v]) => geo.norm(x[k]) === v));
+    if (!c.length) return bot.sendMessage(chatId, tr(chatId, "admin_no_complaints"));
+    // newest 30 keep the reply inside Telegram's message limit
+    const s = c.slice(-30).map(x => `${x.id} - ${x.userId} - ${x.status}${x.duplicateOf ? ` (dup of ${x.duplicateOf})` : ""} - ${x.category || "-"} - ${describeArea(null, x)} - ${(x.text || "").slice(0, 50)}`).join("\n");
+    return bot.sendMessage(chatId, tr(chatId, "admin_complaints", { list: s }));
+  }
+
+  // --------------------- Admin commands ---------------------
+  function handleAdminCommand(chatId, text) {
+    const cfg = getAdminCfg();
+    if (!cfg.admins.includes(chatId)) return bot.sendMessage(chatId, tr(chatId, "admin_not_admin"));
+
+    const parts = text.split(" ");
+    // /admin list_withdrawals
+    const cmd = parts[1] || "";
+    const permission = roles.permissionFor(parts.slice(1));
+    if (roles.PERMISSIONS[permission] && !roles.can(chatId, permission)) return forbidden(chatId, permission);
+    if (cmd === "list_withdrawals") {
+      const w = getWithdrawals();
+      if (!w.length) return bot.sendMessage(chatId, tr(chatId, "admin_no_withdrawals"));
+      // newest 30 keep the reply inside Telegram's message limit; the dashboard pages through all of them
+      const s = w.slice(-30).map(r => `${r.id} - ${r.userId} - ₦${r.amount} - ${r.status}${r.destination ? ` - ${describeDestination(r.destination)}` : ""}`).join("\n");
+      return bot.sendMessage(chatId, tr(chatId, "admin_withdrawals", { list: s }));
+    }
+    if (cmd === "approve" && parts[2]) return reviewAction(chatId, "withdraw", "approve", parts[2]);
+    if (cmd === "decline" && parts[2]) return reviewAction(chatId, "withdraw", "decline", parts[2]);
+    if (cmd === "payout_status" && parts[2]) return adminPayoutStatus(chatId, parts[2]);
+    if (cmd === "payout_paid" && parts[2]) return adminSettlePayout(chatId, parts[2], "paid", parts.slice(3).join(" "));
+    if (cmd === "payout_failed" && parts[2]) return adminSettlePayout(chatId, parts[2], "failed", parts.slice(3).join(" "));
+    if (cmd === "list_complaints") return adminListComplaints(chatId, parts.slice(2).join(" "));
+    if (cmd === "approve_complaint" && parts[2]) return reviewAction(chatId, "complaint", "approve", parts[2]);
+    if (cmd === "decline_complaint" && parts[2]) return reviewAction(chatId, "complaint", "decline", parts[2]);
+    if (cmd === "complaint" && parts[2]) return adminShowComplaint(chatId, parts[2]);
+    if (cmd === "complaint_status" && parts[2] && parts[3]) return adminComplaintStatus(chatId, parts[2], parts[3], parts.slice(4).join(" "));
+    if (cmd === "complaint_note" && parts[2]) return adminComplaintNote(chatId, parts[2], parts.slice(3).join(" "));
+    if (cmd === "duplicate" && parts[2] && parts[3]) return adminMarkDuplicate(chatId, parts[2], parts[3]);
+    if (cmd === "not_duplicate" && parts[2]) return adminMarkDuplicate(chatId, parts[2], null);
+    if (cmd === "risk") return adminRisk(chatId);
+    if (cmd === "freeze" && parts[2]) return adminFreeze(chatId, parseInt(parts[2], 10), parts.slice(3).join(" "));
+    if (cmd === "unfreeze" && parts[2]) return adminUnfreeze(chatId, parseInt(parts[2], 10));
+    if (cmd === "dismiss_flag" && parts[2]) return adminDismissFlag(chatId, parts[2], parts.slice(3).join(" "));
+    if (cmd === "release_hold" && parts[2]) return adminReleaseHold(chatId, parts[2]);
+    if (cmd === "broadcast") return adminBroadcast(chatId, parts.slice(2).join(" "));
+    if (cmd === "broadcast_variant" && parts[2] && parts[3]) return adminBroadcastVariant(chatId, parts[2], parts[3], parts.slice(4).join(" "));
+    if (cmd === "broadcast_cancel" && parts[2]) return adminBroadcastCancel(chatId, parts[2]);
+    if (cmd === "broadcast_status" && parts[2]) return adminBroadcastStatus(chatId, parts[2]);
+    if (cmd === "broadcasts") return adminBroadcasts(chatId);
+    if (cmd === "export") return adminExport(chatId, parts[2], parts[3], parts[4]);
+    if (cmd === "stats") return adminStats(chatId, parts[2]);
+    if (cmd === "reconcile") {
+      const off = ledger.reconcile(getUsers());
+      if (!off.length) return bot.sendMessage(chatId, tr(chatId, "admin_reconcile_ok"));
+      const s = off.map(m => `${m.userId}${m.username ? ` (@${m.username})` : ""} - stored ₦${m.stored.toFixed(2)} - ledger ₦${m.ledger.toFixed(2)} - diff ₦${m.diff.toFixed(2)}`).join("\n");
+      return bot.sendMessage(chatId, tr(chatId, "admin_reconcile_mismatch", { count: off.length, list: s }));
+    }
+    if (cmd === "list_pickups") {
+      const status = parts[2];
+      if (status && !pickups.STATUSES.includes(status)) return bot.sendMessage(chatId, tr(chatId, "admin_pickups_status", { statuses: pickups.STATUSES.join(", ") }));
+      const list = status ? pickups.list({ status }) : pickups.list({ open: true });
+      if (!list.length) return bot.sendMessage(chatId, tr(chatId, "admin_no_pickups"));
+      return bot.sendMessage(chatId, tr(chatId, "admin_pickups", { list: list.map(orderLine).join("\n") }));
+    }
+    if (cmd === "assign" && parts[2] && parts[3]) return pickupAssign(chatId, parts[2], parseInt(parts[3], 10));
+    if (cmd === "collected" && parts[2]) return pickupCollected(chatId, parts[2]);
+    if (cmd === "weigh" && parts[2] && parts[3]) return pickupWeigh(chatId, parts[2], parts[3]);
+    if (cmd === "confirm" && parts[2]) return pickupCredit(chatId, parts[2], parts[3]);
+    if (cmd === "reject_pickup" && parts[2]) return pickupReject(chatId, parts[2], parts.slice(3).join(" "));
+    if (cmd === "addcollector" && parts[2]) {
+      const id = parseInt(parts[2], 10);
+      const cfg = getAdminCfg();
+      cfg.collectors = cfg.collectors || [];
+      if (cfg.collectors.includes(id)) return bot.sendMessage(chatId, tr(chatId, "admin_collector_exists", { id }));
+      cfg.collectors.push(id);
+      saveAdminCfg(cfg);
+      audit.record({ adminId: chatId, action: "collector.add", target: id });
+      return bot.sendMessage(chatId, tr(chatId, "admin_collector_added", { id }));
+    }
+    if (cmd === "settings") return adminSettings(chatId, parts.slice(2));
+    if (cmd === "dashboard") return bot.sendMessage(chatId, tr(chatId, "admin_dashboard_link", { url: dashboard.loginLink(chatId), minutes: dashboard.LOGIN_MINUTES }));
+    if (cmd === "i18n") {
+      const missing = Object.entries(i18n.missingKeys()).filter(([, keys]) => keys.length);
+      const clashes = i18n.menuClashes();
+      if (!missing.length && !clashes.length) return bot.sendMessage(chatId, tr(chatId, "admin_i18n_ok", { count: i18n.baseKeys().length }));
+      // keep under Telegram's message limit; `node i18n.js` prints the full list
+      const s = missing.map(([lang, keys]) => `${lang} (${keys.length}): ${keys.slice(0, 15).join(", ")}${keys.length > 15 ? ", …" : ""}`).concat(clashes).join("\n\n");
+      return bot.sendMessage(chatId, tr(chatId, "admin_i18n_missing", { fallback: config.get("default_language"), list: s }));
+    }
+    if (cmd === "jobs") return adminJobs(chatId);
+    if (cmd === "run_job" && parts[2]) return adminRunJob(chatId, parts[2]);
+    if (cmd === "backup") return adminBackup(chatId);
+    if (cmd === "backups") return adminBackups(chatId);
+    if (cmd === "admins") return bot.sendMessage(chatId, tr(chatId, "admin_admins", { list: roles.list().map(a => `${adminName(a.id)} (${a.id}) - ${a.role}`).join("\n") }));
+    if (cmd === "addadmin" && parts[2]) return adminRoleChange(chatId, "admin.add", parseInt(parts[2], 10), () => roles.add(parseInt(parts[2], 10), parts[3] || "support"));
+    if (cmd === "removeadmin" && parts[2]) return adminRoleChange(chatId, "admin.remove", parseInt(parts[2], 10), () => roles.remove(parseInt(parts[2], 10)));
+    if (cmd === "role" && parts[2] && parts[3]) return adminRoleChange(chatId, "admin.role", parseInt(parts[2], 10), () => roles.setRole(parseInt(parts[2], 10), parts[3]));
+    if (cmd === "audit") return adminAudit(chatId, parts.slice(2).join(" "));
+
+    bot.sendMessage(chatId, adminHelp(chatId));
+  }
+
+  // refuse a command the admin's role does not allow, and keep a record of the attempt
+  function forbidden(adminId, permission) {
+    const role = roles.roleOf(adminId);
+    audit.record({ adminId, action: "denied", target: permission, note: role || "" });
+    return bot.sendMessage(adminId, tr(adminId, role ? "admin_forbidden" : "admin_unauthorized", { role }));
+  }
+
+  // admin_help without the commands the reader's role cannot use
+  function adminHelp(chatId) {
+    const lines = tr(chatId, "admin_help").split("\n").filter(line => {
+      const m = /^\/admin (\S+)(?: (\S+))?/.exec(line);
+      return !m || roles.can(chatId, roles.permissionFor([m[1], m[2]]));
+    });
+    return `${lines.join("\n")}\n\n${tr(chatId, "admin_your_role", { role: roles.roleOf(chatId) })}`;
+  }
+
+  // add/remove an admin or change a role (owner only); fn returns { before, after } or throws RoleError
+  function adminRoleChange(adminId, action, target, fn) {
+    if (!Number.isInteger(target)) return bot.sendMessage(adminId, adminHelp(adminId));
+    try {
+      const change = fn();
+      audit.record({ adminId, action, target, before: change.before, after: change.after });
+      return bot.sendMessage(adminId, tr(adminId, "admin_roles_changed", { id: target, before: change.before ? change.before.role : "-", after: change.after ? change.after.role : "-" }));
+    } catch (e) {
+      if (e instanceof roles.RoleError) return bot.sendMessage(adminId, tr(adminId, `admin_role_error_${e.code}`, e.vars));
+      throw e;
+    }
+  }
+
+  // /admin audit [admin=<id>] [action=<prefix>] [target=<id>] [page=<n>] | /admin audit verify
+  const AUDIT_PAGE = 15;
+  function adminAudit(chatId, argText) {
+    if (argText.trim() === "verify") {
+      const v = audit.verify();
+      if (v.ok) return bot.sendMessage(chatId, tr(chatId, "admin_audit_ok", { count: v.count }));
+      return bot.sendMessage(chatId, tr(chatId, "admin_audit_broken", { index: v.broken + 1, count: v.count }));
+    }
+    const args = {};
+    for (const [, key, value] of argText.matchAll(/(\w+)=(\S+)/g)) args[key] = value;
+    const entries = audit.list({ adminId: args.admin ? Number(args.admin) : undefined, action: args.action, target: args.target });
+    if (!entries.length) return bot.sendMessage(chatId, tr(chatId, "admin_audit_empty"));
+    const pages = Math.ceil(entries.length / AUDIT_PAGE);
+    const page = Math.min(pages, Math.max(1, parseInt(args.page, 10) || 1));
+    const brief = (v) => (v === null ? "-" : JSON.stringify(v));
+    const list = entries.slice((page - 1) * AUDIT_PAGE, page * AUDIT_PAGE)
+      .map(e => `${e.ts.slice(0, 16).replace("T", " ")} ${adminName(e.adminId)} ${e.action}${e.target !== null ? ` ${e.target}` : ""}${e.before !== null || e.after !== null ? ` ${brief(e.before)} → ${brief(e.after)}` : ""}${e.note ? ` (${e.note.slice(0, 60)})` : ""}`)
+      .join("\n");
+    return bot.sendMessage(chatId, tr(chatId, "admin_audit", { page, pages, total: entries.length, list }));
+  }
+
+  // /admin settings get [key] | set <key> <value>
+  function adminSettings(chatId, args) {
+    const [action, key, ...rest] = args;
+    if (action === "get" || !action) {
+      if (key) {
+        if (!config.SCHEMA[key]) return bot.sendMessage(chatId, tr(chatId, "admin_setting_unknown", { key }));
+        return bot.sendMessage(chatId, `${key} = ${JSON.stringify(config.get(key))}\n${config.SCHEMA[key].desc}`);
+      }
+      const s = Object.entries(config.all()).map(([k, v]) => `${k} = ${JSON.stringify(v)}`).join("\n");
+      return bot.sendMessage(chatId, tr(chatId, "admin_settings", { list: s }));
+    }
+    if (action === "set" && key && rest.length) {
+      try {
+        const change = applySetting(chatId, key, rest.join(" "));
+        const note = key === "mode" ? "\n" + tr(chatId, "admin_setting_restart") : "";
+        return bot.sendMessage(chatId, tr(chatId, "admin_setting_changed", { key, before: JSON.stringify(change.before), after: JSON.stringify(change.after) }) + note);
+      } catch (e) {
+        if (e instanceof config.ConfigError) return bot.sendMessage(chatId, tr(chatId, `admin_setting_error_${e.code}`, e.vars));
+        throw e;
+      }
+    }
+    return bot.sendMessage(chatId, tr(chatId, "admin_settings_usage"));
+  }
+
+  // change a setting and record it; throws ConfigError for unknown keys or bad values
+  function applySetting(adminId, key, value) {
+    const change = config.set(key, value);
+    audit.record({ adminId, action: "settings.set", target: key, before: change.before, after: change.after });
+    return change;
+  }
+
+  // --------------------- Backups and exports ---------------------
+  // bots may upload files up to 50 MB
+  const TELEGRAM_UPLOAD_LIMIT = 50 * 1024 * 1024;
+  const countsLine = (counts) => Object.entries(counts).map(([name, n]) => `${name} ${n}`).join(", ");
+
+  // /admin backup: archive the backed-up collections now and send the file as an off-site copy
+  async function adminBackup(adminId) {
+    let b;
+    try {
+      b = await backup.create({ reason: "manual", by: adminId, dir: backupDir });
+    } catch (e) {
+      console.error("backup failed", e);
+      return bot.sendMessage(adminId, tr(adminId, "admin_backup_failed", { error: e.message }));
+    }
+    audit.record({ adminId, action: "backup.create", target: b.name, after: { sha256: b.sha256, counts: b.counts } });
+    // the archive comes from memory; say so when the data files are behind it
+    const unsaved = await store.flush().then(() => null, e => e.message);
+    const caption = tr(adminId, "admin_backup_done", { name: b.name, size: (b.bytes / 1024).toFixed(1), counts: countsLine(b.counts), sha256: b.sha256 })
+      + (unsaved ? `\n${tr(adminId, "admin_backup_unsaved", { error: unsaved })}` : "");
+    if (b.bytes > TELEGRAM_UPLOAD_LIMIT) return bot.sendMessage(adminId, `${caption}\n${tr(adminId, "admin_backup_too_big")}`);
+    return bot.sendDocument(adminId, await fs.promises.readFile(b.file), { caption }, { filename: b.name, contentType: "application/gzip" });
+  }
+
+  // /admin backups: archives on the server, newest first
+  function adminBackups(adminId) {
+    const all = backup.list(backupDir);
+    if (!all.length) return bot.sendMessage(adminId, tr(adminId, "admin_no_backups"));
+    const list = all.slice(0, 15).map(b => `${b.name} - ${(b.bytes / 1024).toFixed(1)} KB`).join("\n");
+    return bot.sendMessage(adminId, tr(adminId, "admin_backups", { count: all.length, list }));
+  }
+
+  // /admin export transactions|withdrawals [from] [to]: CSV for the books; dates are YYYY-MM-DD (UTC), both inclusive
+  const EXPORTS = {
+    transactions: { rows: () => store.get("transactions"), csv: statements.ledgerCsv },
+    withdrawals: { rows: getWithdrawals, csv: statements.withdrawalsCsv },
+  };
+  const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+  function adminExport(adminId, what, from, to) {
+    const kind = EXPORTS[what];
+    if (!kind || (from && !DAY_PATTERN.test(from)) || (to && !DAY_PATTERN.test(to))) return bot.sendMessage(adminId, tr(adminId, "admin_export_usage"));
+    const list = kind.rows().filter(r => (!from || (r.ts || "").slice(0, 10) >= from) && (!to || (r.ts || "").slice(0, 10) <= to));
+    if (!list.length) return bot.sendMessage(adminId, tr(adminId, "admin_export_empty"));
+    audit.record({ adminId, action: "data.export", target: what, note: `${from || "start"} to ${to || "now"}, ${list.length} rows` });
+    const filename = `clean9ja-${what}-${from || "start"}-to-${to || new Date().toISOString().slice(0, 10)}.csv`;
+    const caption = tr(adminId, "admin_export_done", { what, count: list.length, from: from || "-", to: to || "-" });
+    return bot.sendDocument(adminId, Buffer.from(kind.csv(list)), { caption }, { filename, contentType: "text/csv" });
+  }
+
+  // /admin stats [days]: recycling, payouts and top LGAs over the last `days` days (default 7)
+  function adminStats(adminId, daysArg) {
+    const days = daysArg === undefined ? 7 : Number(daysArg);
+    if (!Number.isInteger(days) || days < 1 || days > 90) return bot.sendMessage(adminId, tr(adminId, "admin_stats_usage"));
+    const r = stats.report({ days, now: now() });
+    const { paid, open, refunded } = r.payouts;
+    return bot.sendMessage(adminId, tr(adminId, "admin_stats", {
+      days, since: r.since, users: r.users.total, verified: r.users.verified, new_users: r.users.new,
+      kg: r.kg, scans: r.scans, co2: r.co2, scan_paid: r.amount.toFixed(2), bonuses: r.bonuses.toFixed(2),
+      paid_count: paid.count, paid: paid.amount.toFixed(2), open_count: open.count, open: open.amount.toFixed(2),
+      refunded_count: refunded.count, refunded: refunded.amount.toFixed(2), complaints: r.complaints,
+      by_day: r.byDay.map(d => `${d.day}: ${d.kg} kg / ₦${d.paid.toFixed(2)} / ₦${d.paidOut.toFixed(2)}`).join("\n"),
+      materials: Object.entries(r.materials).map(([m, x]) => `${materialLabel(adminId, m)}: ${x.kg} kg, ₦${x.amount.toFixed(2)}, CO₂ ≈ ${x.co2} kg`).join("\n") || "-",
+      lgas: r.lgas.slice(0, 10).map((l, i) => `${i + 1}. ${l.lga} - ${l.kg} kg, recyclers: ${l.recyclers}`).join("\n") || "-",
+    }));
+  }
+
+  // --------------------- Broadcasts ---------------------
+  // see broadcasts.js. /admin broadcast drafts one and shows the preview; its Send button queues it
+  // (callback data "bc_send_<id>" / "bc_cancel_<id>") and the creator gets the delivery report.
+  const BROADCAST_PATTERN = /^bc_(send|cancel)_(.+)$/;
+
+  const broadcaster = broadcasts.createSender({
+    send: (userId, message) => bot.sendMessage(userId, tr(userId, "broadcast", { message })),
+    onFinish: (b) => bot.sendMessage(b.createdBy, broadcastReport(b.createdBy, b)).catch(e => console.warn("broadcast report failed", e.message)),
+  });
+
+  function broadcastReport(chatId, b) {
+    const seconds = b.startedAt ? Math.round((Date.parse(b.finishedAt || new Date().toISOString()) - Date.parse(b.startedAt)) / 1000) : 0;
+    const failures = b.failures.slice(0, 10).map(f => `${f.userId}: ${f.error}`).join("\n");
+    return tr(chatId, "admin_broadcast_report", {
+      id: b.id, status: b.status, segment: broadcasts.describeSegment(b.segment), total: b.recipients.length,
+      sent: b.counts.sent, failed: b.counts.failed, blocked: b.counts.blocked, pending: b.recipients.length - b.cursor, seconds,
+    }) + (failures ? `\n\n${failures}` : "");
+  }
+
+  // what each language group will get, with the Send / Cancel buttons
+  function showBroadcastPreview(adminId, id) {
+    const { broadcast: b, total, byLang } = broadcasts.preview(id);
+    const groups = Object.entries(byLang).map(([lang, n]) => `${lang}: ${n}`).join(", ");
+    const samples = Object.keys(byLang).map(lang => `[${lang}]\n${i18n.t(lang, "broadcast", { message: broadcasts.messageFor(b, lang) })}`).join("\n\n");
+    const text = tr(adminId, total ? "admin_broadcast_preview" : "admin_broadcast_nobody", { id: b.id, segment: broadcasts.describeSegment(b.segment), count: total, groups, samples });
+    const buttons = [[
+      ...(total ? [{ text: tr(adminId, "admin_broadcast_btn_send", { count: total }), callback_data: `bc_send_${b.id}` }] : []),
+      { text: tr(adminId, "admin_broadcast_btn_cancel"), callback_data: `bc_cancel_${b.id}` },
+    ]];
+    return bot.sendMessage(adminId, text, { reply_markup: { inline_keyboard: buttons } });
+  }
+
+  function broadcastProblem(adminId, e) {
+    if (e instanceof broadcasts.BroadcastError) return bot.sendMessage(adminId, tr(adminId, `admin_broadcast_error_${e.code}`, e.vars));
+    throw e;
+  }
+
+  // /admin broadcast [lang=xx] [verified=yes|no] [lga=<name>] [balance=yes|no] <message>
+  function adminBroadcast(adminId, args) {
+    try {
+      const { segment, message } = broadcasts.parseSegment(args);
+      if (!message) return bot.sendMessage(adminId, tr(adminId, "admin_broadcast_usage"));
+      return showBroadcastPreview(adminId, broadcasts.create({ createdBy: adminId, segment, message }).id);
+    } catch (e) {
+      return broadcastProblem(adminId, e);
+    }
+  }
+
+  // /admin broadcast_variant <id> <lang> <message>
+  function adminBroadcastVariant(adminId, id, lang, message) {
+    try {
+      broadcasts.setVariant(id, lang, message);
+      return showBroadcastPreview(adminId, id);
+    } catch (e) {
+      return broadcastProblem(adminId, e);
+    }
+  }
+
+  // /admin broadcast_cancel <id>: drafts, queued broadcasts and ones still being delivered
+  function adminBroadcastCancel(adminId, id) {
+    try {
+      const b = broadcasts.cancel(id);
+      audit.record({ adminId, action: "broadcast.cancel", target: id, after: { sent: b.counts.sent, pending: b.recipients.length - b.cursor } });
+      return bot.sendMessage(adminId, tr(adminId, "admin_broadcast_cancelled", { id }));
+    } catch (e) {
+      return broadcastProblem(adminId, e);
+    }
+  }
+
+  // /admin broadcast_status <id>
+  function adminBroadcastStatus(adminId, id) {
+    const b = broadcasts.get(id);
+    if (!b) return bot.sendMessage(adminId, tr(adminId, "admin_broadcast_not_found", { id }));
+    return bot.sendMessage(adminId, broadcastReport(adminId, b));
+  }
+
+  // /admin broadcasts: the latest ten
+  function adminBroadcasts(adminId) {
+    const list = broadcasts.list().slice(0, 10);
+    if (!list.length) return bot.sendMessage(adminId, tr(adminId, "admin_no_broadcasts"));
+    const s = list.map(b => `${b.id} - ${b.ts.slice(0, 16).replace("T", " ")} - ${b.status} - ${broadcasts.describeSegment(b.segment)} - ${b.counts.sent}/${b.recipients.length} - ${b.message.slice(0, 40)}`).join("\n");
+    return bot.sendMessage(adminId, tr(adminId, "admin_broadcasts", { list: s }));
+  }
+
+  async function handleBroadcastCallback(q, [, action, id]) {
+    const adminId = q.from.id;
+    if (!roles.can(adminId, "broadcast")) {
+      audit.record({ adminId, action: "denied", target: "broadcast", note: roles.roleOf(adminId) || "" });
+      return bot.answerCallbackQuery(q.id, { text: tr(adminId, roles.roleOf(adminId) ? "admin_forbidden" : "admin_unauthorized", { role: roles.roleOf(adminId) }), show_alert: true });
+    }
+    let b;
+    try {
+      b = action === "send" ? broadcasts.confirm(id) : broadcasts.cancel(id);
+    } catch (e) {
+      if (!(e instanceof broadcasts.BroadcastError)) throw e;
+      return bot.answerCallbackQuery(q.id, { text: tr(adminId, `admin_broadcast_error_${e.code}`, e.vars), show_alert: true });
+    }
+    bot.editMessageReplyMarkup({ inline_keyboard: [] }, { chat_id: q.message.chat.id, message_id: q.message.message_id }).catch(() => {});
+    if (action === "cancel") {
+      audit.record({ adminId, action: "broadcast.cancel", target: id });
+      await bot.answerCallbackQuery(q.id);
+      return bot.sendMessage(adminId, tr(adminId, "admin_broadcast_cancelled", { id }));
+    }
+    audit.record({ adminId, action: "broadcast.send", target: id, after: { segment: b.segment, recipients: b.recipients.length, variants: Object.keys(b.variants) }, note: b.message });
+    await bot.answerCallbackQuery(q.id);
+    bot.sendMessage(adminId, tr(adminId, "admin_broadcast_queued", { id, count: b.recipients.length }));
+    broadcaster.kick();
+  }
+
+  // notify admin helper: `key`/`vars` are rendered in each admin's own language; vars may be a
+  // function of the adminId when they hold translated text. optsFor(adminId) can add per-admin
+  // send options (e.g. localized inline buttons).
+  // Resolves to [{ chatId, messageId, text }] for the messages that were delivered.
+  async function notifyAdmins(key, vars, optsFor) {
+    const cfg = getAdminCfg();
+    if (!cfg || !cfg.admins || cfg.admins.length === 0) {
+      console.warn("No admins configured to notify.");
+      return [];
+    }
+    const sent = await Promise.all(cfg.admins.map(async (adminId) => {
+      const text = tr(adminId, key, typeof vars === "function" ? vars(adminId) : vars);
+      try {
+        const m = await bot.sendMessage(adminId, text, optsFor ? optsFor(adminId) : undefined);
+        return { chatId: adminId, messageId: m && m.message_id, text };
+      } catch (e) {
+        console.error("Failed to notify admin", adminId, e);
+        return null;
+      }
+    }));
+    return sent.filter(Boolean);
+  }
+
+  // --------------------- Inline admin review ---------------------
+  // New complaints and withdrawals reach every admin with Approve/Decline/View buttons
+  // (callback data "<kind>_<action>_<id>"). Each delivered copy is remembered on the record as
+  // adminMessages so all of them can be edited once someone acts, whichever way they acted.
+  const REVIEW = {
+    complaint: { collection: "complaints", open: (c) => complaints.UNDECIDED.includes(c.status), approve: (a, id) => adminApproveComplaint(a, id), decline: (a, id) => adminDeclineComplaint(a, id) },
+    withdraw: { collection: "withdrawals", open: (w) => w.status === "pending", approve: (a, id) => adminApprove(a, id), decline: (a, id) => adminDecline(a, id) },
+  };
+  const REVIEW_PATTERN = /^(complaint|withdraw)_(approve|decline|view)_(.+)$/;
+  // items an admin is acting on right now; a second tap meanwhile is turned away
+  const reviewing = new Set();
+
+  function reviewKeyboard(adminId, kind, id) {
+    const b = (action, key) => ({ text: tr(adminId, key), callback_data: `${kind}_${action}_${id}` });
+    return { reply_markup: { inline_keyboard: [[b("approve", "admin_btn_approve"), b("decline", "admin_btn_decline")], [b("view", "admin_btn_view")]] } };
+  }
+
+  async function notifyReview(kind, id, key, vars) {
+    const sent = await notifyAdmins(key, vars, (adminId) => reviewKeyboard(adminId, kind, id));
+    const adminMessages = sent.filter(x => x.messageId).map(({ chatId, messageId, text }) => ({ chatId, messageId, text }));
+    store.update(REVIEW[kind].collection, (list) => {
+      const rec = list.find(x => x.id === id);
+      if (rec) rec.adminMessages = adminMessages;
+    });
+  }
+
+  function adminName(adminId) {
+    const u = findUser(adminId);
+    return u && u.username ? `@${u.username}` : String(adminId);
+  }
+
+  function reviewOutcome(rec) {
+    if (rec.expiredAt) return { key: "admin_review_expired", by: null, at: rec.expiredAt };
+    if (rec.declinedBy) return { key: "admin_review_declined", by: rec.declinedBy, at: rec.declinedAt };
+    if (rec.approvedBy) return { key: "admin_review_approved", by: rec.approvedBy, at: rec.approvedAt };
+    return null;
+  }
+  // "✅ Approved by @ada at 2024-05-01 09:30 UTC" in the reader's language
+  function reviewStamp(chatId, outcome) {
+    const at = new Date(outcome.at).toISOString().slice(0, 16).replace("T", " ") + " UTC";
+    return tr(chatId, outcome.key, { admin: adminName(outcome.by), at });
+  }
+
+  // replace the buttons on every admin's copy with who acted and when
+  function closeReview(rec) {
+    const outcome = reviewOutcome(rec);
+    if (!outcome || !rec.adminMessages) return;
+    for (const m of rec.adminMessages) {
+      bot.editMessageText(`${m.text}\n\n${reviewStamp(m.chatId, outcome)}`, { chat_id: m.chatId, message_id: m.messageId })
+        .catch(e => console.warn(`could not update review message in ${m.chatId}:`, e.message));
+    }
+  }
+
+  // "/admin approve" is for withdrawals; complaints have their own commands
+  const reviewPermission = (kind, action) => {
+    if (action === "view") return kind === "complaint" ? "complaint" : "list_withdrawals";
+    return kind === "complaint" ? `${action}_complaint` : action;
+  };
+
+  const findRecord = (kind, id) => store.get(REVIEW[kind].collection).find(x => x.id === id) || null;
+
+  // approve/decline through the same path whether typed (/admin approve ...) or tapped
+  async function reviewAction(adminId, kind, action, id) {
+    const permission = reviewPermission(kind, action);
+    if (!roles.can(adminId, permission)) return forbidden(adminId, permission);
+    const lockKey = `${kind}:${id}`;
+    if (reviewing.has(lockKey)) return bot.sendMessage(adminId, tr(adminId, "admin_review_busy"));
+    reviewing.add(lockKey);
+    try {
+      const before = findRecord(kind, id);
+      await REVIEW[kind][action](adminId, id);
+      const after = findRecord(kind, id);
+      if (before && after && before.status !== after.status) closeReview(after);
+    } finally {
+      reviewing.delete(lockKey);
+    }
+  }
+
+  function reviewDetails(adminId, kind, rec) {
+    const user = findUser(rec.userId);
+    const who = `${rec.userId}${user && user.username ? ` (@${user.username})` : ""}`;
+    if (kind === "complaint") {
+      const pin = rec.location ? ` (${rec.location.latitude},${rec.location.longitude})` : "";
+      const history = complaints.historyOf(rec).map(h => `${h.ts.slice(0, 16).replace("T", " ")} ${h.status}${h.by !== null && h.by !== rec.userId ? ` by ${adminName(h.by)}` : ""}${h.note ? ` - ${h.note}` : ""}`).join("\n");
+      const notes = (rec.notes || []).map(n => `${n.ts.slice(0, 16).replace("T", " ")} ${adminName(n.by)}: ${n.text}`).join("\n") || "-";
+      return tr(adminId, "admin_review_complaint", { id: rec.id, user: who, status: rec.status, ts: rec.ts, category: rec.category || "-", text: rec.text || "-", where: describeArea(null, rec) + pin, address: rec.address || "-", photos: (rec.photos || (rec.photo ? [rec.photo] : [])).length, duplicate: rec.duplicateOf || "-", history, notes });
+    }
+    return tr(adminId, "admin_review_withdrawal", { id: rec.id, user: who, status: rec.status, ts: rec.ts, amount: rec.amount, destination: describeDestination(rec.destination), balance: walletBalance(rec.userId).toFixed(2), verified: user && user.verified ? user.phone : "no" });
+  }
+
+  // /admin complaint <id>: details, history and notes; buttons while it still awaits a decision
+  function adminShowComplaint(adminId, id) {
+    const c = complaints.get(id);
+    if (!c) return bot.sendMessage(adminId, tr(adminId, "admin_complaint_not_found"));
+    return bot.sendMessage(adminId, reviewDetails(adminId, "complaint", c), REVIEW.complaint.open(c) ? reviewKeyboard(adminId, "complaint", id) : undefined);
+  }
+
+  async function handleReviewCallback(q, match) {
+    const adminId = q.from.id;
+    const [, kind, action, id] = match;
+    if (!isAdmin(adminId)) return bot.answerCallbackQuery(q.id, { text: tr(adminId, "admin_unauthorized"), show_alert: true });
+    if (!roles.can(adminId, reviewPermission(kind, action))) {
+      audit.record({ adminId, action: "denied", target: reviewPermission(kind, action), note: roles.roleOf(adminId) });
+      return bot.answerCallbackQuery(q.id, { text: tr(adminId, "admin_forbidden", { role: roles.roleOf(adminId) }), show_alert: true });
+    }
+    const rec = findRecord(kind, id);
+    if (!rec) return bot.answerCallbackQuery(q.id, { text: tr(adminId, kind === "complaint" ? "admin_complaint_not_found" : "admin_withdrawal_not_found"), show_alert: true });
+    if (action === "view") {
+      await bot.answerCallbackQuery(q.id);
+      if (kind === "complaint") {
+        const photos = rec.photos || (rec.photo ? [rec.photo] : []);
+        for (const [i, p] of photos.entries()) await bot.sendPhoto(adminId, p, { caption: `${rec.id} (${i + 1}/${photos.length})` });
+        if (rec.location) await bot.sendLocation(adminId, rec.location.latitude, rec.location.longitude);
+      }
+      return bot.sendMessage(adminId, reviewDetails(adminId, kind, rec), reviewKeyboard(adminId, kind, id));
+    }
+    if (reviewing.has(`${kind}:${id}`)) return bot.answerCallbackQuery(q.id, { text: tr(adminId, "admin_review_busy"), show_alert: true });
+    if (!REVIEW[kind].open(rec)) {
+      const outcome = reviewOutcome(rec);
+      return bot.answerCallbackQuery(q.id, { text: outcome ? reviewStamp(adminId, outcome) : tr(adminId, "admin_already_processed"), show_alert: true });
+    }
+    bot.answerCallbackQuery(q.id);
+    return reviewAction(adminId, kind, action, id);
+  }
+
+  // --------------------- Scheduled jobs ---------------------
+  // see scheduler.js; every job gets the tick's time so tests can run them at a chosen moment
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const MAX_VERIFY_REMINDERS = 3;
+  const jobs = createScheduler({ now });
+
+  // pending work for admins, once a day at digest_hour; nothing is sent when there is nothing to do
+  async function adminDigest(now) {
+    const pending = getWithdrawals().filter(w => w.status === "pending");
+    const oldest = pending.length ? Math.floor((now - Math.min(...pending.map(w => Date.parse(w.ts)))) / DAY_MS) : 0;
+    const counts = {
+      withdrawals: pending.length,
+      amount: ledger.round2(pending.reduce((a, w) => a + w.amount, 0)),
+      processing: getWithdrawals().filter(w => w.status === "processing").length,
+      complaints: getComplaints().filter(c => complaints.UNDECIDED.includes(c.status)).length,
+      pickups: pickups.list({ open: true }).length,
+      flags: risk.openFlags().length,
+    };
+    if (!counts.withdrawals && !counts.processing && !counts.complaints && !counts.pickups && !counts.flags) return { ...counts, sent: 0 };
+    const sent = await notifyAdmins("admin_digest", { ...counts, amount: counts.amount.toFixed(2), oldest, date: new Date(now).toISOString().slice(0, 10) });
+    return { ...counts, sent: sent.length };
+  }
+
+  // users who never finished verifying, or whose verification expired: every verify_reminder_days, at most
+  // MAX_VERIFY_REMINDERS times (the count starts over once they verify)
+  function verificationReminders(now) {
+    const days = config.get("verify_reminder_days");
+    if (!days) return { sent: 0 };
+    const due = getUsers().filter(u => !u.frozen && (!u.verified || verify.isExpired(u, now))
+      && (u.verifyReminders || 0) < MAX_VERIFY_REMINDERS
+      && Date.parse(u.verifyRemindedAt || u.createdAt || 0) <= now - days * DAY_MS);
+    for (const u of due) {
+      upsertUser({ id: u.id, verifyRemindedAt: new Date(now).toISOString(), verifyReminders: (u.verifyReminders || 0) + 1 });
+      bot.sendMessage(u.id, tr(u.id, u.verified ? "verification_expired" : "verify_reminder"))
+        .catch(e => console.warn("verification reminder failed", u.id, e.message));
+    }
+    return { sent: due.length };
+  }
+
+  // withdrawals nobody reviewed within withdrawal_expiry_days are expired and the held money goes back
+  function expireWithdrawals(now) {
+    const days = config.get("withdrawal_expiry_days");
+    if (!days) return { expired: 0 };
+    const stale = getWithdrawals().filter(w => w.status === "pending" && Date.parse(w.ts) <= now - days * DAY_MS && !reviewing.has(`withdraw:${w.id}`));
+    let expired = 0;
+    for (const w of stale) {
+      let r = null;
+      store.update("withdrawals", (list) => {
+        const x = list.find(y => y.id === w.id);
+        if (x && x.status === "pending") { x.status = "expired"; x.expiredAt = new Date(now).toISOString(); r = x; }
+      });
+      if (!r) continue;
+      moveMoney({ type: "withdraw_expired_refund", from: ledger.ACCOUNTS.WITHDRAWALS_PENDING, to: ledger.userAccount(r.userId), amount: r.amount, note: r.id, ref: r.id });
+      audit.record({ adminId: null, action: "withdrawal.expire", target: r.id, before: { status: "pending" }, after: { status: "expired", amount: r.amount }, note: `not reviewed within ${days} days` });
+      bot.sendMessage(r.userId, tr(r.userId, "withdrawal_expired", { id: r.id, amount: r.amount, days, balance: walletBalance(r.userId).toFixed(2) }));
+      closeReview(r);
+      expired++;
+    }
+    return { expired };
+  }
+
+  // daily archive at backup_hour; only the newest backup_keep automatic ones are kept
+  // the archive is taken from memory first, so it still holds changes the data files failed to save;
+  // such a failure then fails the job
+  async function scheduledBackup(now) {
+    const b = await backup.create({ reason: "auto", dir: backupDir, now });
+    const removed = backup.rotate(config.get("backup_keep"), backupDir).length;
+    await store.flush();
+    return { file: b.name, removed };
+  }
+
+  jobs.define({ name: "sessions", every: 60 * 1000, run: sweepSessions });
+  jobs.define({ name: "admin_digest", dailyAt: () => config.get("digest_hour"), run: adminDigest });
+  jobs.define({ name: "verify_reminders", every: 60 * 60 * 1000, run: verificationReminders });
+  jobs.define({ name: "expire_withdrawals", every: 60 * 60 * 1000, run: expireWithdrawals });
+  jobs.define({ name: "telegram_check", every: 60 * 1000, run: checkTelegram });
+  jobs.define({ name: "backup", dailyAt: () => config.get("backup_hour"), run: scheduledBackup });
+  jobs.define({ name: "purge_otps", every: 60 * 60 * 1000, run: (now) => ({ otps: mockVerify.purgeExpired(now), limits: verify.purgeLimits(now) }) });
+
+  // /admin jobs
+  function adminJobs(chatId) {
+    const when = (iso) => (iso ? iso.slice(0, 16).replace("T", " ") : "-");
+    const list = jobs.status().map(j => `${j.name} (${j.schedule}) - last ${when(j.lastRunAt)}${j.lastError ? ` ❌ ${j.lastError}` : j.lastResult ? ` ${JSON.stringify(j.lastResult)}` : ""} - next ${when(j.nextRunAt)}`).join("\n");
+    return bot.sendMessage(chatId, tr(chatId, "admin_jobs", { list }));
+  }
+
+  // /admin run_job <name>
+  async function adminRunJob(adminId, name) {
+    try {
+      const result = await jobs.runNow(name);
+      audit.record({ adminId, action: "job.run", target: name, after: result });
+      return bot.sendMessage(adminId, tr(adminId, "admin_job_ran", { name, result: JSON.stringify(result) }));
+    } catch (e) {
+      if (!(e instanceof JobError)) audit.record({ adminId, action: "job.run", target: name, note: `failed: ${e.message}` });
+      return bot.sendMessage(adminId, `❌ ${e.message}`);
+    }
+  }
+
+  // --------------------- start / stop ---------------------
+  let webhookActive = false;
+  let server = null;
+
+  // load storage, check the settings and start receiving updates; throws when the bot cannot run
+  async function start() {
+    try {
+      await store.init(COLLECTIONS, { backend });
+    } catch (e) {
+      throw new Error(`Storage failed to load, refusing to start: ${e.message}`);
+    }
+    config.validate();
+    try {
+      payouts.provider();
+    } catch (e) {
+      throw new Error(`Payouts are misconfigured, refusing to start: ${e.message}`);
+    }
+    const missing = Object.entries(i18n.missingKeys()).filter(([lang, keys]) => keys.length && config.get("languages").includes(lang));
+    for (const [lang, keys] of missing) console.warn(`⚠ messages.json: ${lang} is missing ${keys.length} key(s), falling back to ${config.get("default_language")}.`);
+    if (process.env.PAYOUT_PROVIDER === "http" && payouts.usingDefaultSecret) console.warn("⚠ PAYOUT_WEBHOOK_SECRET is not set; payout callbacks from the provider will be rejected.");
+    if (verify.twilioConfigured() && !config.get("twilio_enabled")) console.warn("⚠ Twilio credentials are set but settings.twilio_enabled is false; OTPs use the mock service.");
+    if (!verify.twilioConfigured() && config.get("twilio_enabled")) console.warn("⚠ settings.twilio_enabled is on but Twilio Verify is not configured; OTPs use the mock service.");
+
+    // init admin if provided
+    const cfg = getAdminCfg();
+    if ((!cfg.admins || cfg.admins.length === 0) && initAdminId) {
+      cfg.admins = [parseInt(initAdminId, 10)];
+      saveAdminCfg(cfg);
+      console.log("Initialized admin from INIT_ADMIN_ID");
+    }
+
+    if (config.get("mode") === "WEBHOOK") {
+      if (!webhook.url(token)) throw new Error("settings.mode is WEBHOOK but WEBHOOK_URL is not set.");
+      webhook.mount(app, bot, token);
+      telegramStatus.mode = "webhook";
+    }
+    if (port !== null) await new Promise(resolve => { server = app.listen(port, () => { console.log(`Express listening on ${server.address().port}`); resolve(); }); });
+
+    if (config.get("mode") === "WEBHOOK") {
+      try {
+        console.log(`Webhook set to ${await webhook.register(bot, token)}`);
+        webhookActive = true;
+      } catch (e) {
+        // the route is up; Telegram just won't call it until the webhook is registered
+        console.error("❌ setWebHook failed:", e.message);
+      }
+    } else if (polling) {
+      // getUpdates is refused while a webhook is registered
+      await bot.deleteWebHook().catch(e => console.warn("deleteWebHook failed:", e.message));
+      bot.startPolling();
+      telegramStatus.mode = "polling";
+    }
+    jobs.start();
+    jobs.runNow("telegram_check").catch(e => console.error("telegram check failed", e));
+    // picks up broadcasts a restart interrupted
+    broadcaster.kick();
+    console.log("Clean9ja Bot started and ready.");
+  }
+
+  // stop jobs and updates and wait for queued storage writes
+  async function stop() {
+    offRiskFlag();
+    jobs.stop();
+    broadcaster.stop();
+    if (bot.isPolling()) await bot.stopPolling();
+    if (webhookActive) await bot.deleteWebHook();
+    if (server) await new Promise(resolve => server.close(resolve));
+    await store.close();
+  }
+
+  // where Express listens once started (port 0 picks a free one)
+  const address = () => (server ? server.address() : null);
+
+  return { bot, app, jobs, broadcaster, telegramStatus, address, start, stop };
+}
+
+module.exports = { createApp, COLLECTIONS };
@@ -0,0 +1,54 @@
+// audit.js
+// Append-only record of admin actions, kept in the "audit" collection (./data/audit.json).
+// Entries are hash-chained (hash covers the entry and the previous entry's hash), so editing or
+// deleting a past entry shows up in verify().
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const store = require("./storage");
+
+const FIELDS = ["id", "ts", "adminId", "action", "target", "before", "after", "note", "prevHash"];
+const digest = (entry) => crypto.createHash("sha256").update(JSON.stringify(FIELDS.map(f => entry[f]))).digest("hex");
+
+// { adminId, action, target, before, after, note }
+function record({ adminId, action, target, before, after, note }) {
+  const entry = {
+    id: `aud_${uuidv4()}`,
+    ts: new Date().toISOString(),
+    adminId,
+    action,
+    target: target === undefined ? null : target,
+    before: before === undefined ? null : before,
+    after: after === undefined ? null : after,
+    note: note || "",
+  };
+  store.update("audit", (log) => {
+    entry.prevHash = log.length ? log[log.length - 1].hash || "" : "";
+    entry.hash = digest(entry);
+    log.push(entry);
+  });
+  return entry;
+}
+
+// newest first; `action` matches as a prefix ("complaint" covers complaint.approve, complaint.note, ...)
+function list({ adminId, action, target } = {}) {
+  return store.get("audit")
+    .filter(e => adminId === undefined || e.adminId === adminId)
+    .filter(e => !action || String(e.action).startsWith(action))
+    .filter(e => target === undefined || String(e.target) === String(target))
+    .reverse();
+}
+
+// { ok, count, broken: index of the first entry that does not check out, or -1 }.
+// Entries written before chaining have no hash and are skipped.
+function verify() {
+  const log = store.get("audit");
+  for (let i = 0; i < log.length; i++) {
+    const e = log[i];
+    if (!e.hash) continue;
+    const prev = i ? log[i - 1].hash || "" : "";
+    if (e.prevHash !== prev || digest(e) !== e.hash) return { ok: false, count: log.length, broken: i };
+  }
+  return { ok: true, count: log.length, broken: -1 };
+}
+
+module.exports = { record, list, verify };
@@ -0,0 +1,210 @@
+// backup.js
+// Backups of the collections that hold money and reports: users, transactions, withdrawals,
+// complaints, waste and referrals. An archive is one gzipped JSON file in BACKUP_DIR (./backups):
+//   clean9ja-<reason>-<UTC timestamp>.json.gz
+//   { format, createdAt, reason, by, counts: { name: n }, checksums: { name: sha256 }, collections: { name: data } }
+// with "<archive>.sha256" next to it (sha256sum format) for the file as a whole. Reasons: "manual"
+// (/admin backup), "auto" (the backup job, which keeps the newest backup_keep of them) and
+// "pre-restore" (the data a restore replaced).
+// Restoring is done offline, with the bot stopped (it keeps collections in memory and would write
+// its copy back over the restored one):
+//   node backup.js list
+//   node backup.js verify <archive>
+//   node backup.js restore <archive> [--yes]
+// verify and restore check the file checksum, every collection's checksum and the shape of every
+// record (plus balanced ledger entries) before anything is replaced; without --yes restore only
+// shows what it would do.
+const fs = require("fs");
+const path = require("path");
+const zlib = require("zlib");
+const crypto = require("crypto");
+const { promisify } = require("util");
+const store = require("./storage");
+const ledger = require("./ledger");
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
+const FORMAT = 1;
+const BACKUP_DIR = path.resolve(process.env.BACKUP_DIR || path.join(__dirname, "backups"));
+const REASONS = ["manual", "auto", "pre-restore"];
+const FILE_PATTERN = /^clean9ja-(manual|auto|pre-restore)-(\d{8}T\d{6}Z)(?:-(\d+))?\.json\.gz$/;
+// problems reported before validation gives up
+const MAX_PROBLEMS = 20;
+
+// collection -> required fields and their types, checked on every record
+const SCHEMA = {
+  users: { id: "number" },
+  transactions: { id: "string", type: "string", ts: "string" },
+  withdrawals: { id: "string", userId: "number", amount: "number", status: "string" },
+  complaints: { id: "string", userId: "number", status: "string" },
+  waste: { id: "string", userId: "number" },
+  referrals: { id: "string", referrerId: "number", refereeId: "number", status: "string" },
+};
+const COLLECTIONS = Object.keys(SCHEMA);
+
+class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BackupError";
+  }
+}
+
+const sha256 = (data) => crypto.createHash("sha256").update(data).digest("hex");
+const checksumOf = (value) => sha256(JSON.stringify(value));
+
+// "2026-10-18T16:09:07.400Z" -> "20261018T160907Z"
+const stamp = (iso) => iso.slice(0, 19).replace(/[-:]/g, "") + "Z";
+
+// problems with a set of collections, [] when they can be restored
+function validate(collections) {
+  const problems = [];
+  const add = (p) => { if (problems.length < MAX_PROBLEMS) problems.push(p); };
+  for (const name of COLLECTIONS) {
+    const list = collections[name];
+    if (!Array.isArray(list)) { add(`${name}: expected an array`); continue; }
+    const ids = new Set();
+    list.forEach((r, i) => {
+      if (!r || typeof r !== "object" || Array.isArray(r)) return add(`${name}[${i}]: not an object`);
+      for (const [field, type] of Object.entries(SCHEMA[name])) {
+        if (typeof r[field] !== type || (type === "number" && !Number.isFinite(r[field]))) add(`${name}[${i}]: ${field} should be a ${type}`);
+      }
+      if (ids.has(r.id)) add(`${name}[${i}]: duplicate id ${r.id}`);
+      ids.add(r.id);
+      if (name === "transactions" && Array.isArray(r.postings)) {
+        const sum = ledger.round2(r.postings.reduce((a, p) => a + Number(p.amount), 0));
+        if (r.postings.some(p => !p.account || !Number.isFinite(Number(p.amount))) || sum !== 0) add(`transactions[${i}]: entry ${r.id} does not balance`);
+      }
+    });
+  }
+  return problems;
+}
+
+// the collections as the running bot has them
+function snapshot() {
+  return Object.fromEntries(COLLECTIONS.map(name => [name, store.get(name)]));
+}
+
+// write an archive of `collections`; -> { name, file, bytes, sha256, counts, createdAt, reason }
+async function create({ reason = "manual", by = null, collections = snapshot(), dir = BACKUP_DIR, now = Date.now() } = {}) {
+  if (!REASONS.includes(reason)) throw new BackupError(`unknown backup reason "${reason}"`);
+  const createdAt = new Date(now).toISOString();
+  const archive = { format: FORMAT, createdAt, reason, by, counts: {}, checksums: {}, collections: {} };
+  for (const name of COLLECTIONS) {
+    const value = collections[name] === undefined ? [] : collections[name];
+    archive.counts[name] = Array.isArray(value) ? value.length : 0;
+    archive.checksums[name] = checksumOf(value);
+    archive.collections[name] = value;
+  }
+  const body = await gzip(JSON.stringify(archive));
+
+  await fs.promises.mkdir(dir, { recursive: true });
+  let name = `clean9ja-${reason}-${stamp(createdAt)}.json.gz`;
+  for (let n = 2; fs.existsSync(path.join(dir, name)); n++) name = `clean9ja-${reason}-${stamp(createdAt)}-${n}.json.gz`;
+  const file = path.join(dir, name);
+  const digest = sha256(body);
+  // temp file + rename, like storage.js, so a half-written archive never carries a real name
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmp, body);
+  await fs.promises.rename(tmp, file);
+  await fs.promises.writeFile(`${file}.sha256`, `${digest}  ${name}\n`);
+  return { name, file, bytes: body.length, sha256: digest, counts: archive.counts, createdAt, reason };
+}
+
+// open and check an archive; -> the parsed archive, or throws BackupError saying what is wrong
+async function read(file) {
+  if (!fs.existsSync(file)) throw new BackupError(`${file} does not exist`);
+  const body = await fs.promises.readFile(file);
+  const sidecar = `${file}.sha256`;
+  if (fs.existsSync(sidecar)) {
+    const expected = (await fs.promises.readFile(sidecar, "utf8")).split(/\s+/)[0];
+    if (expected !== sha256(body)) throw new BackupError(`${path.basename(file)} does not match its .sha256 checksum`);
+  }
+  let archive;
+  try {
+    archive = JSON.parse(await gunzip(body));
+  } catch (e) {
+    throw new BackupError(`${path.basename(file)} is not a readable archive: ${e.message}`);
+  }
+  if (!archive || archive.format !== FORMAT || !archive.collections || !archive.checksums) throw new BackupError(`${path.basename(file)} is not a Clean9ja backup (format ${archive && archive.format})`);
+  for (const name of COLLECTIONS) {
+    if (!(name in archive.collections)) throw new BackupError(`${path.basename(file)} has no ${name} collection`);
+    if (checksumOf(archive.collections[name]) !== archive.checksums[name]) throw new BackupError(`${name} in ${path.basename(file)} does not match its checksum`);
+  }
+  return archive;
+}
+
+// archives in `dir`, newest first: [{ name, file, reason, createdAt, bytes }]
+function list(dir = BACKUP_DIR) {
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .map(name => ({ name, m: FILE_PATTERN.exec(name) }))
+    .filter(x => x.m)
+    .map(({ name, m }) => {
+      const t = m[2];
+      const createdAt = `${t.slice(0, 4)}-${t.slice(4, 6)}-${t.slice(6, 8)}T${t.slice(9, 11)}:${t.slice(11, 13)}:${t.slice(13, 15)}Z`;
+      return { name, file: path.join(dir, name), reason: m[1], createdAt, seq: Number(m[3] || 1), bytes: fs.statSync(path.join(dir, name)).size };
+    })
+    .sort((a, b) => (a.createdAt === b.createdAt ? b.seq - a.seq : a.createdAt < b.createdAt ? 1 : -1))
+    .map(({ seq, ...b }) => b);
+}
+
+// delete all but the newest `keep` automatic snapshots; manual and pre-restore archives stay. -> names removed
+function rotate(keep, dir = BACKUP_DIR) {
+  const old = list(dir).filter(b => b.reason === "auto").slice(keep);
+  for (const b of old) {
+    fs.rmSync(b.file, { force: true });
+    fs.rmSync(`${b.file}.sha256`, { force: true });
+  }
+  return old.map(b => b.name);
+}
+
+// replace the backed-up collections in `backend` with the archive's, after saving what is there now.
+// -> { archive, safety } where safety is the pre-restore archive (null when dryRun)
+async function restore(file, { backend = store.defaultBackend(), dir = BACKUP_DIR, dryRun = false } = {}) {
+  const archive = await read(file);
+  const problems = validate(archive.collections);
+  if (problems.length) throw new BackupError(`${path.basename(file)} failed validation:\n- ${problems.join("\n- ")}`);
+  await backend.connect();
+  try {
+    const current = {};
+    for (const name of COLLECTIONS) current[name] = await backend.load(name);
+    if (dryRun) return { archive, current, safety: null };
+    const safety = await create({ reason: "pre-restore", collections: current, dir });
+    for (const name of COLLECTIONS) await backend.save(name, archive.collections[name]);
+    return { archive, current, safety };
+  } finally {
+    await backend.close();
+  }
+}
+
+module.exports = { COLLECTIONS, BACKUP_DIR, BackupError, validate, snapshot, create, read, list, rotate, restore };
+
+if (require.main === module) {
+  require("dotenv").config();
+  const [command, file] = process.argv.slice(2);
+  const yes = process.argv.includes("--yes");
+  const counts = (c) => COLLECTIONS.map(name => `${name} ${Array.isArray(c[name]) ? c[name].length : "-"}`).join(", ");
+  const usage = () => { console.error("usage: node backup.js list | verify <archive> | restore <archive> [--yes]"); process.exit(2); };
+
+  (async () => {
+    if (command === "list") {
+      const all = list();
+      if (!all.length) return console.log(`No backups in ${BACKUP_DIR}`);
+      for (const b of all) console.log(`${b.name}  ${(b.bytes / 1024).toFixed(1)} KB`);
+    } else if (command === "verify" && file) {
+      const archive = await read(file);
+      const problems = validate(archive.collections);
+      console.log(`${path.basename(file)}: ${archive.reason} backup from ${archive.createdAt}\n${counts(archive.collections)}`);
+      if (problems.length) { console.log(`❌ Not restorable:\n- ${problems.join("\n- ")}`); process.exitCode = 1; } else console.log("✅ Checksums and schema OK");
+    } else if (command === "restore" && file) {
+      const { archive, current, safety } = await restore(file, { dryRun: !yes });
+      console.log(`Backup from ${archive.createdAt} (${archive.reason}): ${counts(archive.collections)}`);
+      console.log(`Current data: ${counts(current)}`);
+      if (!safety) return console.log("Nothing changed. Stop the bot, then run again with --yes to replace the current data.");
+      console.log(`✅ Restored. The replaced data was saved to ${safety.name}. Start the bot again and run /admin reconcile.`);
+    } else {
+      usage();
+    }
+  })().catch((e) => { console.error(`❌ ${e.message}`); process.exit(1); });
+}
@@ -0,0 +1,248 @@
+// broadcasts.js
+// Broadcasts to a segment of users, delivered by a throttled queue. A broadcast is drafted with a
+// segment and a message (plus optional per-language variants), previewed, and only queued once an
+// admin confirms it; the recipients are fixed at that moment. The "broadcasts" collection keeps
+//   { id, createdBy, segment, message, variants: { lang: text }, status, recipients: [{ id, lang }],
+//     cursor, counts: { sent, failed, blocked }, failures: [{ userId, error }], ts, queuedAt, startedAt, finishedAt }
+// status: draft -> queued -> sending -> done, or cancelled at any point before done. The cursor and counts
+// are saved every PROGRESS_EVERY messages (that is also when a cancel is noticed), so a restart resumes
+// close to where delivery stopped.
+// Delivery sends at most broadcast_per_second messages a second, waits out Telegram's 429 retry_after,
+// and marks users who blocked the bot (or deleted their account) inactive so later broadcasts skip them.
+const store = require("./storage");
+const config = require("./config");
+const ledger = require("./ledger");
+const geo = require("./geo");
+const { newId } = require("./ids");
+
+const MAX_RETRIES = 5;
+const MAX_FAILURES_KEPT = 50;
+const PROGRESS_EVERY = 20;
+
+// code is rendered as the admin_broadcast_error_<code> message with vars
+class BroadcastError extends Error {
+  constructor(code, vars = {}) {
+    super(code);
+    this.name = "BroadcastError";
+    this.code = code;
+    this.vars = vars;
+  }
+}
+
+// --------------------- segments ---------------------
+// lang=<code>  verified=yes|no  lga=<name>  balance=yes|no
+const SEGMENT_KEYS = ["lang", "verified", "lga", "balance"];
+const YES_NO = { yes: true, no: false };
+
+// leading key=value words of `text` -> { segment, message }; throws BroadcastError on a bad filter
+function parseSegment(text) {
+  const segment = {};
+  let rest = String(text || "").trim();
+  let m;
+  while ((m = /^(\w+)=(\S+)\s*/.exec(rest))) {
+    const [, key, value] = m;
+    if (!SEGMENT_KEYS.includes(key)) throw new BroadcastError("unknown_filter", { key, keys: SEGMENT_KEYS.join(", ") });
+    if (key === "lang" && !config.get("languages").includes(value)) throw new BroadcastError("unknown_language", { lang: value, languages: config.get("languages").join(", ") });
+    if ((key === "verified" || key === "balance") && !(value in YES_NO)) throw new BroadcastError("yes_no", { key });
+    segment[key] = key === "verified" || key === "balance" ? YES_NO[value] : value;
+    rest = rest.slice(m[0].length);
+  }
+  return { segment, message: rest };
+}
+
+function describeSegment(segment) {
+  const parts = Object.entries(segment).map(([k, v]) => `${k}=${typeof v === "boolean" ? (v ? "yes" : "no") : v}`);
+  return parts.length ? parts.join(" ") : "everyone";
+}
+
+const langOf = (u) => u.lang || config.get("default_language");
+
+// active users in the segment. A user's LGAs are the areas of the complaints they filed.
+function audience(segment = {}) {
+  let lgas = null;
+  if (segment.lga) {
+    lgas = new Map();
+    for (const c of store.get("complaints")) {
+      if (!c.lga) continue;
+      if (!lgas.has(c.userId)) lgas.set(c.userId, new Set());
+      lgas.get(c.userId).add(geo.norm(c.lga));
+    }
+  }
+  // one pass over the ledger for everyone, not one per user
+  const balances = segment.balance === undefined ? null : ledger.balances();
+  return store.get("users").filter(u => !u.inactive
+    && (segment.lang === undefined || langOf(u) === segment.lang)
+    && (segment.verified === undefined || !!u.verified === segment.verified)
+    && (!balances || ((balances[ledger.userAccount(u.id)] || 0) > 0) === segment.balance)
+    && (!lgas || (lgas.get(u.id) || new Set()).has(geo.norm(segment.lga))));
+}
+
+// --------------------- drafts ---------------------
+function get(id) { return store.get("broadcasts").find(b => b.id === id) || null; }
+function list() { return store.get("broadcasts").slice().reverse(); }
+
+function patch(id, fn) {
+  let out = null;
+  store.update("broadcasts", (all) => {
+    const b = all.find(x => x.id === id);
+    if (!b) throw new BroadcastError("not_found", { id });
+    fn(b);
+    out = b;
+  });
+  return out;
+}
+
+function create({ createdBy, segment = {}, message }) {
+  if (!message) throw new BroadcastError("empty_message");
+  const b = {
+    id: newId("bc"), createdBy, segment, message, variants: {}, status: "draft", recipients: [], cursor: 0,
+    counts: { sent: 0, failed: 0, blocked: 0 }, failures: [], ts: new Date().toISOString(), queuedAt: null, startedAt: null, finishedAt: null,
+  };
+  store.update("broadcasts", (all) => { all.push(b); });
+  return b;
+}
+
+function setVariant(id, lang, message) {
+  if (!config.get("languages").includes(lang)) throw new BroadcastError("unknown_language", { lang, languages: config.get("languages").join(", ") });
+  if (!message) throw new BroadcastError("empty_variant");
+  return patch(id, (b) => {
+    if (b.status !== "draft") throw new BroadcastError("not_draft", { id, status: b.status });
+    b.variants[lang] = message;
+  });
+}
+
+// the text a user in `lang` gets
+function messageFor(b, lang) { return b.variants[lang] || b.message; }
+
+// { total, byLang: { lang: count } } for the draft's segment as it stands now
+function preview(id) {
+  const b = get(id);
+  if (!b) throw new BroadcastError("not_found", { id });
+  const users = audience(b.segment);
+  const byLang = {};
+  for (const u of users) byLang[langOf(u)] = (byLang[langOf(u)] || 0) + 1;
+  return { broadcast: b, total: users.length, byLang };
+}
+
+// fix the recipients and hand the draft to the queue
+function confirm(id) {
+  const recipients = audience((get(id) || {}).segment).map(u => ({ id: u.id, lang: langOf(u) }));
+  return patch(id, (b) => {
+    if (b.status !== "draft") throw new BroadcastError("already", { id, status: b.status });
+    if (!recipients.length) throw new BroadcastError("nobody");
+    Object.assign(b, { status: "queued", recipients, queuedAt: new Date().toISOString() });
+  });
+}
+
+function cancel(id) {
+  return patch(id, (b) => {
+    if (b.status === "done" || b.status === "cancelled") throw new BroadcastError("already", { id, status: b.status });
+    Object.assign(b, { status: "cancelled", finishedAt: new Date().toISOString() });
+  });
+}
+
+// --------------------- delivery ---------------------
+// node-telegram-bot-api rejects with error.response.body = { error_code, description, parameters }
+const telegramError = (e) => (e && e.response && e.response.body) || {};
+
+function retryAfter(e) {
+  const body = telegramError(e);
+  return body.error_code === 429 ? Number((body.parameters || {}).retry_after) || 1 : null;
+}
+
+// the user blocked the bot, deleted their account or the chat is gone: sending again won't help
+function isUnreachable(e) {
+  const body = telegramError(e);
+  return body.error_code === 403 || (body.error_code === 400 && /chat not found/i.test(body.description || ""));
+}
+
+function markInactive(userId, reason) {
+  store.update("users", (users) => {
+    const u = users.find(x => x.id === userId);
+    if (u) u.inactive = { reason, at: new Date().toISOString() };
+  });
+}
+
+const defaultSleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// send(userId, text) delivers one message (rejecting like node-telegram-bot-api does);
+// onFinish(broadcast) hears about broadcasts that are done or were cancelled mid-way.
+function createSender({ send, sleep = defaultSleep, onFinish = () => {} }) {
+  let active = null;
+  let stopped = false;
+
+  // -> "sent" | "blocked" | "failed", plus the error text
+  async function deliverOne(userId, text) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await send(userId, text);
+        return { result: "sent" };
+      } catch (e) {
+        const wait = retryAfter(e);
+        if (wait !== null && attempt < MAX_RETRIES) { await sleep(wait * 1000); continue; }
+        const error = telegramError(e).description || e.message;
+        if (isUnreachable(e)) { markInactive(userId, error); return { result: "blocked", error }; }
+        return { result: "failed", error };
+      }
+    }
+  }
+
+  async function deliver(id) {
+    const b = patch(id, (x) => { x.status = "sending"; x.startedAt = x.startedAt || new Date().toISOString(); });
+    // progress since the last save; applied to the stored broadcast by save()
+    const pending = { cursor: b.cursor, counts: { sent: 0, failed: 0, blocked: 0 }, failures: [] };
+    const save = (then = () => {}) => patch(id, (x) => {
+      x.cursor = pending.cursor;
+      for (const k of Object.keys(pending.counts)) { x.counts[k] += pending.counts[k]; pending.counts[k] = 0; }
+      for (const f of pending.failures.splice(0)) if (x.failures.length < MAX_FAILURES_KEPT) x.failures.push(f);
+      then(x);
+    });
+
+    for (let i = b.cursor; i < b.recipients.length; i++) {
+      if (stopped) return save();
+      const r = b.recipients[i];
+      const out = await deliverOne(r.id, messageFor(b, r.lang));
+      pending.cursor = i + 1;
+      pending.counts[out.result]++;
+      if (out.error) pending.failures.push({ userId: r.id, error: out.error });
+      if ((i + 1 - b.cursor) % PROGRESS_EVERY === 0) {
+        const current = save();
+        if (current.status === "cancelled") return onFinish(current);
+      }
+      await sleep(1000 / config.get("broadcast_per_second"));
+    }
+    const done = save((x) => {
+      if (x.status === "cancelled") return;
+      x.status = "done";
+      x.finishedAt = new Date().toISOString();
+    });
+    onFinish(done);
+  }
+
+  const next = () => store.get("broadcasts").find(b => b.status === "sending" || b.status === "queued");
+
+  async function run() {
+    let b;
+    while (!stopped && (b = next())) await deliver(b.id);
+  }
+
+  // start delivering queued broadcasts (one at a time) unless that is already happening
+  function kick() {
+    if (!active) {
+      active = run()
+        .catch(e => console.error("broadcast delivery failed", e))
+        .finally(() => { active = null; if (!stopped && next()) kick(); });
+    }
+    return active;
+  }
+
+  function stop() { stopped = true; }
+
+  return { kick, stop };
+}
+
+module.exports = {
+  BroadcastError, SEGMENT_KEYS, parseSegment, describeSegment, audience,
+  get, list, create, setVariant, messageFor, preview, confirm, cancel,
+  retryAfter, isUnreachable, markInactive, createSender,
+};
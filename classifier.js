@@ -0,0 +1,76 @@
+// classifier.js
+// Waste classifiers for the scan flow. A classifier takes { buffer, caption, mimeType, maxKg } and returns
+//   { material, confidence (0..1), estimatedKg, source }
+// where material is one of MATERIALS. estimatedKg is only ever an estimate for the offer: scans are paid
+// for the weight measured at collection (pickups.js), never for what a classifier or caption says.
+// Two implementations:
+//   heuristic - offline and deterministic; reads the caption ("2kg plastic bottles") and falls back
+//               to a low-confidence guess from the image bytes. Used for offline scanning and in tests. A weight
+//               typed in the caption is the user's claim: it is capped at maxKg (settings max_scan_kg by
+//               default) and flagged kgClaimed, which the pickup carries to admins and collectors.
+//   http      - online model behind CLASSIFIER_URL; POSTs the image and expects the same shape back.
+const crypto = require("crypto");
+const axios = require("axios");
+const config = require("./config");
+
+const MATERIALS = {
+  plastic: { label: "Plastic Bottle", keywords: ["plastic", "pet", "bottle", "nylon", "sachet", "jerrycan"] },
+  glass: { label: "Glass Bottle", keywords: ["glass", "jar"] },
+  paper: { label: "Paper/Cardboard", keywords: ["paper", "cardboard", "carton", "newspaper", "box"] },
+  metal: { label: "Metal Can", keywords: ["metal", "can", "tin", "aluminium", "aluminum", "iron", "scrap"] },
+};
+const DEFAULT_KG = 1;
+
+// JPEG, PNG or WebP; anything else is not a photo we can score
+function isImage(buf) {
+  if (!buf || buf.length < 12) return false;
+  if (buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return true;
+  if (buf.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return true;
+  return buf.slice(0, 4).toString() === "RIFF" && buf.slice(8, 12).toString() === "WEBP";
+}
+
+function sha256(buf) { return crypto.createHash("sha256").update(buf).digest("hex"); }
+
+function heuristicClassifier() {
+  return {
+    name: "heuristic",
+    async classify({ buffer, caption, maxKg = config.get("max_scan_kg") }) {
+      if (!isImage(buffer)) return { material: null, confidence: 0, estimatedKg: 0, kgClaimed: false, source: "heuristic" };
+      const text = (caption || "").toLowerCase();
+      let material = null;
+      // a material picked from the fingerprint is a guess: it scores below the default scan_min_confidence
+      // (0.3), so a photo without a caption keyword is refused rather than offered a price
+      let confidence = 0.1;
+      // caption keywords win; otherwise pick from the image fingerprint so the same photo always scores the same
+      for (const [key, m] of Object.entries(MATERIALS)) {
+        if (m.keywords.some(k => new RegExp(`\\b${k}s?\\b`).test(text))) { material = key; confidence = 0.7; break; }
+      }
+      if (!material) {
+        const keys = Object.keys(MATERIALS);
+        material = keys[parseInt(sha256(buffer).slice(0, 8), 16) % keys.length];
+      }
+      const kgMatch = text.match(/(\d+(?:\.\d+)?)\s*kg\b/);
+      const estimatedKg = kgMatch ? Math.min(Number(kgMatch[1]), maxKg) : DEFAULT_KG;
+      return { material, confidence, estimatedKg, kgClaimed: !!kgMatch, source: "heuristic" };
+    },
+  };
+}
+
+function httpClassifier(url = process.env.CLASSIFIER_URL, timeout = 15000) {
+  return {
+    name: "http",
+    async classify({ buffer, caption, mimeType }) {
+      if (!url) throw new Error("CLASSIFIER_URL is not set");
+      const res = await axios.post(url, { image: buffer.toString("base64"), mimeType: mimeType || "image/jpeg", caption: caption || "" }, { timeout });
+      const { material, confidence, estimatedKg } = res.data || {};
+      return {
+        material: MATERIALS[material] ? material : null,
+        confidence: Math.max(0, Math.min(1, Number(confidence) || 0)),
+        estimatedKg: Number(estimatedKg) || 0,
+        source: "http",
+      };
+    },
+  };
+}
+
+module.exports = { MATERIALS, isImage, sha256, heuristicClassifier, httpClassifier };
@@ -0,0 +1,115 @@
+// complaints.js
+// Complaint lifecycle on the "complaints" collection (./data/complaints.json):
+//   pending -> under_review -> approved -> forwarded -> cleanup_scheduled -> resolved
+// approved is where the reporter's bonus is paid; steps after it may be skipped, and any report can be
+// declined before it is approved. Every change is appended to complaint.history ({ status, by, ts, note });
+// admin-only remarks go to complaint.notes. New reports near a recent one are flagged with duplicateOf.
+const store = require("./storage");
+const geo = require("./geo");
+
+const STATUSES = ["pending", "under_review", "approved", "forwarded", "cleanup_scheduled", "resolved", "declined"];
+const TRANSITIONS = {
+  pending: ["under_review", "approved", "declined"],
+  under_review: ["approved", "declined"],
+  approved: ["forwarded", "cleanup_scheduled", "resolved"],
+  forwarded: ["cleanup_scheduled", "resolved"],
+  cleanup_scheduled: ["resolved"],
+  resolved: [],
+  declined: [],
+};
+// still waiting for an approve/decline decision
+const UNDECIDED = ["pending", "under_review"];
+
+// code is rendered as the admin_complaint_error_<code> message with vars
+class ComplaintError extends Error {
+  constructor(code, vars = {}) {
+    super(code);
+    this.name = "ComplaintError";
+    this.code = code;
+    this.vars = vars;
+  }
+}
+
+const all = () => store.get("complaints");
+
+function get(id) { return all().find(c => c.id === id) || null; }
+
+function forUser(userId) { return all().filter(c => c.userId === userId).sort((a, b) => (a.ts < b.ts ? 1 : -1)); }
+
+// history for reports created before it was tracked
+function historyOf(c) {
+  return c.history || [{ status: "pending", by: c.userId, ts: c.ts, note: "" }];
+}
+
+// earlier, not declined reports of the same place within `days`: pins within `radiusM` metres,
+// or - when either report has no pin - the same LGA and category. Oldest first.
+function findDuplicates(c, { radiusM, days }) {
+  const since = Date.parse(c.ts) - days * 24 * 60 * 60 * 1000;
+  return all()
+    .filter(x => x.id !== c.id && x.status !== "declined" && Date.parse(x.ts) >= since && Date.parse(x.ts) <= Date.parse(c.ts))
+    .filter(x => {
+      if (c.location && x.location) return geo.haversineKm(c.location.latitude, c.location.longitude, x.location.latitude, x.location.longitude) * 1000 <= radiusM;
+      return !!c.lga && c.lga === x.lga && c.category === x.category;
+    })
+    .sort((a, b) => (a.ts < b.ts ? -1 : 1));
+}
+
+// a bonus was already paid for this site: any report linked to this one through duplicateOf, in
+// either direction (a duplicate may be approved before the report it duplicates)
+function bonusPaidForSite(c) {
+  const list = all();
+  const paid = (x) => x.bonusPaid || (x.bonusPaid === undefined && x.approvedBy);
+  const seen = new Set([c.id]);
+  const queue = [c];
+  while (queue.length) {
+    const cur = queue.shift();
+    for (const x of [list.find(y => y.id === cur.duplicateOf), ...list.filter(y => y.duplicateOf === cur.id)]) {
+      if (!x || seen.has(x.id)) continue;
+      if (paid(x)) return x;
+      seen.add(x.id);
+      queue.push(x);
+    }
+  }
+  return null;
+}
+
+// move a complaint to `to`, merging `fields`; throws ComplaintError when the step is not allowed
+function transition(id, to, { by, note, fields } = {}) {
+  let updated = null;
+  store.update("complaints", (list) => {
+    const c = list.find(x => x.id === id);
+    if (!c) throw new ComplaintError("not_found", { id });
+    if (!STATUSES.includes(to)) throw new ComplaintError("unknown_status", { status: to, statuses: STATUSES.join(", ") });
+    if (!(TRANSITIONS[c.status] || []).includes(to)) throw new ComplaintError("bad_transition", { id, from: c.status, to });
+    c.history = historyOf(c);
+    Object.assign(c, fields || {});
+    c.status = to;
+    c.updatedAt = new Date().toISOString();
+    c.history.push({ status: to, by: by === undefined ? null : by, ts: c.updatedAt, note: note || "" });
+    updated = c;
+  });
+  return updated;
+}
+
+function addNote(id, by, text) {
+  let updated = null;
+  store.update("complaints", (list) => {
+    const c = list.find(x => x.id === id);
+    if (!c) throw new ComplaintError("not_found", { id });
+    c.notes = c.notes || [];
+    c.notes.push({ by, ts: new Date().toISOString(), text });
+    updated = c;
+  });
+  return updated;
+}
+
+function update(id, fields) {
+  let updated = null;
+  store.update("complaints", (list) => {
+    const c = list.find(x => x.id === id);
+    if (c) { Object.assign(c, fields); updated = c; }
+  });
+  return updated;
+}
+
+module.exports = { STATUSES, TRANSITIONS, UNDECIDED, ComplaintError, get, forUser, historyOf, findDuplicates, bonusPaidForSite, transition, addNote, update };
@@ -0,0 +1,160 @@
+// config.js
+// Runtime settings from ./data/settings.json and ./data/meta.json (through storage.js).
+// Values are read on every get(), so `/admin settings set` takes effect immediately.
+// Lookup order: data file -> environment variable -> built-in default.
+const store = require("./storage");
+
+// code is rendered as the admin_setting_error_<code> message with vars. The message is that text in
+// English, for startup logs and the dashboard (i18n.js reads settings, so it is required lazily).
+class ConfigError extends Error {
+  constructor(code, vars = {}) {
+    super(require("./i18n").t("en", `admin_setting_error_${code}`, vars));
+    this.name = "ConfigError";
+    this.code = code;
+    this.vars = vars;
+  }
+}
+
+// key -> { file, type, default, env, ... }. `file` is the collection the key is stored in.
+const SCHEMA = {
+  mode: { file: "settings", type: "enum", values: ["POLLING", "WEBHOOK"], default: "POLLING", desc: "Telegram update mode (restart to apply)" },
+  withdrawals_enabled: { file: "settings", type: "boolean", default: true, desc: "Allow users to request withdrawals" },
+  min_withdraw: { file: "settings", type: "number", min: 0, default: 1000, desc: "Smallest withdrawal amount (₦)" },
+  price_per_kg: { file: "settings", type: "number", min: 0, default: 50, env: "RATE_PER_KG", alias: { file: "meta", key: "rate_per_kg" }, desc: "Scan payout per kg (₦) for materials without their own rate" },
+  material_rates: { file: "settings", type: "rates", default: {}, desc: "Per-material payout per kg (₦), e.g. plastic:80,glass:40" },
+  co2_factors: { file: "settings", type: "rates", default: { plastic: 1.5, glass: 0.3, paper: 0.9, metal: 4 }, desc: "Estimated kg of CO₂ avoided per kg recycled, per material, for /stats, e.g. plastic:1.5,metal:4" },
+  scan_min_confidence: { file: "settings", type: "number", min: 0, max: 1, default: 0.3, desc: "Scans the classifier is less sure of are refused (0..1)" },
+  max_scan_kg: { file: "settings", type: "number", min: 0, default: 10, desc: "Largest weight one scan can claim (kg)" },
+  complaint_bonus: { file: "settings", type: "number", min: 0, default: 700, env: "COMPLAINT_BONUS", desc: "Bonus for an approved complaint (₦)" },
+  complaint_duplicate_days: { file: "settings", type: "integer", min: 0, default: 14, desc: "Reports of the same site within this many days are flagged as duplicates (0 = off)" },
+  complaint_duplicate_radius_m: { file: "settings", type: "number", min: 0, default: 200, desc: "Pins this close (metres) count as the same site" },
+  broadcast_per_second: { file: "settings", type: "integer", min: 1, max: 30, default: 20, desc: "Broadcast messages sent per second (Telegram allows about 30)" },
+  withdrawal_expiry_days: { file: "settings", type: "integer", min: 0, default: 7, desc: "Pending withdrawals nobody reviewed within this many days are expired and refunded (0 = never)" },
+  digest_hour: { file: "settings", type: "integer", min: 0, max: 23, default: 8, desc: "Hour (UTC) of the daily admin digest of pending items" },
+  verify_reminder_days: { file: "settings", type: "integer", min: 0, default: 3, desc: "Remind users who haven't verified (or whose verification expired) every this many days (0 = off)" },
+  backup_hour: { file: "settings", type: "integer", min: 0, max: 23, default: 2, desc: "Hour (UTC) of the daily automatic backup" },
+  backup_keep: { file: "settings", type: "integer", min: 1, default: 14, desc: "Automatic backups kept; older ones are deleted (manual ones are kept)" },
+  online_scanning: { file: "settings", type: "boolean", default: true, desc: "Online (AI) scanning available" },
+  offline_scanning: { file: "settings", type: "boolean", default: false, desc: "Offline scanning available" },
+  languages: { file: "settings", type: "list", default: ["en"], desc: "Languages offered to users" },
+  default_language: { file: "settings", type: "string", default: "en", desc: "Language used when none is chosen" },
+  referral_enabled: { file: "settings", type: "boolean", default: true, desc: "New users can join through invite links" },
+  referral_reward_referrer: { file: "settings", type: "number", min: 0, default: 500, desc: "Paid to the inviter once a referee qualifies (₦)" },
+  referral_reward_referee: { file: "settings", type: "number", min: 0, default: 200, desc: "Paid to the referee once they qualify (₦)" },
+  risk_daily_scans: { file: "settings", type: "integer", min: 0, default: 10, desc: "Accepted scans per user per 24 h (0 = no limit)" },
+  risk_daily_transfers: { file: "settings", type: "integer", min: 0, default: 10, desc: "Transfers a user may send per 24 h (0 = no limit)" },
+  risk_daily_transfer_amount: { file: "settings", type: "number", min: 0, default: 50000, desc: "₦ a user may send per 24 h (0 = no limit)" },
+  risk_daily_withdrawals: { file: "settings", type: "integer", min: 0, default: 3, desc: "Withdrawal requests per user per 24 h (0 = no limit)" },
+  risk_daily_withdraw_amount: { file: "settings", type: "number", min: 0, default: 100000, desc: "₦ a user may withdraw per 24 h (0 = no limit)" },
+  risk_velocity_max: { file: "settings", type: "integer", min: 0, default: 5, desc: "Transfers + withdrawals allowed within risk_velocity_minutes before blocking and flagging (0 = off)" },
+  risk_velocity_minutes: { file: "settings", type: "integer", min: 1, default: 10, desc: "Window for the velocity rule (minutes)" },
+  risk_new_account_days: { file: "settings", type: "integer", min: 0, default: 7, desc: "Money sent by accounts younger than this is held (days, 0 = off)" },
+  risk_hold_hours: { file: "settings", type: "integer", min: 0, default: 72, desc: "How long money from new accounts is held (hours)" },
+  risk_circular_hours: { file: "settings", type: "integer", min: 1, default: 72, desc: "Window for flagging money sent round in a circle (hours)" },
+  risk_similar_phone_accounts: { file: "settings", type: "integer", min: 0, default: 3, desc: "Flag when this many accounts share a phone number up to the last two digits (0 = off)" },
+  twilio_enabled: { file: "settings", type: "boolean", default: false, desc: "Send OTPs through Twilio Verify instead of the mock" },
+  verification_days: { file: "meta", type: "integer", min: 0, default: 30, env: "VERIFICATION_DAYS", desc: "Days a phone verification stays valid (0 = forever)" },
+  otp_max_attempts: { file: "settings", type: "integer", min: 1, default: 5, desc: "Wrong codes before verification is locked" },
+  otp_lockout_minutes: { file: "settings", type: "integer", min: 1, default: 30, desc: "How long verification stays locked after too many wrong codes" },
+  otp_resend_seconds: { file: "settings", type: "integer", min: 0, default: 60, desc: "Wait before another code can be sent" },
+  otp_max_sends_per_hour: { file: "settings", type: "integer", min: 1, default: 5, desc: "Codes sent per chat, and per phone number, per hour" },
+};
+
+const TRUE = ["true", "on", "yes", "1"];
+const FALSE = ["false", "off", "no", "0"];
+
+// turn a value (from a file, env var or admin command) into the schema type, or throw
+function coerce(key, value) {
+  const spec = SCHEMA[key];
+  if (!spec) throw new ConfigError("unknown", { key });
+  const raw = typeof value === "string" ? value.trim() : value;
+  switch (spec.type) {
+    case "boolean":
+      if (typeof raw === "boolean") return raw;
+      if (TRUE.includes(String(raw).toLowerCase())) return true;
+      if (FALSE.includes(String(raw).toLowerCase())) return false;
+      throw new ConfigError("boolean", { key });
+    case "number":
+    case "integer": {
+      const n = Number(raw);
+      if (raw === "" || !Number.isFinite(n)) throw new ConfigError("number", { key });
+      if (spec.type === "integer" && !Number.isInteger(n)) throw new ConfigError("integer", { key });
+      if (spec.min !== undefined && n < spec.min) throw new ConfigError("min", { key, min: spec.min });
+      if (spec.max !== undefined && n > spec.max) throw new ConfigError("max", { key, max: spec.max });
+      return n;
+    }
+    case "enum": {
+      const v = String(raw).toUpperCase();
+      if (!spec.values.includes(v)) throw new ConfigError("enum", { key, values: spec.values.join(", ") });
+      return v;
+    }
+    case "list": {
+      const list = Array.isArray(raw) ? raw : String(raw).split(",");
+      const out = list.map(x => String(x).trim()).filter(Boolean);
+      if (!out.length) throw new ConfigError("list_empty", { key });
+      return out;
+    }
+    case "rates": {
+      // { material: ₦ per kg }, or "plastic:80,glass:40" from an admin command
+      const pairs = typeof raw === "object" && raw !== null && !Array.isArray(raw)
+        ? Object.entries(raw)
+        : String(raw).split(",").filter(x => x.trim()).map(x => x.split(":"));
+      const out = {};
+      for (const [k, v] of pairs) {
+        const n = Number(v);
+        if (!k || !String(k).trim() || v === undefined || !Number.isFinite(n) || n < 0) throw new ConfigError("rates", { key });
+        out[String(k).trim().toLowerCase()] = n;
+      }
+      return out;
+    }
+    default:
+      if (typeof raw !== "string" || !raw) throw new ConfigError("string", { key });
+      return raw;
+  }
+}
+
+function get(key) {
+  const spec = SCHEMA[key];
+  if (!spec) throw new ConfigError("unknown", { key });
+  const stored = store.get(spec.file)[key];
+  if (stored !== undefined) return coerce(key, stored);
+  if (spec.alias) {
+    const aliased = store.get(spec.alias.file)[spec.alias.key];
+    if (aliased !== undefined) return coerce(key, aliased);
+  }
+  if (spec.env && process.env[spec.env] !== undefined && process.env[spec.env] !== "") return coerce(key, process.env[spec.env]);
+  return spec.default;
+}
+
+function all() {
+  const out = {};
+  for (const key of Object.keys(SCHEMA)) out[key] = get(key);
+  return out;
+}
+
+// check every stored value plus cross-field rules; throws one ConfigError listing all problems
+function validate() {
+  const problems = [];
+  for (const key of Object.keys(SCHEMA)) {
+    try { get(key); } catch (e) { problems.push(e.message); }
+  }
+  if (!problems.length) {
+    const cfg = all();
+    if (!cfg.languages.includes(cfg.default_language)) problems.push(new ConfigError("language_not_offered", { language: cfg.default_language, languages: cfg.languages.join(", ") }).message);
+  }
+  if (problems.length) throw new ConfigError("invalid", { problems: problems.join("\n") });
+  return all();
+}
+
+// change one setting; returns { key, before, after } for the audit log
+function set(key, value) {
+  const after = coerce(key, value);
+  const before = get(key);
+  const spec = SCHEMA[key];
+  if (key === "default_language" && !get("languages").includes(after)) throw new ConfigError("language_not_offered", { language: after, languages: get("languages").join(", ") });
+  if (key === "languages" && !after.includes(get("default_language"))) throw new ConfigError("default_language_missing", { language: get("default_language") });
+  store.update(spec.file, (doc) => { doc[key] = after; });
+  return { key, before, after };
+}
+
+module.exports = { SCHEMA, ConfigError, get, all, set, validate, coerce };
@@ -0,0 +1,60 @@
+// conversation.js
+// Per-chat conversation state for multi-step flows (verify, scan, withdraw, send, complaint).
+// Each chat has at most one active step, kept in the "sessions" collection so flows survive a restart.
+// A step that sees no reply within its timeout is treated as abandoned.
+const store = require("./storage");
+const DEFAULT_TIMEOUT_MS = (parseInt(process.env.SESSION_TIMEOUT_MIN, 10) || 15) * 60 * 1000;
+
+const read = () => store.get("sessions");
+const write = (o) => store.set("sessions", o);
+
+// current step record for a chat, or null
+function get(chatId) {
+  return read()[chatId] || null;
+}
+
+// begin a flow, replacing whatever the chat was doing before
+function start(chatId, flow, step, data = {}, timeoutMs = DEFAULT_TIMEOUT_MS) {
+  const sessions = read();
+  const now = Date.now();
+  sessions[chatId] = { chatId, flow, step, data, timeoutMs, startedAt: now, updatedAt: now, expiresAt: now + timeoutMs };
+  write(sessions);
+  return sessions[chatId];
+}
+
+// move to another step of the same flow, merging extra data and refreshing the timeout
+function advance(chatId, step, data = {}) {
+  const sessions = read();
+  const s = sessions[chatId];
+  if (!s) return null;
+  const now = Date.now();
+  s.step = step;
+  s.data = { ...s.data, ...data };
+  s.updatedAt = now;
+  s.expiresAt = now + (s.timeoutMs || DEFAULT_TIMEOUT_MS);
+  write(sessions);
+  return s;
+}
+
+function end(chatId) {
+  const sessions = read();
+  const s = sessions[chatId] || null;
+  if (s) { delete sessions[chatId]; write(sessions); }
+  return s;
+}
+
+function isExpired(s, now = Date.now()) {
+  return !!s && s.expiresAt <= now;
+}
+
+// drop every abandoned session and return them so the caller can tell the users
+function sweepExpired(now = Date.now()) {
+  const sessions = read();
+  const expired = Object.values(sessions).filter(s => isExpired(s, now));
+  if (!expired.length) return [];
+  for (const s of expired) delete sessions[s.chatId];
+  write(sessions);
+  return expired;
+}
+
+module.exports = { get, start, advance, end, isExpired, sweepExpired, DEFAULT_TIMEOUT_MS };
@@ -0,0 +1,386 @@
+// dashboard.js
+// Admin web dashboard served from the bot's Express app under /admin: users, balances, transactions,
+// withdrawals, complaints (with photos) and settings, with search, filters and pagination.
+// Sign-in: `/admin dashboard` in Telegram sends a single-use link valid for LOGIN_MINUTES; when
+// DASHBOARD_PASSWORD is set, an admin can also sign in with their Telegram id and that password.
+// Sessions are HMAC-signed cookies bound to the admin id, re-checked against admin.json on every
+// request; pages and actions follow the admin's role (roles.js), and actions run through the same
+// functions as the /admin commands, so they land in the audit log the same way.
+const crypto = require("crypto");
+const express = require("express");
+const store = require("./storage");
+const audit = require("./audit");
+const ledger = require("./ledger");
+const config = require("./config");
+const complaints = require("./complaints");
+const geo = require("./geo");
+
+const COOKIE = "c9_dash";
+const LOGIN_MINUTES = 10;
+const SESSION_HOURS = 12;
+const PAGE_SIZE = 25;
+const WITHDRAWAL_STATUSES = ["pending", "processing", "paid", "failed", "declined"];
+
+const SECRET = process.env.DASHBOARD_SECRET || (process.env.TELEGRAM_TOKEN
+  ? crypto.createHash("sha256").update(`dashboard:${process.env.TELEGRAM_TOKEN}`).digest("hex")
+  : crypto.randomBytes(32).toString("hex"));
+
+const hmac = (s) => crypto.createHmac("sha256", SECRET).update(s).digest("hex");
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+}
+
+// "<adminId>.<expires>.<sig>", or with a nonce for login links
+function signToken(parts) { return `${parts.join(".")}.${hmac(parts.join("."))}`; }
+function readToken(token, count) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== count + 1) return null;
+  const sig = parts.pop();
+  if (!safeEqual(sig, hmac(parts.join(".")))) return null;
+  if (!(Number(parts[1]) > Date.now())) return null;
+  return parts;
+}
+
+function baseUrl() {
+  const base = process.env.DASHBOARD_URL || process.env.WEBHOOK_URL || `http://127.0.0.1:${process.env.PORT || 8080}`;
+  return base.replace(/\/+$/, "");
+}
+
+// login links are single use; spent nonces are kept (in memory) until the link would expire anyway
+const spent = new Map();
+function loginLink(adminId) {
+  const token = signToken([adminId, Date.now() + LOGIN_MINUTES * 60 * 1000, crypto.randomBytes(8).toString("hex")]);
+  return `${baseUrl()}/admin/login?token=${encodeURIComponent(token)}`;
+}
+function useLoginToken(token) {
+  const parts = readToken(token, 3);
+  if (!parts) return null;
+  for (const [nonce, exp] of spent) if (exp < Date.now()) spent.delete(nonce);
+  if (spent.has(parts[2])) return null;
+  spent.set(parts[2], Number(parts[1]));
+  return Number(parts[0]);
+}
+
+function cookies(req) {
+  const out = {};
+  for (const c of String(req.headers.cookie || "").split(";")) {
+    const i = c.indexOf("=");
+    if (i > 0) out[c.slice(0, i).trim()] = decodeURIComponent(c.slice(i + 1).trim());
+  }
+  return out;
+}
+function setSession(req, res, adminId) {
+  const value = signToken([adminId, Date.now() + SESSION_HOURS * 60 * 60 * 1000]);
+  res.setHeader("Set-Cookie", `${COOKIE}=${encodeURIComponent(value)}; Path=/admin; HttpOnly; SameSite=Strict; Max-Age=${SESSION_HOURS * 3600}${req.secure ? "; Secure" : ""}`);
+}
+const csrfFor = (req) => hmac(`csrf:${cookies(req)[COOKIE] || ""}`);
+
+// --------------------- HTML helpers ---------------------
+const esc = (v) => String(v === null || v === undefined ? "" : v).replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+const naira = (n) => `₦${Number(n || 0).toFixed(2)}`;
+const when = (ts) => (ts ? esc(String(ts).slice(0, 16).replace("T", " ")) : "-");
+
+const STYLE = `body{font-family:system-ui,sans-serif;margin:0;color:#1d2b1f;background:#f6f8f6}
+nav{background:#14532d;padding:10px 16px}nav a{color:#fff;margin-right:14px;text-decoration:none}
+main{padding:16px}table{border-collapse:collapse;width:100%;background:#fff}
+th,td{border:1px solid #dde5dd;padding:6px 8px;text-align:left;font-size:14px;vertical-align:top}
+th{background:#e8f0e8}form.inline{display:inline}.flash{background:#fff7d6;padding:8px;border:1px solid #e9d98a;margin-bottom:12px}
+.pager{margin:12px 0}.pager a{margin-right:8px}img.photo{max-width:280px;margin:4px;border:1px solid #ccc}
+input,select,button{font-size:14px;padding:4px}`;
+
+// [path, label, permission] for the navigation bar; links are shown to roles that may open them
+const PAGES = [["/admin", "Overview", "dashboard"], ["/admin/users", "Users", "view_users"], ["/admin/transactions", "Transactions", "view_transactions"],
+  ["/admin/withdrawals", "Withdrawals", "list_withdrawals"], ["/admin/complaints", "Complaints", "complaint"], ["/admin/settings", "Settings", "settings_get"], ["/admin/audit", "Audit log", "audit"]];
+
+function layout(title, body, { adminId, csrf, flash, can } = {}) {
+  const nav = adminId ? `<nav>${PAGES.filter(p => can(adminId, p[2])).map(([path, label]) => `<a href="${path}">${label}</a>`).join("")}
+<form class="inline" method="post" action="/admin/logout" style="float:right"><input type="hidden" name="csrf" value="${esc(csrf)}"><button>Sign out ${esc(adminId)}</button></form></nav>` : "";
+  return `<!doctype html><html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width"><title>${esc(title)} · Clean9ja admin</title><style>${STYLE}</style></head>
+<body>${nav}<main><h1>${esc(title)}</h1>${flash ? `<div class="flash">${esc(flash)}</div>` : ""}${body}</main></body></html>`;
+}
+
+function table(headers, rows) {
+  if (!rows.length) return "<p>Nothing found.</p>";
+  return `<table><tr>${headers.map(h => `<th>${esc(h)}</th>`).join("")}</tr>${rows.map(r => `<tr>${r.map(c => `<td>${c}</td>`).join("")}</tr>`).join("")}</table>`;
+}
+
+// filter form; `fields` are [name, label, options?] and keep their current values
+function filterForm(req, fields) {
+  const input = ([name, label, options]) => options
+    ? `<label>${esc(label)} <select name="${name}"><option value="">any</option>${options.map(o => `<option${req.query[name] === o ? " selected" : ""}>${esc(o)}</option>`).join("")}</select></label>`
+    : `<label>${esc(label)} <input name="${name}" value="${esc(req.query[name] || "")}"></label>`;
+  return `<form method="get">${fields.map(input).join(" ")} <button>Filter</button></form><br>`;
+}
+
+function paginate(req, list) {
+  const pages = Math.max(1, Math.ceil(list.length / PAGE_SIZE));
+  const page = Math.min(pages, Math.max(1, parseInt(req.query.page, 10) || 1));
+  const link = (p, label) => {
+    const q = new URLSearchParams({ ...req.query, page: String(p) });
+    return `<a href="?${esc(q.toString())}">${label}</a>`;
+  };
+  const pager = `<div class="pager">${page > 1 ? link(page - 1, "← Prev") : ""} Page ${page} of ${pages} (${list.length} total) ${page < pages ? link(page + 1, "Next →") : ""}</div>`;
+  return { items: list.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE), pager };
+}
+
+// case-insensitive match of `q` against any of the given values
+const matches = (q, ...values) => !q || values.some(v => String(v === null || v === undefined ? "" : v).toLowerCase().includes(String(q).toLowerCase()));
+const newestFirst = (list) => list.slice().sort((a, b) => (a.ts < b.ts ? 1 : -1));
+
+function actionButton(csrf, action, label, fields = {}) {
+  const hidden = Object.entries({ csrf, ...fields }).map(([k, v]) => `<input type="hidden" name="${k}" value="${esc(v)}">`).join("");
+  return `<form class="inline" method="post" action="${esc(action)}">${hidden}<button>${esc(label)}</button></form>`;
+}
+
+// --------------------- routes ---------------------
+// deps: { bot, can(adminId, permission), adminName, reviewAction(adminId, kind, action, id), complaintStatus(adminId, id, status, note),
+//         complaintNote(adminId, id, text), setSetting(adminId, key, value), describeDestination, describeArea }
+function mount(app, deps) {
+  const router = express.Router();
+  router.use(express.urlencoded({ extended: false, limit: "64kb" }));
+
+  router.get("/login", (req, res) => {
+    if (req.query.token) {
+      const adminId = useLoginToken(req.query.token);
+      if (adminId === null || !deps.can(adminId, "dashboard")) return res.status(401).send(layout("Sign in", "<p>This link is invalid, expired or already used. Send <code>/admin dashboard</code> to the bot for a new one.</p>"));
+      setSession(req, res, adminId);
+      audit.record({ adminId, action: "dashboard.login", note: "link" });
+      return res.redirect("/admin");
+    }
+    const form = process.env.DASHBOARD_PASSWORD
+      ? `<form method="post" action="/admin/login"><label>Telegram id <input name="id"></label> <label>Password <input type="password" name="password"></label> <button>Sign in</button></form><p>or</p>`
+      : "";
+    return res.send(layout("Sign in", `${form}<p>Send <code>/admin dashboard</code> to the bot to get a sign-in link.</p>`));
+  });
+
+  router.post("/login", (req, res) => {
+    const adminId = Number(req.body.id);
+    const ok = process.env.DASHBOARD_PASSWORD && safeEqual(hmac(String(req.body.password || "")), hmac(process.env.DASHBOARD_PASSWORD));
+    if (!ok || !deps.can(adminId, "dashboard")) return res.status(401).send(layout("Sign in", "<p>Wrong id or password.</p><p><a href=\"/admin/login\">Try again</a></p>"));
+    setSession(req, res, adminId);
+    audit.record({ adminId, action: "dashboard.login", note: "password" });
+    return res.redirect("/admin");
+  });
+
+  // everything below needs a session of someone who is still an admin; posts need the CSRF field
+  router.use((req, res, next) => {
+    const parts = readToken(cookies(req)[COOKIE], 2);
+    if (!parts || !deps.can(Number(parts[0]), "dashboard")) return res.redirect("/admin/login");
+    req.adminId = Number(parts[0]);
+    req.csrf = csrfFor(req);
+    if (req.method === "POST" && !safeEqual(req.body.csrf || "", req.csrf)) return res.status(403).send(layout("Forbidden", "<p>Form expired; go back and reload the page.</p>"));
+    res.page = (title, body) => res.send(layout(title, body, { adminId: req.adminId, csrf: req.csrf, flash: req.query.flash, can: deps.can }));
+    next();
+  });
+  const need = (permission) => (req, res, next) => (deps.can(req.adminId, permission) ? next() : res.status(403).page("Not allowed", "<p>Your role does not allow this page or action.</p>"));
+
+  router.post("/logout", (req, res) => {
+    res.setHeader("Set-Cookie", `${COOKIE}=; Path=/admin; HttpOnly; SameSite=Strict; Max-Age=0`);
+    res.redirect("/admin/login");
+  });
+
+  router.get("/", (req, res) => {
+    const users = store.get("users");
+    const balances = ledger.balances();
+    const wallets = users.reduce((a, u) => a + (balances[ledger.userAccount(u.id)] || 0), 0);
+    const w = store.get("withdrawals");
+    const c = store.get("complaints");
+    const rows = [
+      ["Users", `${users.length} (${users.filter(u => u.verified).length} verified)`],
+      ["Wallet balances", naira(wallets)],
+      ["Withdrawals awaiting review", `<a href="/admin/withdrawals?status=pending">${w.filter(x => x.status === "pending").length}</a> (${naira(w.filter(x => x.status === "pending").reduce((a, x) => a + x.amount, 0))})`],
+      ["Payouts processing", `<a href="/admin/withdrawals?status=processing">${w.filter(x => x.status === "processing").length}</a>`],
+      ["Open risk flags / frozen users", `${store.get("risk_flags").filter(f => f.status === "open").length} / <a href="/admin/users?frozen=true">${users.filter(u => u.frozen).length}</a>`],
+      ["Complaints awaiting review", `<a href="/admin/complaints?status=pending">${c.filter(x => complaints.UNDECIDED.includes(x.status)).length}</a>`],
+      ...Object.values(ledger.ACCOUNTS).map(a => [a, naira(balances[a])]),
+    ];
+    res.page("Overview", table(["", ""], rows.map(([k, v]) => [esc(k), v])));
+  });
+
+  router.get("/users", need("view_users"), (req, res) => {
+    const balances = ledger.balances();
+    const list = store.get("users").filter(u => matches(req.query.q, u.id, u.username, u.phone))
+      .filter(u => !req.query.verified || String(!!u.verified) === req.query.verified)
+      .filter(u => !req.query.frozen || String(!!u.frozen) === req.query.frozen);
+    const { items, pager } = paginate(req, list);
+    const rows = items.map(u => [
+      esc(u.id), esc(u.username ? `@${u.username}` : "-"), esc(u.phone || "-"), u.verified ? "yes" : "no", u.frozen ? `yes${u.frozen.reason ? ` (${esc(u.frozen.reason)})` : ""}` : "no", esc(u.lang || "-"),
+      naira(balances[ledger.userAccount(u.id)]), `<a href="/admin/transactions?q=user:${esc(u.id)}">transactions</a>`,
+    ]);
+    res.page("Users", filterForm(req, [["q", "Search id/username/phone"], ["verified", "Verified", ["true", "false"]], ["frozen", "Frozen", ["true", "false"]]]) + table(["Id", "Username", "Phone", "Verified", "Frozen", "Lang", "Balance", ""], rows) + pager);
+  });
+
+  router.get("/transactions", need("view_transactions"), (req, res) => {
+    const list = newestFirst(store.get("transactions"))
+      .filter(e => !req.query.type || e.type === req.query.type)
+      .filter(e => matches(req.query.q, e.id, e.ref, e.note, e.memo, ...(e.postings || []).map(p => p.account), e.userId !== undefined ? `user:${e.userId}` : ""));
+    const types = [...new Set(store.get("transactions").map(e => e.type))].sort();
+    const { items, pager } = paginate(req, list);
+    const rows = items.map(e => [
+      when(e.ts), esc(e.type), esc(e.ref || "-"), esc(e.note || "") + (e.memo ? ` “${esc(e.memo)}”` : ""),
+      e.postings ? e.postings.map(p => `${esc(p.account)} ${p.amount > 0 ? "+" : ""}${esc(p.amount.toFixed(2))}`).join("<br>") : `user:${esc(e.userId)} ${esc(e.amount)} (legacy)`,
+    ]);
+    res.page("Transactions", filterForm(req, [["q", "Search id/ref/account"], ["type", "Type", types]]) + table(["When", "Type", "Ref", "Note", "Postings"], rows) + pager);
+  });
+
+  router.get("/withdrawals", need("list_withdrawals"), (req, res) => {
+    const list = newestFirst(store.get("withdrawals"))
+      .filter(w => !req.query.status || w.status === req.query.status)
+      .filter(w => matches(req.query.q, w.id, w.userId, w.phone, w.destination && w.destination.accountNumber, w.destination && w.destination.accountName));
+    const { items, pager } = paginate(req, list);
+    const back = req.originalUrl;
+    const rows = items.map(w => [
+      when(w.ts), esc(w.id), esc(w.userId), naira(w.amount), esc(w.status), esc(deps.describeDestination(w.destination)),
+      esc(w.payout ? `${w.payout.reference}${w.payout.reason ? ` - ${w.payout.reason}` : ""}` : "-"),
+      w.status === "pending" && deps.can(req.adminId, "approve") ? actionButton(req.csrf, `/admin/review/withdraw/${w.id}/approve`, "Approve", { back }) + " " + actionButton(req.csrf, `/admin/review/withdraw/${w.id}/decline`, "Decline", { back }) : "",
+    ]);
+    res.page("Withdrawals", filterForm(req, [["q", "Search id/user/account"], ["status", "Status", WITHDRAWAL_STATUSES]]) + table(["When", "Id", "User", "Amount", "Status", "Destination", "Payout", ""], rows) + pager);
+  });
+
+  router.get("/complaints", need("complaint"), (req, res) => {
+    const f = (k) => geo.norm(req.query[k]);
+    const list = newestFirst(store.get("complaints"))
+      .filter(c => !req.query.status || c.status === req.query.status)
+      .filter(c => !req.query.category || c.category === req.query.category)
+      .filter(c => !f("lga") || geo.norm(c.lga) === f("lga"))
+      .filter(c => !f("state") || geo.norm(c.state) === f("state"))
+      .filter(c => matches(req.query.q, c.id, c.userId, c.text, c.address));
+    const categories = [...new Set(store.get("complaints").map(c => c.category).filter(Boolean))].sort();
+    const { items, pager } = paginate(req, list);
+    const rows = items.map(c => [
+      when(c.ts), `<a href="/admin/complaints/${esc(c.id)}">${esc(c.id)}</a>`, esc(c.userId), esc(c.status) + (c.duplicateOf ? `<br>dup of ${esc(c.duplicateOf)}` : ""),
+      esc(c.category || "-"), esc(deps.describeArea(null, c)), esc((c.photos || (c.photo ? [c.photo] : [])).length), esc((c.text || "").slice(0, 80)),
+    ]);
+    res.page("Complaints", filterForm(req, [["q", "Search"], ["status", "Status", complaints.STATUSES], ["category", "Category", categories], ["lga", "LGA"], ["state", "State"]])
+      + table(["When", "Id", "User", "Status", "Category", "Where", "Photos", "Text"], rows) + pager);
+  });
+
+  router.get("/complaints/:id", need("complaint"), (req, res) => {
+    const c = complaints.get(req.params.id);
+    if (!c) return res.status(404).page("Complaint not found", "<p><a href=\"/admin/complaints\">Back to complaints</a></p>");
+    const back = req.originalUrl.split("?")[0];
+    const photos = (c.photos || (c.photo ? [c.photo] : [])).map(p => `<a href="/admin/photo/${esc(encodeURIComponent(p))}"><img class="photo" src="/admin/photo/${esc(encodeURIComponent(p))}" alt="photo"></a>`).join("");
+    const pin = c.location ? `<a href="https://www.openstreetmap.org/?mlat=${esc(c.location.latitude)}&mlon=${esc(c.location.longitude)}#map=18/${esc(c.location.latitude)}/${esc(c.location.longitude)}" target="_blank" rel="noopener">${esc(c.location.latitude)},${esc(c.location.longitude)}</a>` : "-";
+    const details = table(["", ""], [
+      ["User", esc(c.userId)], ["Status", esc(c.status)], ["Submitted", when(c.ts)], ["Category", esc(c.category || "-")],
+      ["Where", esc(deps.describeArea(null, c))], ["Pin", pin], ["Address", esc(c.address || "-")],
+      ["Possible duplicate of", c.duplicateOf ? `<a href="/admin/complaints/${esc(c.duplicateOf)}">${esc(c.duplicateOf)}</a>` : "-"],
+      ["Text", esc(c.text || "-")],
+    ]);
+    const history = table(["When", "Status", "By", "Note"], complaints.historyOf(c).map(h => [when(h.ts), esc(h.status), esc(h.by), esc(h.note)]));
+    const notes = table(["When", "By", "Note"], (c.notes || []).map(n => [when(n.ts), esc(n.by), esc(n.text)]));
+    const review = complaints.UNDECIDED.includes(c.status) && deps.can(req.adminId, "approve_complaint")
+      ? actionButton(req.csrf, `/admin/review/complaint/${c.id}/approve`, "Approve", { back }) + " " + actionButton(req.csrf, `/admin/review/complaint/${c.id}/decline`, "Decline", { back })
+      : "";
+    const next = deps.can(req.adminId, "complaint_status") ? complaints.TRANSITIONS[c.status] || [] : [];
+    const statusForm = next.length
+      ? `<form method="post" action="/admin/complaints/${esc(c.id)}/status"><input type="hidden" name="csrf" value="${esc(req.csrf)}"><select name="status">${next.map(s => `<option>${esc(s)}</option>`).join("")}</select> <input name="note" placeholder="Note for the reporter" size="40"> <button>Update status</button></form>`
+      : "";
+    const noteForm = deps.can(req.adminId, "complaint_note") && `<form method="post" action="/admin/complaints/${esc(c.id)}/note"><input type="hidden" name="csrf" value="${esc(req.csrf)}"><input name="text" placeholder="Internal note" size="50"> <button>Add note</button></form>`;
+    res.page(`Complaint ${c.id}`, `${details}<p>${photos || "No photos."}</p><p>${review}</p>${statusForm}<h2>History</h2>${history}<h2>Notes</h2>${notes}<br>${noteForm || ""}`);
+  });
+
+  // Telegram file ids are only proxied when a complaint references them
+  router.get("/photo/:fileId", need("complaint"), (req, res) => {
+    const id = req.params.fileId;
+    if (!store.get("complaints").some(c => (c.photos || []).includes(id) || c.photo === id)) return res.sendStatus(404);
+    const stream = deps.bot.getFileStream(id);
+    stream.on("error", (e) => {
+      console.warn(`dashboard photo ${id}:`, e.message);
+      if (!res.headersSent) res.sendStatus(502);
+    });
+    // Telegram stores every photo as JPEG
+    res.type("jpg");
+    res.setHeader("Cache-Control", "private, max-age=3600");
+    stream.pipe(res);
+  });
+
+  router.get("/audit", need("audit"), (req, res) => {
+    const v = audit.verify();
+    const list = audit.list({ adminId: req.query.admin ? Number(req.query.admin) : undefined, action: req.query.action || undefined, target: req.query.target || undefined });
+    const { items, pager } = paginate(req, list);
+    const brief = (x) => (x === null || x === undefined ? "-" : esc(JSON.stringify(x)));
+    const rows = items.map(e => [when(e.ts), esc(deps.adminName(e.adminId)), esc(e.action), esc(e.target === null ? "-" : e.target), brief(e.before), brief(e.after), esc(e.note)]);
+    const chain = v.ok ? `<p>✅ Chain intact (${v.count} entries).</p>` : `<p class="flash">⚠️ The log was altered: entry ${v.broken + 1} of ${v.count} does not match the chain.</p>`;
+    res.page("Audit log", chain + filterForm(req, [["admin", "Admin id"], ["action", "Action (prefix)"], ["target", "Target"]]) + table(["When", "Admin", "Action", "Target", "Before", "After", "Note"], rows) + pager);
+  });
+
+  router.get("/settings", need("settings_get"), (req, res) => {
+    const rows = Object.entries(config.all()).map(([k, v]) => {
+      const spec = config.SCHEMA[k];
+      const value = typeof v === "object" ? JSON.stringify(v) : String(v);
+      if (!deps.can(req.adminId, "settings_set")) return [esc(k), esc(value), esc(spec ? spec.desc : "")];
+      return [esc(k), `<form method="post" action="/admin/settings"><input type="hidden" name="csrf" value="${esc(req.csrf)}"><input type="hidden" name="key" value="${esc(k)}"><input name="value" value="${esc(value)}" size="30"> <button>Save</button></form>`, esc(spec ? spec.desc : "")];
+    });
+    res.page("Settings", table(["Key", "Value", "Description"], rows));
+  });
+
+  // redirect back to where the form was, with a one-line result
+  const done = (req, res, flash) => {
+    const back = typeof req.body.back === "string" && req.body.back.startsWith("/admin") ? req.body.back : "/admin";
+    const [path, query] = back.split("?");
+    const q = new URLSearchParams(query || "");
+    q.set("flash", flash);
+    res.redirect(`${path}?${q.toString()}`);
+  };
+  const statusOf = (collection, id) => {
+    const rec = store.get(collection).find(x => x.id === id);
+    return rec ? rec.status : null;
+  };
+
+  router.post("/review/:kind/:id/:action", async (req, res, next) => {
+    const { kind, id, action } = req.params;
+    if (!["complaint", "withdraw"].includes(kind) || !["approve", "decline"].includes(action)) return res.sendStatus(404);
+    const collection = kind === "complaint" ? "complaints" : "withdrawals";
+    if (!deps.can(req.adminId, kind === "complaint" ? `${action}_complaint` : action)) return res.status(403).page("Not allowed", "<p>Your role does not allow this action.</p>");
+    try {
+      const before = statusOf(collection, id);
+      await deps.reviewAction(req.adminId, kind, action, id);
+      const after = statusOf(collection, id);
+      done(req, res, before !== after ? `${id}: ${before} → ${after}` : `${id} was not changed (it is ${after || "missing"}); see the bot chat for details.`);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  router.post("/complaints/:id/status", need("complaint_status"), async (req, res, next) => {
+    const id = req.params.id;
+    try {
+      const before = statusOf("complaints", id);
+      await deps.complaintStatus(req.adminId, id, String(req.body.status || ""), String(req.body.note || "").trim());
+      const after = statusOf("complaints", id);
+      req.body.back = `/admin/complaints/${id}`;
+      done(req, res, before !== after ? `${id}: ${before} → ${after}` : `${id} was not changed; see the bot chat for details.`);
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  router.post("/complaints/:id/note", need("complaint_note"), async (req, res, next) => {
+    const text = String(req.body.text || "").trim();
+    try {
+      if (text) await deps.complaintNote(req.adminId, req.params.id, text);
+      req.body.back = `/admin/complaints/${req.params.id}`;
+      done(req, res, text ? "Note added." : "Empty note ignored.");
+    } catch (e) {
+      next(e);
+    }
+  });
+
+  router.post("/settings", need("settings_set"), (req, res) => {
+    req.body.back = "/admin/settings";
+    try {
+      const change = deps.setSetting(req.adminId, String(req.body.key || ""), String(req.body.value || ""));
+      done(req, res, `${req.body.key}: ${JSON.stringify(change.before)} → ${JSON.stringify(change.after)}`);
+    } catch (e) {
+      if (!(e instanceof config.ConfigError)) throw e;
+      done(req, res, e.message);
+    }
+  });
+
+  app.use("/admin", router);
+}
+
+module.exports = { mount, loginLink, LOGIN_MINUTES };
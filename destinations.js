@@ -0,0 +1,84 @@
+// destinations.js
+// Saved payout destinations, kept in the "destinations" collection (./data/destinations.json):
+//   { id, userId, type: "bank" | "wallet", bankCode, bankName, accountNumber, accountName, ts }
+// Bank accounts must pass the NUBAN check digit. A mobile wallet's number is a phone number, and it
+// must be the one its owner verified, so a withdrawal can't be sent to somebody else's wallet.
+// Account names come from the payout provider (see payouts.js) before a destination is saved.
+const store = require("./storage");
+
+const MAX_PER_USER = 5;
+// CBN NUBAN weights over the 6-digit institution code + 9-digit serial
+const NUBAN_WEIGHTS = [3, 7, 3, 3, 7, 3, 3, 7, 3, 3, 7, 3, 3, 7, 3];
+
+// code is one of: wallet_invalid, wallet_unverified, wallet_not_owner, nuban_invalid, full
+// (shown to users as destination_<code>)
+class DestinationError extends Error {
+  constructor(code, vars = {}) {
+    super(code);
+    this.name = "DestinationError";
+    this.code = code;
+    this.vars = vars;
+  }
+}
+
+// 3-digit bank codes are padded to 000xxx; 6-digit codes (microfinance, fintech) are used as-is
+function nubanValid(bankCode, accountNumber) {
+  const code = String(bankCode || "");
+  const acct = String(accountNumber || "");
+  if (!/^\d{10}$/.test(acct) || !/^(\d{3}|\d{6})$/.test(code)) return false;
+  const digits = (code.padStart(6, "0") + acct.slice(0, 9)).split("").map(Number);
+  const sum = digits.reduce((a, d, i) => a + d * NUBAN_WEIGHTS[i], 0);
+  return (10 - (sum % 10)) % 10 === Number(acct[9]);
+}
+
+// Nigerian mobile number, 0803... or 803...
+function walletNumberValid(n) { return /^0?[789][01]\d{8}$/.test(String(n || "")); }
+
+// 08031234567, 8031234567 and +2348031234567 are the same line
+const lastTen = (n) => String(n || "").replace(/\D/g, "").slice(-10);
+
+// check the account number for the given bank/wallet type; `phone` is the owner's verified phone
+// (null when they have none). Throws DestinationError.
+function validate({ type, bankCode, accountNumber }, phone = null) {
+  if (type === "wallet") {
+    if (!walletNumberValid(accountNumber)) throw new DestinationError("wallet_invalid");
+    if (!phone) throw new DestinationError("wallet_unverified");
+    if (lastTen(accountNumber) !== lastTen(phone)) throw new DestinationError("wallet_not_owner", { phone });
+  } else if (!nubanValid(bankCode, accountNumber)) {
+    throw new DestinationError("nuban_invalid");
+  }
+}
+
+function list(userId) {
+  return store.get("destinations").filter(d => d.userId === userId).sort((a, b) => (a.ts < b.ts ? -1 : 1));
+}
+
+function get(userId, id) {
+  return list(userId).find(d => d.id === id) || null;
+}
+
+function find(userId, bankCode, accountNumber) {
+  return list(userId).find(d => d.bankCode === bankCode && d.accountNumber === accountNumber) || null;
+}
+
+// dest = { id, userId, type, bankCode, bankName, accountNumber, accountName }; returns the saved (or existing) one
+function add(dest, phone = null) {
+  validate(dest, phone);
+  const existing = find(dest.userId, dest.bankCode, dest.accountNumber);
+  if (existing) return existing;
+  if (list(dest.userId).length >= MAX_PER_USER) throw new DestinationError("full", { max: MAX_PER_USER });
+  const d = { ...dest, type: dest.type === "wallet" ? "wallet" : "bank", ts: new Date().toISOString() };
+  store.update("destinations", (all) => { all.push(d); });
+  return d;
+}
+
+function remove(userId, id) {
+  let removed = null;
+  store.update("destinations", (all) => {
+    const idx = all.findIndex(d => d.id === id && d.userId === userId);
+    if (idx !== -1) removed = all.splice(idx, 1)[0];
+  });
+  return removed;
+}
+
+module.exports = { MAX_PER_USER, DestinationError, nubanValid, walletNumberValid, validate, list, get, find, add, remove };
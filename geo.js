@@ -0,0 +1,76 @@
+// geo.js
+// Offline state/LGA resolution for complaint reports, backed by the bundled ./data/lgas.json
+// (approximate LGA centroids with local place-name aliases, plus every state capital).
+//   resolveCoords(lat, lon) - nearest LGA centroid within max_lga_km, else nearest state capital
+//   resolveText(text)       - LGA name or alias ("Yaba", "Lekki"), else a state name, found in free text
+// Both return { state, lga, source } or null; lga is null when only the state could be worked out.
+const fs = require("fs");
+const path = require("path");
+
+const DATA_FILE = path.join(__dirname, "data", "lgas.json");
+const data = load();
+
+function load() {
+  try {
+    return JSON.parse(fs.readFileSync(DATA_FILE, "utf8"));
+  } catch (e) {
+    console.error("⚠ Could not read lgas.json; complaint locations will not be resolved.", e.message);
+    return { max_lga_km: 0, bounds: null, states: [], lgas: [] };
+  }
+}
+
+function haversineKm(lat1, lon1, lat2, lon2) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lon2 - lon1) / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(a));
+}
+
+function nearest(list, lat, lon) {
+  let best = null;
+  for (const x of list) {
+    const km = haversineKm(lat, lon, x.lat, x.lon);
+    if (!best || km < best.km) best = { item: x, km };
+  }
+  return best;
+}
+
+function inNigeria(lat, lon) {
+  const b = data.bounds;
+  return !b || (lat >= b.minLat && lat <= b.maxLat && lon >= b.minLon && lon <= b.maxLon);
+}
+
+function resolveCoords(lat, lon) {
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || !inNigeria(lat, lon)) return null;
+  const lga = nearest(data.lgas, lat, lon);
+  if (lga && lga.km <= data.max_lga_km) return { state: lga.item.state, lga: lga.item.name, source: "coords" };
+  const state = nearest(data.states, lat, lon);
+  return state ? { state: state.item.name, lga: null, source: "coords" } : null;
+}
+
+// "Eti-Osa" / "eti osa" / "ETI_OSA" all compare equal
+const norm = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim();
+const contains = (haystack, needle) => needle && ` ${haystack} `.includes(` ${needle} `);
+
+function resolveText(text) {
+  const t = norm(text);
+  if (!t) return null;
+  // longest names first so "Ibadan North-East" wins over "Ibadan North"
+  const names = [];
+  for (const l of data.lgas) for (const n of [l.name, ...(l.aliases || [])]) names.push({ key: norm(n), lga: l });
+  names.sort((a, b) => b.key.length - a.key.length);
+  const hit = names.find(n => contains(t, n.key));
+  if (hit) return { state: hit.lga.state, lga: hit.lga.name, source: "text" };
+  const state = data.states.find(s => contains(t, norm(s.name)) || contains(t, norm(s.capital)));
+  return state ? { state: state.name, lga: null, source: "text" } : null;
+}
+
+// canonical LGA name for a loosely typed one ("eti osa" -> "Eti-Osa"), or null
+function findLga(name) {
+  const n = norm(name);
+  const l = data.lgas.find(x => norm(x.name) === n);
+  return l ? l.name : null;
+}
+
+function lgas() { return data.lgas.map(l => ({ name: l.name, state: l.state })); }
+
+module.exports = { haversineKm, resolveCoords, resolveText, findLga, lgas, norm };
@@ -0,0 +1,114 @@
+// i18n.js
+// Message lookup for every user-facing string, backed by ./data/messages.json ({ lang: { key: text } }).
+// Placeholders look like {min} or {phone}. A key missing in the user's language falls back to
+// settings.default_language and then to English; a key missing everywhere renders as the key itself.
+// Run `node i18n.js` to list missing keys per language.
+const fs = require("fs");
+const path = require("path");
+const config = require("./config");
+
+const MESSAGES_FILE = path.join(__dirname, "data", "messages.json");
+const BASE_LANG = "en";
+
+// reply-keyboard labels, in menu order; the action is the key without the "menu_" prefix
+const MENU_KEYS = ["menu_scan", "menu_balance", "menu_withdraw", "menu_verify", "menu_complaints", "menu_send", "menu_menu", "menu_help"];
+
+let messages = load();
+
+function load() {
+  try {
+    return JSON.parse(fs.readFileSync(MESSAGES_FILE, "utf8"));
+  } catch (e) {
+    console.error("⚠ Could not read messages.json; user-facing text will show message keys.", e.message);
+    return { [BASE_LANG]: {} };
+  }
+}
+
+function reload() { messages = load(); return messages; }
+
+function defaultLang() {
+  try { return config.get("default_language"); } catch (e) { return BASE_LANG; }
+}
+
+function interpolate(text, vars = {}) {
+  return text.replace(/\{(\w+)\}/g, (m, name) => (vars[name] === undefined || vars[name] === null ? m : String(vars[name])));
+}
+
+// raw template for a key, following the fallback chain
+function template(lang, key) {
+  for (const l of [lang, defaultLang(), BASE_LANG]) {
+    if (l && messages[l] && typeof messages[l][key] === "string") return messages[l][key];
+  }
+  return null;
+}
+
+function t(lang, key, vars) {
+  const tpl = template(lang, key);
+  if (tpl === null) { console.warn(`[i18n] missing key "${key}"`); return key; }
+  return interpolate(tpl, vars);
+}
+
+function has(lang, key) {
+  return !!(messages[lang] && typeof messages[lang][key] === "string");
+}
+
+function languages() { return Object.keys(messages); }
+
+function languageName(lang) { return template(lang, "language_name") || lang; }
+
+// which menu action a reply-keyboard label belongs to, in any language; null if none
+function menuAction(text) {
+  if (!text) return null;
+  for (const lang of languages()) {
+    for (const key of MENU_KEYS) {
+      if (messages[lang][key] === text) return key.slice("menu_".length);
+    }
+  }
+  return null;
+}
+
+// does `text` equal the rendered `key` in any language (used for one-off reply buttons)
+function matches(text, key, vars) {
+  if (!text) return false;
+  return languages().some(lang => has(lang, key) && interpolate(messages[lang][key], vars) === text);
+}
+
+function baseKeys() { return Object.keys(messages[BASE_LANG] || {}); }
+
+// { lang: [keys missing compared to English] } for every other language
+function missingKeys() {
+  const base = baseKeys();
+  const out = {};
+  for (const lang of languages()) {
+    if (lang === BASE_LANG) continue;
+    out[lang] = base.filter(k => !has(lang, k));
+  }
+  return out;
+}
+
+// the same reply-keyboard label used for two different actions would route wrongly
+function menuClashes() {
+  const seen = {};
+  const clashes = [];
+  for (const lang of languages()) {
+    for (const key of MENU_KEYS) {
+      const label = messages[lang][key];
+      if (!label) continue;
+      if (seen[label] && seen[label] !== key) clashes.push(`${lang}.${key} "${label}" is also ${seen[label]}`);
+      else seen[label] = key;
+    }
+  }
+  return clashes;
+}
+
+module.exports = { t, has, languages, languageName, menuAction, matches, baseKeys, missingKeys, menuClashes, interpolate, reload, MENU_KEYS, BASE_LANG };
+
+if (require.main === module) {
+  const missing = missingKeys();
+  const total = baseKeys().length;
+  for (const [lang, keys] of Object.entries(missing)) {
+    console.log(`${lang}: ${total - keys.length}/${total} keys${keys.length ? `, missing: ${keys.join(", ")}` : ""}`);
+  }
+  const clashes = menuClashes();
+  if (clashes.length) { console.log(`Menu label clashes:\n- ${clashes.join("\n- ")}`); process.exitCode = 1; }
+}
@@ -0,0 +1,8 @@
+// ids.js
+// Record ids: "<prefix>_<time in base 36><random hex>", e.g. "wd_mgx1b2k3f09a4c". They sort roughly by
+// creation time and stay unique when two records are made in the same millisecond.
+const crypto = require("crypto");
+
+const newId = (prefix) => `${prefix}_${Date.now().toString(36)}${crypto.randomBytes(3).toString("hex")}`;
+
+module.exports = { newId };
@@ -0,0 +1,94 @@
+// ledger.js
+// Double-entry wallet ledger kept in the "transactions" collection (./data/transactions.json).
+// Every movement of money is one journal entry whose postings sum to zero: a scan credit takes
+// ₦ from "system:scan_rewards" and puts it on "user:<id>", a withdrawal request parks it on
+// "system:withdrawals_pending", and so on. A wallet balance is the sum of postings on that
+// user's account; the balance field in users.json is only a cache checked by /admin reconcile.
+const { v4: uuidv4 } = require("uuid");
+const store = require("./storage");
+
+const ACCOUNTS = {
+  SCAN_REWARDS: "system:scan_rewards",
+  COMPLAINT_BONUS: "system:complaint_bonus",
+  WITHDRAWALS_PENDING: "system:withdrawals_pending",
+  PAYOUTS: "system:payouts",
+  REFERRAL_REWARDS: "system:referral_rewards",
+};
+
+// read-only: every entry stays as posted, so nothing here needs its own copy
+const read = () => store.view("transactions");
+
+const round2 = (n) => Math.round(Number(n) * 100) / 100;
+const userAccount = (userId) => `user:${userId}`;
+const userIdOf = (account) => (account.startsWith("user:") ? Number(account.slice(5)) : null);
+
+// Rows written before the ledger existed are single-sided { userId, amount }. They mirrored the
+// direct balance mutations, except "withdraw_approved", which was logged without touching the balance.
+function postingsOf(entry) {
+  if (Array.isArray(entry.postings)) return entry.postings;
+  if (entry.userId === undefined || entry.type === "withdraw_approved") return [];
+  return [{ account: userAccount(entry.userId), amount: Number(entry.amount || 0) }];
+}
+
+// record a balanced journal entry: { type, note, ref, memo, postings: [{ account, amount }] }.
+// note is for admins; memo is text the user attached (transfers) and shows on their statements.
+function post({ type, note, ref, memo, postings }) {
+  if (!type) throw new Error("ledger entry needs a type");
+  if (!Array.isArray(postings) || postings.length < 2) throw new Error("ledger entry needs at least two postings");
+  const legs = postings.map(p => ({ account: p.account, amount: round2(p.amount) }));
+  if (legs.some(p => !p.account || !Number.isFinite(p.amount))) throw new Error("invalid ledger posting");
+  const sum = round2(legs.reduce((a, p) => a + p.amount, 0));
+  if (sum !== 0) throw new Error(`unbalanced ledger entry (${type}): postings sum to ${sum}`);
+
+  const entry = { id: `tx_${uuidv4()}`, type, note: note || "", ref: ref || null, ts: new Date().toISOString(), postings: legs };
+  if (memo) entry.memo = memo;
+  store.update("transactions", tx => { tx.push(entry); });
+  return entry;
+}
+
+// move `amount` from one account to another in a single entry
+function transfer({ type, from, to, amount, note, ref, memo }) {
+  const a = round2(amount);
+  if (!(a > 0)) throw new Error("transfer amount must be positive");
+  return post({ type, note, ref, memo, postings: [{ account: from, amount: -a }, { account: to, amount: a }] });
+}
+
+// account -> balance, summed once per version of the transactions collection (store.view returns the
+// same array until the next write), so balance checks on every message don't rescan the ledger
+let summed = { tx: null, balances: {} };
+function sums() {
+  const tx = read();
+  if (summed.tx !== tx) {
+    const out = {};
+    for (const e of tx) for (const p of postingsOf(e)) out[p.account] = round2((out[p.account] || 0) + Number(p.amount));
+    summed = { tx, balances: out };
+  }
+  return summed.balances;
+}
+
+function balanceOf(account) {
+  return sums()[account] || 0;
+}
+
+// { account: balance } for every account that has postings
+function balances() {
+  return { ...sums() };
+}
+
+function entriesFor(account) {
+  return read().filter(e => postingsOf(e).some(p => p.account === account));
+}
+
+// users whose cached balance disagrees with the ledger
+function reconcile(users) {
+  const all = balances();
+  const mismatches = [];
+  for (const u of users) {
+    const stored = round2(u.balance || 0);
+    const ledgerBal = all[userAccount(u.id)] || 0;
+    if (stored !== ledgerBal) mismatches.push({ userId: u.id, username: u.username || null, stored, ledger: ledgerBal, diff: round2(stored - ledgerBal) });
+  }
+  return mismatches;
+}
+
+module.exports = { ACCOUNTS, post, transfer, balanceOf, balances, entriesFor, postingsOf, reconcile, userAccount, userIdOf, round2 };
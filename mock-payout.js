@@ -0,0 +1,54 @@
+// mock-payout.js
+// Offline mock payout gateway. Transfers live in the "payout_mock" collection (./data/payout_mock.json)
+// and settle after PAYOUT_MOCK_DELAY_MS (default 2000) with a signed callback to our own webhook.
+// Test accounts: numbers starting with 1111 don't resolve, numbers starting with 0000 fail at transfer time.
+const axios = require("axios");
+const store = require("./storage");
+const { BANKS, PayoutError, callbackUrl, sign, validAccountNumber } = require("./payouts");
+const { newId } = require("./ids");
+
+const read = () => store.get("payout_mock");
+const write = (o) => store.set("payout_mock", o);
+const delay = () => Number(process.env.PAYOUT_MOCK_DELAY_MS || 2000);
+const view = (t) => ({ reference: t.reference, status: t.status, reason: t.reason, providerRef: t.id });
+
+function settle(reference) {
+  const transfers = read();
+  const t = transfers[reference];
+  if (!t || t.status !== "processing") return;
+  const failed = t.destination.accountNumber.startsWith("0000");
+  t.status = failed ? "failed" : "paid";
+  t.reason = failed ? "Beneficiary account is closed" : "";
+  t.settledAt = new Date().toISOString();
+  write(transfers);
+  const body = JSON.stringify(view(t));
+  axios.post(callbackUrl(), body, { headers: { "Content-Type": "application/json", "X-Payout-Signature": sign(body) }, timeout: 5000 })
+    .catch(e => console.warn(`[mock-payout] callback for ${reference} failed:`, e.message));
+}
+
+module.exports = {
+  name: "mock",
+  listBanks: async () => BANKS,
+  resolveAccount: async ({ bankCode, accountNumber }) => {
+    const bank = BANKS.find(b => b.code === bankCode);
+    if (!bank || !validAccountNumber(accountNumber) || accountNumber.startsWith("1111")) throw new PayoutError("Account could not be resolved.");
+    return { accountName: `MOCK ACCOUNT ${accountNumber.slice(-4)}` };
+  },
+  transfer: async ({ reference, amount, destination, narration }) => {
+    const transfers = read();
+    // same reference -> same transfer
+    if (transfers[reference]) return view(transfers[reference]);
+    transfers[reference] = { id: newId("mock"), reference, amount, destination, narration: narration || "", status: "processing", reason: "", ts: new Date().toISOString() };
+    write(transfers);
+    console.log(`[mock-payout] ₦${amount} to ${destination.accountNumber} (${destination.bankCode}) ref ${reference}`);
+    setTimeout(() => settle(reference), delay()).unref();
+    return view(transfers[reference]);
+  },
+  getTransfer: async (reference) => {
+    const t = read()[reference];
+    if (!t) return null;
+    // a restart loses the settle timer; settle overdue transfers when asked about them
+    if (t.status === "processing" && Date.now() - Date.parse(t.ts) >= delay()) { settle(reference); return view(read()[reference]); }
+    return view(t);
+  },
+};
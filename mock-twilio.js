@@ -1,34 +1,45 @@
 // mock-twilio.js
-// Simple offline mock verify service. Stores OTPs in-memory and in ./data/otp_store.json
-const fs = require("fs");
-const path = require("path");
-const DATA_DIR = path.resolve(__dirname, "data");
-if (!fs.existsSync(DATA_DIR)) fs.mkdirSync(DATA_DIR, { recursive: true });
-const OTP_FILE = path.join(DATA_DIR, "otp_store.json");
-const read = () => {
-  try { return JSON.parse(fs.readFileSync(OTP_FILE)); } catch (e) { return {}; }
-};
-const write = (o) => fs.writeFileSync(OTP_FILE, JSON.stringify(o, null, 2));
+// Offline mock verify provider (see verify.js). Stores OTPs in the "otp_store" collection (./data/otp_store.json).
+// Like Twilio Verify, a code expires after 10 minutes and is thrown away after MAX_CHECKS wrong guesses.
+const crypto = require("crypto");
+const store = require("./storage");
+const { newId } = require("./ids");
+const read = () => store.get("otp_store");
+const write = (o) => store.set("otp_store", o);
+
+const TTL_MS = 10 * 60 * 1000;
+const MAX_CHECKS = 5;
 
 module.exports = {
+  name: "mock",
   send: async (phone) => {
     // generate 6-digit code
-    const code = Math.floor(100000 + Math.random() * 900000).toString();
+    const code = crypto.randomInt(100000, 1000000).toString();
     const otps = read();
-    otps[phone] = { code, ts: Date.now() };
+    otps[phone] = { code, ts: Date.now(), checks: 0 };
     write(otps);
     console.log(`[mock-twilio] OTP for ${phone}: ${code}`);
     // simulate async Twilio response
-    return { success: true, sid: `mock_${Date.now()}`, codeSent: code };
+    return { success: true, sid: newId("mock"), codeSent: code };
+  },
+  // remove expired codes (run by the purge_otps job); returns how many were removed
+  purgeExpired: (now = Date.now()) => {
+    const otps = read();
+    const stale = Object.keys(otps).filter(p => now - otps[p].ts > TTL_MS);
+    for (const p of stale) delete otps[p];
+    if (stale.length) write(otps);
+    return stale.length;
   },
   check: async (phone, code) => {
     const otps = read();
     const entry = otps[phone];
     if (!entry) return { success: false, reason: "no_otp" };
-    // otp expires after 10 minutes
-    if (Date.now() - entry.ts > 10 * 60 * 1000) { delete otps[phone]; write(otps); return { success: false, reason: "expired" }; }
+    if (Date.now() - entry.ts > TTL_MS) { delete otps[phone]; write(otps); return { success: false, reason: "expired" }; }
     const ok = entry.code === code;
-    if (ok) { delete otps[phone]; write(otps); }
-    return { success: ok, reason: ok ? "approved" : "wrong_code" };
+    entry.checks = (entry.checks || 0) + 1;
+    if (ok || entry.checks >= MAX_CHECKS) delete otps[phone];
+    write(otps);
+    if (ok) return { success: true, reason: "approved" };
+    return { success: false, reason: otps[phone] ? "wrong_code" : "max_attempts" };
   }
 };
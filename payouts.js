@@ -0,0 +1,138 @@
+// payouts.js
+// Payout providers for approved withdrawals. A provider moves money to a bank or mobile-money account:
+//   listBanks()                                   -> [{ code, name, type: "bank" | "wallet" }]
+//   resolveAccount({ bankCode, accountNumber })   -> { accountName }          (throws PayoutError if unknown)
+//   transfer({ reference, amount, destination, narration }) -> { reference, status, reason, providerRef }
+//   getTransfer(reference)                        -> same shape, or null when the provider never saw it
+// status is "processing", "paid" or "failed". The reference is derived from the withdrawal id, so
+// sending the same transfer twice never pays twice. Final results arrive on POST /payouts/webhook as
+//   { reference, status, reason, providerRef }  signed with HMAC-SHA256(PAYOUT_WEBHOOK_SECRET, raw body)
+// in the X-Payout-Signature header. PAYOUT_PROVIDER picks the provider:
+//   http   - the gateway at PAYOUT_API_URL (required; the bot refuses to start without it)
+//   mock   - mock-payout.js, which settles every transfer by itself (development and tests only)
+//   unset  - manual: nothing is sent; an admin pays by hand and settles it with /admin payout_paid|payout_failed
+const crypto = require("crypto");
+const axios = require("axios");
+
+class PayoutError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PayoutError";
+  }
+}
+
+const STATUSES = ["processing", "paid", "failed"];
+
+// banks and wallets offered when no gateway lists them (manual and mock providers)
+const BANKS = [
+  { code: "044", name: "Access Bank", type: "bank" },
+  { code: "011", name: "First Bank", type: "bank" },
+  { code: "058", name: "GTBank", type: "bank" },
+  { code: "033", name: "UBA", type: "bank" },
+  { code: "057", name: "Zenith Bank", type: "bank" },
+  { code: "999992", name: "OPay", type: "wallet" },
+  { code: "999991", name: "PalmPay", type: "wallet" },
+  { code: "120003", name: "MoMo PSB", type: "wallet" },
+];
+
+// without a configured secret the mock signs with a per-process one, which only this process knows
+const SECRET = process.env.PAYOUT_WEBHOOK_SECRET || crypto.randomBytes(32).toString("hex");
+
+function reference(withdrawalId) { return `po_${withdrawalId}`; }
+
+function callbackUrl() {
+  return process.env.PAYOUT_CALLBACK_URL || `http://127.0.0.1:${process.env.PORT || 8080}/payouts/webhook`;
+}
+
+function sign(rawBody) { return crypto.createHmac("sha256", SECRET).update(rawBody).digest("hex"); }
+
+function verifySignature(rawBody, signature) {
+  if (!rawBody || typeof signature !== "string") return false;
+  const expected = Buffer.from(sign(rawBody));
+  const given = Buffer.from(signature);
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// gateways word their states differently; anything not clearly final is still processing
+function normalizeStatus(s) {
+  const v = String(s || "").toLowerCase();
+  if (["paid", "success", "successful", "completed"].includes(v)) return "paid";
+  if (["failed", "reversed", "rejected", "cancelled"].includes(v)) return "failed";
+  return "processing";
+}
+
+// NUBAN-style: 10 digits for banks; mobile-money wallets are 10-11 digit phone numbers
+function validAccountNumber(n) { return /^\d{10,11}$/.test(String(n || "")); }
+
+function httpProvider(url = process.env.PAYOUT_API_URL, apiKey = process.env.PAYOUT_API_KEY, timeout = 15000) {
+  const http = axios.create({ baseURL: url, timeout, headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {} });
+  const result = (d, ref) => ({ reference: d.reference || ref, status: normalizeStatus(d.status), reason: d.reason || "", providerRef: d.providerRef || d.id || null });
+  return {
+    name: "http",
+    async listBanks() {
+      const res = await http.get("/banks");
+      return (res.data || []).map(b => ({ code: String(b.code), name: b.name, type: b.type === "wallet" ? "wallet" : "bank" }));
+    },
+    async resolveAccount({ bankCode, accountNumber }) {
+      try {
+        const res = await http.get("/accounts/resolve", { params: { bank_code: bankCode, account_number: accountNumber } });
+        if (!res.data || !res.data.accountName) throw new PayoutError("Account could not be resolved.");
+        return { accountName: res.data.accountName };
+      } catch (e) {
+        if (e.response && e.response.status < 500) throw new PayoutError("Account could not be resolved.");
+        throw e;
+      }
+    },
+    async transfer({ reference: ref, amount, destination, narration }) {
+      const res = await http.post("/transfers", {
+        reference: ref,
+        amount,
+        currency: "NGN",
+        bankCode: destination.bankCode,
+        accountNumber: destination.accountNumber,
+        accountName: destination.accountName,
+        narration: narration || "",
+        callbackUrl: callbackUrl(),
+      });
+      return result(res.data || {}, ref);
+    },
+    async getTransfer(ref) {
+      try {
+        const res = await http.get(`/transfers/${encodeURIComponent(ref)}`);
+        return result(res.data || {}, ref);
+      } catch (e) {
+        if (e.response && e.response.status === 404) return null;
+        throw e;
+      }
+    },
+  };
+}
+
+// no gateway: account names can't be looked up and transfers stay processing until an admin settles them
+const manualProvider = {
+  name: "manual",
+  listBanks: async () => BANKS,
+  resolveAccount: async ({ bankCode, accountNumber }) => {
+    if (!BANKS.some(b => b.code === bankCode) || !validAccountNumber(accountNumber)) throw new PayoutError("Account could not be resolved.");
+    return { accountName: "-" };
+  },
+  transfer: async ({ reference: ref }) => ({ reference: ref, status: "processing", reason: "", providerRef: null }),
+  getTransfer: async (ref) => ({ reference: ref, status: "processing", reason: "", providerRef: null }),
+};
+
+let mock = null;
+function provider() {
+  const name = process.env.PAYOUT_PROVIDER || "";
+  if (name === "http") {
+    if (!process.env.PAYOUT_API_URL) throw new PayoutError("PAYOUT_PROVIDER is http but PAYOUT_API_URL is not set.");
+    return httpProvider();
+  }
+  if (name === "mock") {
+    if (!mock) mock = require("./mock-payout");
+    return mock;
+  }
+  if (name && name !== "manual") throw new PayoutError(`Unknown PAYOUT_PROVIDER "${name}" (use http, mock or manual).`);
+  return manualProvider;
+}
+
+module.exports = { STATUSES, BANKS, PayoutError, provider, httpProvider, reference, callbackUrl, sign, verifySignature, normalizeStatus, validAccountNumber, usingDefaultSecret: !process.env.PAYOUT_WEBHOOK_SECRET };
@@ -0,0 +1,68 @@
+// pickups.js
+// Pickup / drop-off orders created when a user accepts a scan offer. Nothing is paid at accept time:
+//   requested -> assigned -> collected -> weighed -> credited
+// and any open order can be rejected. The payout is recalculated from the weighed kg when the order
+// is credited. Orders live in the "pickups" collection; every change is appended to order.history.
+const store = require("./storage");
+
+const STATUSES = ["requested", "assigned", "collected", "weighed", "credited", "rejected"];
+const OPEN = ["requested", "assigned", "collected", "weighed"];
+const TRANSITIONS = {
+  requested: ["assigned", "rejected"],
+  assigned: ["assigned", "collected", "rejected"],
+  collected: ["weighed", "rejected"],
+  weighed: ["weighed", "credited", "rejected"],
+  credited: [],
+  rejected: [],
+};
+
+// code is rendered as the pickup_error_<code> message with vars
+class PickupError extends Error {
+  constructor(code, vars = {}) {
+    super(code);
+    this.name = "PickupError";
+    this.code = code;
+    this.vars = vars;
+  }
+}
+
+const all = () => store.get("pickups");
+
+function get(id) {
+  return all().find(p => p.id === id) || null;
+}
+
+// { status, userId, collectorId, open } filters; newest first
+function list(filter = {}) {
+  return all()
+    .filter(p => !filter.status || p.status === filter.status)
+    .filter(p => filter.userId === undefined || p.userId === filter.userId)
+    .filter(p => filter.collectorId === undefined || p.collectorId === filter.collectorId)
+    .filter(p => !filter.open || OPEN.includes(p.status))
+    .sort((a, b) => (a.ts < b.ts ? 1 : -1));
+}
+
+// order = { id, scanId, userId, material, wasteType, rate, estimatedKg, kgClaimed, estimatedPrice, method, address, location }
+function create(order) {
+  const now = new Date().toISOString();
+  const p = { ...order, status: "requested", collectorId: null, measuredKg: null, finalAmount: null, ts: now, history: [{ status: "requested", by: order.userId, ts: now, note: "" }] };
+  store.update("pickups", (orders) => { orders.push(p); });
+  return p;
+}
+
+// move an order to `to`, merging `fields`; throws PickupError when the step is not allowed
+function transition(id, to, { by, note, fields } = {}) {
+  let updated = null;
+  store.update("pickups", (orders) => {
+    const p = orders.find(x => x.id === id);
+    if (!p) throw new PickupError("not_found", { id });
+    if (!TRANSITIONS[p.status].includes(to)) throw new PickupError("bad_transition", { id, from: p.status, to });
+    Object.assign(p, fields || {});
+    p.status = to;
+    p.history.push({ status: to, by: by === undefined ? null : by, ts: new Date().toISOString(), note: note || "" });
+    updated = p;
+  });
+  return updated;
+}
+
+module.exports = { STATUSES, OPEN, TRANSITIONS, PickupError, get, list, create, transition };
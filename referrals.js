@@ -0,0 +1,108 @@
+// referrals.js
+// Referral program kept in the "referrals" collection (./data/referrals.json):
+//   { id, code, referrerId, refereeId, status, phone, reason, ts, verifiedAt, firstScanAt, rewardedAt, rewards }
+// A new user arrives through /start ref_<code> and is attributed to the code's owner ("pending").
+// Rewards are paid once the referee has verified a phone AND had a first scan paid out; the
+// referral is then "rewarded". Abuse rules reject it instead: no self-referral, and each verified
+// phone number can only ever count for one referral.
+const crypto = require("crypto");
+const { v4: uuidv4 } = require("uuid");
+const store = require("./storage");
+
+const PREFIX = "ref_";
+
+class ReferralError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ReferralError";
+  }
+}
+
+const all = () => store.get("referrals");
+
+// the user's personal code, created on first use and kept on the user record
+function codeFor(userId) {
+  const existing = store.get("users").find(u => u.id === userId);
+  if (existing && existing.refCode) return existing.refCode;
+  let code;
+  store.update("users", (users) => {
+    const taken = new Set(users.map(u => u.refCode).filter(Boolean));
+    do { code = crypto.randomBytes(4).toString("hex"); } while (taken.has(code));
+    const u = users.find(x => x.id === userId);
+    if (u) u.refCode = code;
+    else users.push({ id: userId, balance: 0, verified: false, refCode: code });
+  });
+  return code;
+}
+
+function ownerOf(code) {
+  const u = store.get("users").find(x => x.refCode === code);
+  return u ? u.id : null;
+}
+
+// "/start ref_ab12cd34" payload -> code, or null
+function parsePayload(payload) {
+  const p = String(payload || "").trim();
+  return p.startsWith(PREFIX) && p.length > PREFIX.length ? p.slice(PREFIX.length) : null;
+}
+
+function link(botUsername, userId) { return `https://t.me/${botUsername}?start=${PREFIX}${codeFor(userId)}`; }
+
+function byReferee(refereeId) { return all().find(r => r.refereeId === refereeId) || null; }
+
+// attribute a new user to the owner of `code`; throws ReferralError when not allowed
+function attribute(code, refereeId) {
+  const referrerId = ownerOf(code);
+  if (referrerId === null) throw new ReferralError("unknown_code");
+  if (referrerId === refereeId) throw new ReferralError("self");
+  if (byReferee(refereeId)) throw new ReferralError("already_referred");
+  const r = { id: `ref_${uuidv4()}`, code, referrerId, refereeId, status: "pending", phone: null, reason: "", ts: new Date().toISOString(), verifiedAt: null, firstScanAt: null, rewardedAt: null, rewards: null };
+  store.update("referrals", (list) => { list.push(r); });
+  return r;
+}
+
+// apply a change to the referee's pending referral; returns the updated record or null
+function updatePending(refereeId, fn) {
+  let updated = null;
+  store.update("referrals", (list) => {
+    const r = list.find(x => x.refereeId === refereeId && x.status === "pending");
+    if (!r) return;
+    fn(r, list);
+    updated = r;
+  });
+  return updated;
+}
+
+// the referee verified `phone`; rejects the referral if that phone already counted for another one
+// or belongs to the referrer
+function onVerified(refereeId, phone) {
+  return updatePending(refereeId, (r, list) => {
+    const referrer = store.get("users").find(u => u.id === r.referrerId);
+    const reused = list.some(x => x.id !== r.id && x.phone === phone && x.status !== "rejected");
+    r.phone = phone;
+    r.verifiedAt = r.verifiedAt || new Date().toISOString();
+    if (referrer && referrer.phone === phone) { r.status = "rejected"; r.reason = "referrer_phone"; }
+    else if (reused) { r.status = "rejected"; r.reason = "phone_used"; }
+  });
+}
+
+function onFirstScan(refereeId) {
+  return updatePending(refereeId, (r) => { r.firstScanAt = r.firstScanAt || new Date().toISOString(); });
+}
+
+// mark a fully qualified referral rewarded (once); returns it so the caller can pay, else null
+function claimReward(refereeId, rewards) {
+  const r = byReferee(refereeId);
+  if (!r || r.status !== "pending" || !r.verifiedAt || !r.firstScanAt) return null;
+  return updatePending(refereeId, (x) => { x.status = "rewarded"; x.rewardedAt = new Date().toISOString(); x.rewards = rewards; });
+}
+
+// { invited, pending, rewarded, rejected, earned } for a referrer
+function stats(referrerId) {
+  const mine = all().filter(r => r.referrerId === referrerId);
+  const count = (s) => mine.filter(r => r.status === s).length;
+  const earned = mine.reduce((a, r) => a + (r.status === "rewarded" && r.rewards ? r.rewards.referrer : 0), 0);
+  return { invited: mine.length, pending: count("pending"), rewarded: count("rewarded"), rejected: count("rejected"), earned };
+}
+
+module.exports = { PREFIX, ReferralError, codeFor, ownerOf, parsePayload, link, byReferee, attribute, onVerified, onFirstScan, claimReward, stats };
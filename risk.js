@@ -0,0 +1,202 @@
+// risk.js
+// Fraud and abuse rules for wallet operations. Limits are rolling 24-hour windows read from settings:
+//   scans     - accepted scans (pickup orders)           risk_daily_scans
+//   transfers - count and ₦ sent to other users         risk_daily_transfers, risk_daily_transfer_amount
+//   withdraws - count and ₦ requested                   risk_daily_withdrawals, risk_daily_withdraw_amount
+// plus a velocity rule over transfers + withdrawals (risk_velocity_max within risk_velocity_minutes).
+// Money sent by an account younger than risk_new_account_days is held on the recipient for
+// risk_hold_hours: it shows in the balance but cannot be sent on or withdrawn until it is released.
+// Suspicious patterns (velocity, circular transfers, many accounts on near-identical phone numbers)
+// raise flags in the "risk_flags" collection for admins; admins can freeze users, which blocks them
+// everywhere. check() throws RiskError with a code (frozen, daily_count, daily_amount, velocity, held).
+const store = require("./storage");
+const ledger = require("./ledger");
+const config = require("./config");
+const { newId } = require("./ids");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RiskError extends Error {
+  constructor(code, vars = {}) {
+    super(code);
+    this.name = "RiskError";
+    this.code = code;
+    this.vars = vars;
+  }
+}
+
+const since = (ms) => Date.now() - ms;
+const user = (id) => store.get("users").find(u => u.id === id) || null;
+
+// --------------------- freezing ---------------------
+function isFrozen(userId) {
+  const u = user(userId);
+  return !!(u && u.frozen);
+}
+
+// returns { before, after } for the audit log
+function setFrozen(userId, frozen) {
+  let change = null;
+  store.update("users", (users) => {
+    const u = users.find(x => x.id === userId);
+    if (!u) return;
+    change = { before: { frozen: u.frozen || null }, after: { frozen } };
+    u.frozen = frozen;
+  });
+  return change;
+}
+function freeze(userId, by, reason) { return setFrozen(userId, { by, reason: reason || "", at: new Date().toISOString() }); }
+function unfreeze(userId) { return setFrozen(userId, null); }
+function frozenUsers() { return store.get("users").filter(u => u.frozen); }
+
+// --------------------- usage and limits ---------------------
+// ledger entries of `type` that took money out of the user's wallet since `from` (ms)
+function debits(userId, types, from) {
+  const account = ledger.userAccount(userId);
+  return ledger.entriesFor(account).filter(e => types.includes(e.type) && Date.parse(e.ts) >= from && (e.postings || []).some(p => p.account === account && p.amount < 0));
+}
+const debitAmount = (userId, e) => -e.postings.filter(p => p.account === ledger.userAccount(userId)).reduce((a, p) => a + p.amount, 0);
+
+// { count, amount } for the last 24 hours
+function usage(userId, action) {
+  const from = since(DAY_MS);
+  if (action === "scan") {
+    const count = store.get("waste").filter(w => w.userId === userId && w.outcome === "accepted" && Date.parse(w.decidedAt || w.ts) >= from).length;
+    return { count, amount: 0 };
+  }
+  const list = debits(userId, [action === "transfer" ? "transfer" : "withdraw_request"], from);
+  return { count: list.length, amount: ledger.round2(list.reduce((a, e) => a + debitAmount(userId, e), 0)) };
+}
+
+const LIMITS = {
+  scan: { count: "risk_daily_scans" },
+  transfer: { count: "risk_daily_transfers", amount: "risk_daily_transfer_amount" },
+  withdraw: { count: "risk_daily_withdrawals", amount: "risk_daily_withdraw_amount" },
+};
+
+// throw RiskError when `userId` may not do `action` for `amount` now; 0 in a limit setting means no limit
+function check(userId, action, amount = 0) {
+  if (isFrozen(userId)) throw new RiskError("frozen");
+  const limits = LIMITS[action];
+  const used = usage(userId, action);
+  const maxCount = config.get(limits.count);
+  if (maxCount && used.count >= maxCount) throw new RiskError("daily_count", { limit: maxCount });
+  const maxAmount = limits.amount ? config.get(limits.amount) : 0;
+  if (maxAmount && used.amount + amount > maxAmount) throw new RiskError("daily_amount", { limit: maxAmount, left: Math.max(0, ledger.round2(maxAmount - used.amount)) });
+  if (action !== "scan") {
+    const minutes = config.get("risk_velocity_minutes");
+    const max = config.get("risk_velocity_max");
+    const recent = debits(userId, ["transfer", "withdraw_request"], since(minutes * 60 * 1000)).length;
+    if (max && recent >= max) {
+      raise(userId, "velocity", `${recent} transfers/withdrawals within ${minutes} min`);
+      throw new RiskError("velocity", { minutes });
+    }
+  }
+  if (amount > available(userId)) throw new RiskError("held", { held: heldAmount(userId).toFixed(2), available: available(userId).toFixed(2) });
+}
+
+// --------------------- holds on money from new accounts ---------------------
+// an account is new until risk_new_account_days after it was created (or first seen in the ledger)
+function isNewAccount(userId) {
+  const u = user(userId);
+  const first = ledger.entriesFor(ledger.userAccount(userId))[0];
+  const created = (u && u.createdAt) || (first && first.ts);
+  if (!created) return true;
+  return Date.parse(created) > since(config.get("risk_new_account_days") * DAY_MS);
+}
+
+function placeHold({ userId, fromUserId, amount, ref }) {
+  const hold = { id: newId("hld"), userId, fromUserId, amount: ledger.round2(amount), ref: ref || null, ts: new Date().toISOString(), releaseAt: new Date(Date.now() + config.get("risk_hold_hours") * 60 * 60 * 1000).toISOString(), releasedBy: null, releasedAt: null };
+  store.update("holds", (list) => { list.push(hold); });
+  return hold;
+}
+
+const active = (h) => !h.releasedAt && Date.parse(h.releaseAt) > Date.now();
+function activeHolds(userId) { return store.get("holds").filter(h => active(h) && (userId === undefined || h.userId === userId)); }
+function heldAmount(userId) { return ledger.round2(activeHolds(userId).reduce((a, h) => a + h.amount, 0)); }
+
+// what the user can send or withdraw right now
+function available(userId) { return Math.max(0, ledger.round2(ledger.balanceOf(ledger.userAccount(userId)) - heldAmount(userId))); }
+
+function releaseHold(id, by) {
+  let released = null;
+  store.update("holds", (list) => {
+    const h = list.find(x => x.id === id);
+    if (!h || !active(h)) return;
+    h.releasedBy = by;
+    h.releasedAt = new Date().toISOString();
+    released = h;
+  });
+  return released;
+}
+
+// --------------------- flags ---------------------
+// one open flag per user and type; repeats only update the existing one. Returns the new flag or null.
+function raise(userId, type, details) {
+  let created = null;
+  store.update("risk_flags", (list) => {
+    const open = list.find(f => f.userId === userId && f.type === type && f.status === "open");
+    if (open) { open.details = details; open.count = (open.count || 1) + 1; open.lastTs = new Date().toISOString(); return; }
+    created = { id: newId("flg"), userId, type, details, status: "open", count: 1, ts: new Date().toISOString(), lastTs: null, closedBy: null, closedAt: null, note: "" };
+    list.push(created);
+  });
+  if (created) for (const fn of listeners) fn(created);
+  return created;
+}
+const listeners = [];
+// returns a function that removes the listener again (an app's stop() calls it)
+function onFlag(fn) {
+  listeners.push(fn);
+  return () => { const i = listeners.indexOf(fn); if (i !== -1) listeners.splice(i, 1); };
+}
+
+function openFlags() { return store.get("risk_flags").filter(f => f.status === "open").sort((a, b) => (a.ts < b.ts ? 1 : -1)); }
+
+function dismiss(id, by, note) {
+  let flag = null;
+  store.update("risk_flags", (list) => {
+    const f = list.find(x => x.id === id && x.status === "open");
+    if (!f) return;
+    Object.assign(f, { status: "dismissed", closedBy: by, closedAt: new Date().toISOString(), note: note || "" });
+    flag = f;
+  });
+  return flag;
+}
+
+// money that went from -> to and came back to `from` through at most `hops` transfers within the window
+function circularPath(fromId, toId, hops = 3) {
+  const from = since(config.get("risk_circular_hours") * 60 * 60 * 1000);
+  const edges = [];
+  for (const e of store.get("transactions")) {
+    if (e.type !== "transfer" || !e.postings || Date.parse(e.ts) < from) continue;
+    const src = e.postings.find(p => p.amount < 0);
+    const dst = e.postings.find(p => p.amount > 0);
+    if (src && dst) edges.push([ledger.userIdOf(src.account), ledger.userIdOf(dst.account)]);
+  }
+  let frontier = [[toId]];
+  for (let depth = 0; depth < hops; depth++) {
+    const next = [];
+    for (const path of frontier) {
+      for (const [a, b] of edges) {
+        if (a !== path[path.length - 1] || path.includes(b)) continue;
+        if (b === fromId) return [fromId, ...path, fromId];
+        next.push([...path, b]);
+      }
+    }
+    frontier = next;
+  }
+  return null;
+}
+
+// other users whose phone matches `phone` in all but the last two digits
+function similarPhones(userId, phone) {
+  const stem = String(phone || "").replace(/\D/g, "").slice(0, -2);
+  if (stem.length < 8) return [];
+  return store.get("users").filter(u => u.id !== userId && u.phone && String(u.phone).replace(/\D/g, "").slice(0, -2) === stem);
+}
+
+module.exports = {
+  RiskError, check, usage, isFrozen, freeze, unfreeze, frozenUsers,
+  isNewAccount, placeHold, activeHolds, heldAmount, available, releaseHold,
+  raise, onFlag, openFlags, dismiss, circularPath, similarPhones,
+};
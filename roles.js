@@ -0,0 +1,145 @@
+// roles.js
+// Admin roles and per-command permissions. admin.json keeps { admins: [id], roles: { "<id>": role } };
+// admins listed without a role predate roles and count as owners, so nobody is locked out on upgrade.
+//   owner     - everything, and the only role that manages admins, settings, broadcasts, the audit log, backups and runs jobs by hand
+//   finance   - withdrawals, payouts, pickup payments, reconciliation, CSV exports, risk holds and unfreezing
+//   moderator - complaints, pickup handling, risk flags and freezing
+//   support   - read-only views to answer users
+const store = require("./storage");
+
+const ROLES = ["owner", "finance", "moderator", "support"];
+
+// permission -> roles allowed besides the owner. Permissions are /admin sub-commands
+// ("settings get"/"settings set" are split) plus view_* for dashboard pages.
+const PERMISSIONS = {
+  list_withdrawals: ["finance", "support"],
+  approve: ["finance"],
+  decline: ["finance"],
+  payout_status: ["finance", "support"],
+  payout_paid: ["finance"],
+  payout_failed: ["finance"],
+  reconcile: ["finance"],
+  export: ["finance"],
+  stats: ["finance", "moderator", "support"],
+  list_complaints: ["moderator", "support"],
+  complaint: ["moderator", "support"],
+  approve_complaint: ["moderator"],
+  decline_complaint: ["moderator"],
+  complaint_status: ["moderator"],
+  complaint_note: ["moderator", "support"],
+  duplicate: ["moderator"],
+  not_duplicate: ["moderator"],
+  list_pickups: ["finance", "moderator", "support"],
+  assign: ["moderator"],
+  collected: ["moderator"],
+  weigh: ["moderator"],
+  reject_pickup: ["moderator"],
+  confirm: ["finance"],
+  risk: ["finance", "moderator", "support"],
+  freeze: ["finance", "moderator"],
+  unfreeze: ["finance"],
+  dismiss_flag: ["finance", "moderator"],
+  release_hold: ["finance"],
+  addcollector: [],
+  broadcast: [],
+  broadcast_variant: [],
+  broadcast_cancel: [],
+  broadcast_status: [],
+  broadcasts: [],
+  settings_get: ["finance", "moderator", "support"],
+  settings_set: [],
+  i18n: ["support"],
+  dashboard: ["finance", "moderator", "support"],
+  jobs: ["finance", "moderator", "support"],
+  run_job: [],
+  admins: ["finance", "moderator", "support"],
+  addadmin: [],
+  removeadmin: [],
+  role: [],
+  audit: [],
+  backup: [],
+  backups: [],
+  view_users: ["finance", "support"],
+  view_transactions: ["finance"],
+};
+
+// code is rendered as the admin_role_error_<code> message with vars
+class RoleError extends Error {
+  constructor(code, vars = {}) {
+    super(code);
+    this.name = "RoleError";
+    this.code = code;
+    this.vars = vars;
+  }
+}
+
+const cfg = () => store.get("admin");
+
+// role of an admin, or null for anyone who is not one
+function roleOf(id) {
+  const c = cfg();
+  if (!(c.admins || []).includes(id)) return null;
+  return (c.roles || {})[id] || "owner";
+}
+
+function can(id, permission) {
+  const role = roleOf(id);
+  if (!role) return false;
+  return role === "owner" || (PERMISSIONS[permission] || []).includes(role);
+}
+
+// "/admin settings set x 1" -> "settings_set"; other sub-commands are their own permission
+function permissionFor(args) {
+  const [cmd, sub] = args;
+  if (cmd === "settings") return sub === "set" ? "settings_set" : "settings_get";
+  return cmd;
+}
+
+function list() { return (cfg().admins || []).map(id => ({ id, role: roleOf(id) })); }
+
+const owners = (c) => (c.admins || []).filter(id => ((c.roles || {})[id] || "owner") === "owner");
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw new RoleError("unknown_role", { role, roles: ROLES.join(", ") });
+}
+
+// each change returns { before, after } role snapshots for the audit log
+function add(id, role) {
+  checkRole(role);
+  let change = null;
+  store.update("admin", (c) => {
+    if ((c.admins || []).includes(id)) throw new RoleError("already_admin", { id, role: (c.roles || {})[id] || "owner" });
+    c.admins = (c.admins || []).concat(id);
+    c.roles = { ...(c.roles || {}), [id]: role };
+    change = { before: null, after: { role } };
+  });
+  return change;
+}
+
+function remove(id) {
+  let change = null;
+  store.update("admin", (c) => {
+    if (!(c.admins || []).includes(id)) throw new RoleError("not_admin", { id });
+    const role = (c.roles || {})[id] || "owner";
+    if (role === "owner" && owners(c).length === 1) throw new RoleError("last_owner_removed");
+    c.admins = c.admins.filter(x => x !== id);
+    if (c.roles) delete c.roles[id];
+    change = { before: { role }, after: null };
+  });
+  return change;
+}
+
+function setRole(id, role) {
+  checkRole(role);
+  let change = null;
+  store.update("admin", (c) => {
+    if (!(c.admins || []).includes(id)) throw new RoleError("not_admin", { id });
+    const before = (c.roles || {})[id] || "owner";
+    if (before === "owner" && role !== "owner" && owners(c).length === 1) throw new RoleError("last_owner_demoted");
+    c.roles = { ...(c.roles || {}), [id]: role };
+    change = { before: { role: before }, after: { role } };
+  });
+  return change;
+}
+
+module.exports = { ROLES, PERMISSIONS, RoleError, roleOf, can, permissionFor, list, add, remove, setRole };
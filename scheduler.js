@@ -0,0 +1,123 @@
+// scheduler.js
+// In-process recurring jobs. A job is { name, every: ms } or { name, dailyAt: () => hour (UTC, 0-23) }, plus
+// run(now) -> result (may be async). Each job's state is kept in the "jobs" collection (./data/jobs.json):
+//   { lastRunAt, lastResult, lastError, runs, failures }
+// so a restart neither repeats a daily job that already ran nor forgets one that is due; a job missed
+// while the bot was down runs once on the next tick (interval jobs also run on the first tick ever). tick(now) runs whatever is due at `now`; start()
+// ticks on a timer. The clock is injectable (createScheduler({ now })) and jobs get the tick's time,
+// so tests can step time forward and trigger jobs by hand with runNow(name, at).
+const store = require("./storage");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class JobError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "JobError";
+  }
+}
+
+// most recent hour:00 UTC at or before `now`
+function lastDailyAt(hour, now) {
+  const d = new Date(now);
+  const at = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate(), hour);
+  return at <= now ? at : at - DAY_MS;
+}
+
+function createScheduler({ now = Date.now } = {}) {
+  const jobs = new Map();
+  const running = new Set();
+  const createdAt = now();
+  let timer = null;
+
+  const stateOf = (name) => store.get("jobs")[name] || { lastRunAt: null, lastResult: null, lastError: null, runs: 0, failures: 0 };
+
+  function define(job) {
+    if (!job.name || typeof job.run !== "function" || !(job.every || job.dailyAt)) throw new JobError("a job needs a name, run() and every or dailyAt");
+    jobs.set(job.name, job);
+    return job;
+  }
+
+  // when the job should next run, given when it last ran (ms)
+  function nextRunAt(job, at) {
+    const last = stateOf(job.name).lastRunAt ? Date.parse(stateOf(job.name).lastRunAt) : null;
+    if (job.every) return last === null ? at : last + job.every;
+    // a daily job that never ran waits for its first hour after the scheduler was created
+    if (last === null) return lastDailyAt(job.dailyAt(), createdAt) + DAY_MS;
+    const slot = lastDailyAt(job.dailyAt(), at);
+    return last < slot ? slot : slot + DAY_MS;
+  }
+
+  function isDue(job, at) { return !running.has(job.name) && nextRunAt(job, at) <= at; }
+
+  async function execute(job, at) {
+    running.add(job.name);
+    let result = null;
+    let error = null;
+    try {
+      result = await job.run(at);
+    } catch (e) {
+      error = e;
+      console.error(`job ${job.name} failed`, e);
+    } finally {
+      running.delete(job.name);
+    }
+    store.update("jobs", (all) => {
+      const s = all[job.name] || { runs: 0, failures: 0 };
+      all[job.name] = {
+        ...s,
+        lastRunAt: new Date(at).toISOString(),
+        lastResult: error ? null : (result === undefined ? null : result),
+        lastError: error ? error.message : null,
+        runs: (s.runs || 0) + 1,
+        failures: (s.failures || 0) + (error ? 1 : 0),
+      };
+    });
+    if (error) throw error;
+    return result;
+  }
+
+  // run every due job, one after another; returns { name: result | { error } }
+  async function tick(at = now()) {
+    const out = {};
+    for (const job of jobs.values()) {
+      if (!isDue(job, at)) continue;
+      try { out[job.name] = await execute(job, at); } catch (e) { out[job.name] = { error: e.message }; }
+    }
+    return out;
+  }
+
+  // run one job regardless of its schedule (admins, tests)
+  async function runNow(name, at = now()) {
+    const job = jobs.get(name);
+    if (!job) throw new JobError(`Unknown job ${name}. Jobs: ${[...jobs.keys()].join(", ")}.`);
+    if (running.has(name)) throw new JobError(`Job ${name} is already running.`);
+    return execute(job, at);
+  }
+
+  // [{ name, schedule, nextRunAt, ...state }]
+  function status(at = now()) {
+    return [...jobs.values()].map(job => ({
+      name: job.name,
+      schedule: job.every ? `every ${Math.round(job.every / 60000)} min` : `daily ${String(job.dailyAt()).padStart(2, "0")}:00 UTC`,
+      nextRunAt: new Date(Math.max(nextRunAt(job, at), at)).toISOString(),
+      running: running.has(job.name),
+      ...stateOf(job.name),
+    }));
+  }
+
+  function start(intervalMs = 60 * 1000) {
+    if (timer) return;
+    timer = setInterval(() => { tick().catch(e => console.error("scheduler tick failed", e)); }, intervalMs);
+    timer.unref();
+  }
+
+  function stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  }
+
+  return { define, tick, runNow, status, start, stop };
+}
+
+module.exports = { JobError, createScheduler, lastDailyAt };
@@ -1,35 +1,205 @@
-import express from "express";
-import { exec } from "child_process";
-import dotenv from "dotenv";
-import cors from "cors";
-import bodyParser from "body-parser";
+// server.js
+// Process supervisor for the bot: runs bot.js as a child process, restarts it when it exits with an
+// exponential backoff (reset once a run has stayed up for STABLE_MS) and serves its state over HTTP
+// on SUPERVISOR_PORT (the bot keeps PORT for webhooks, payout callbacks and the dashboard):
+//   GET  /health   supervisor liveness
+//   GET  /ready    200 when the bot is running and connected to Telegram, 503 otherwise
+//   GET  /status   state, pid, uptime, restart count, last exit, Telegram connection
+//   GET  /logs     recent output and the log tail of the last crashes  (SUPERVISOR_TOKEN)
+//   POST /restart  restart the bot now                                   (SUPERVISOR_TOKEN)
+// The token goes in "Authorization: Bearer <token>" or ?token=; without SUPERVISOR_TOKEN those two
+// only answer requests from this machine.
+// The bot reports its Telegram connection over the IPC channel ({ type: "telegram", connected, ... }).
+// SIGTERM/SIGINT stop restarts, pass the signal on and wait up to SHUTDOWN_TIMEOUT_MS for the bot
+// to finish its storage writes before it is killed.
+const path = require("path");
+const { spawn } = require("child_process");
+const express = require("express");
+const dotenv = require("dotenv");
 
 dotenv.config();
 
-const app = express();
-app.use(cors());
-app.use(bodyParser.json());
-
-let botRunning = false;
-
-// Start Python bot
-function startBot() {
-  if (botRunning) return;
-  botRunning = true;
-  const bot = exec("python3 bot.py");
-  bot.stdout.on("data", (data) => console.log("[BOT]", data.toString()));
-  bot.stderr.on("data", (data) => console.error("[ERROR]", data.toString()));
-  bot.on("exit", () => {
-    console.log("Bot stopped. Restarting...");
-    botRunning = false;
-    setTimeout(startBot, 5000);
+const BOT_SCRIPT = path.join(__dirname, "bot.js");
+const RESTART_BASE_MS = 1000;
+const RESTART_MAX_MS = 60 * 1000;
+const STABLE_MS = 60 * 1000;
+const SHUTDOWN_TIMEOUT_MS = 15 * 1000;
+const LOG_LINES = 200;
+const CRASH_LOG_LINES = 50;
+const MAX_CRASHES = 10;
+
+// spawnFn(script, env) -> ChildProcess with stdout/stderr pipes and an IPC channel
+const defaultSpawn = (script, env) => spawn(process.execPath, [script], { env, stdio: ["ignore", "pipe", "pipe", "ipc"] });
+
+function createSupervisor({ script = BOT_SCRIPT, env = process.env, spawnFn = defaultSpawn, log = console } = {}) {
+  const startedAt = Date.now();
+  let child = null;
+  let state = "stopped"; // running | backoff | stopping | stopped
+  let runStartedAt = null;
+  let restarts = 0;
+  let failures = 0; // consecutive runs that ended before STABLE_MS
+  let restartTimer = null;
+  let nextRestartAt = null;
+  let lastExit = null;
+  let restarting = null; // the restart in progress; callers that arrive meanwhile share it
+  let shuttingDown = false; // set by shutdown(); nothing launches a bot after it
+  let telegram = { connected: false, mode: null, error: null, checkedAt: null };
+  const output = [];
+  const crashes = [];
+
+  function remember(stream, chunk) {
+    for (const line of String(chunk).split("\n")) {
+      if (!line) continue;
+      output.push(`${new Date().toISOString()} ${stream} ${line}`);
+      if (output.length > LOG_LINES) output.shift();
+      (stream === "err" ? log.error : log.log)(`[bot] ${line}`);
+    }
+  }
+
+  // never a second child: one token polled twice makes Telegram refuse both
+  function launch() {
+    if (child || shuttingDown) return;
+    restartTimer = null;
+    nextRestartAt = null;
+    telegram = { connected: false, mode: null, error: null, checkedAt: null };
+    child = spawnFn(script, env);
+    state = "running";
+    runStartedAt = Date.now();
+    log.log(`▶ bot started (pid ${child.pid})`);
+    child.stdout.on("data", (d) => remember("out", d));
+    child.stderr.on("data", (d) => remember("err", d));
+    child.on("message", (m) => {
+      if (m && m.type === "telegram") telegram = { connected: !!m.connected, mode: m.mode || null, error: m.error || null, checkedAt: m.checkedAt || null };
+    });
+    child.on("error", (e) => remember("err", `spawn failed: ${e.message}`));
+    child.on("exit", (code, signal) => onExit(code, signal));
+  }
+
+  function onExit(code, signal) {
+    const ranMs = Date.now() - runStartedAt;
+    lastExit = { code, signal, at: new Date().toISOString(), ranSeconds: Math.round(ranMs / 1000) };
+    child = null;
+    telegram = { ...telegram, connected: false };
+    if (state === "stopping") {
+      state = "stopped";
+      log.log(`■ bot stopped (${signal || `code ${code}`})`);
+      return;
+    }
+    crashes.push({ ...lastExit, logs: output.slice(-CRASH_LOG_LINES) });
+    if (crashes.length > MAX_CRASHES) crashes.shift();
+    failures = ranMs >= STABLE_MS ? 1 : failures + 1;
+    const delay = Math.min(RESTART_MAX_MS, RESTART_BASE_MS * 2 ** (failures - 1));
+    state = "backoff";
+    nextRestartAt = Date.now() + delay;
+    log.error(`✖ bot exited (${signal || `code ${code}`}) after ${lastExit.ranSeconds}s; restarting in ${delay / 1000}s`);
+    restartTimer = setTimeout(() => { restarts++; launch(); }, delay);
+  }
+
+  function start() {
+    if (state === "running" || state === "backoff") return;
+    launch();
+  }
+
+  // SIGTERM the bot and resolve once it has exited (SIGKILL after timeoutMs)
+  function stop(timeoutMs = SHUTDOWN_TIMEOUT_MS) {
+    if (restartTimer) clearTimeout(restartTimer);
+    restartTimer = null;
+    nextRestartAt = null;
+    if (!child) { state = "stopped"; return Promise.resolve(); }
+    state = "stopping";
+    const c = child;
+    return new Promise((resolve) => {
+      const kill = setTimeout(() => { log.error("bot did not stop in time, killing it"); c.kill("SIGKILL"); }, timeoutMs);
+      c.once("exit", () => { clearTimeout(kill); resolve(); });
+      c.kill("SIGTERM");
+    });
+  }
+
+  // a manual restart doesn't count as a failure
+  function restart() {
+    if (!restarting) {
+      restarting = (async () => {
+        try {
+          await stop();
+          if (shuttingDown) return;
+          restarts++;
+          failures = 0;
+          launch();
+        } finally {
+          restarting = null;
+        }
+      })();
+    }
+    return restarting;
+  }
+
+  // stop for good (SIGTERM/SIGINT): a restart or backoff still in progress won't bring the bot back
+  function shutdown(timeoutMs) {
+    shuttingDown = true;
+    return stop(timeoutMs);
+  }
+
+  function status() {
+    return {
+      state,
+      pid: child ? child.pid : null,
+      uptimeSeconds: child ? Math.round((Date.now() - runStartedAt) / 1000) : 0,
+      supervisorUptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      restarts,
+      consecutiveFailures: failures,
+      nextRestartAt: nextRestartAt ? new Date(nextRestartAt).toISOString() : null,
+      lastExit,
+      telegram,
+    };
+  }
+
+  const ready = () => state === "running" && telegram.connected;
+
+  return { start, stop, shutdown, restart, status, ready, logs: () => ({ output: output.slice(), crashes: crashes.slice() }) };
+}
+
+// --------------------- HTTP ---------------------
+const LOOPBACK = ["127.0.0.1", "::1", "::ffff:127.0.0.1"];
+
+function createApp(supervisor, { token = process.env.SUPERVISOR_TOKEN } = {}) {
+  const app = express();
+  const authorized = (req) => {
+    if (!token) return LOOPBACK.includes(req.socket.remoteAddress);
+    const given = (req.get("Authorization") || "").replace(/^Bearer\s+/i, "") || req.query.token;
+    return given === token;
+  };
+  const guard = (req, res, next) => (authorized(req) ? next() : res.status(403).json({ error: "forbidden" }));
+
+  app.get("/", (req, res) => res.send("♻️ Clean9ja bot supervisor"));
+  app.get("/health", (req, res) => res.json({ status: "ok" }));
+  app.get("/ready", (req, res) => res.status(supervisor.ready() ? 200 : 503).json({ ready: supervisor.ready(), ...supervisor.status() }));
+  app.get("/status", (req, res) => res.json(supervisor.status()));
+  app.get("/logs", guard, (req, res) => res.json(supervisor.logs()));
+  app.post("/restart", guard, (req, res) => {
+    supervisor.restart().catch(e => console.error("restart failed", e));
+    res.status(202).json({ restarting: true });
   });
+  return app;
 }
 
-app.get("/", (req, res) => res.send("♻️ CleanNaija Bot Server Running"));
+module.exports = { createSupervisor, createApp };
+
+if (require.main === module) {
+  const supervisor = createSupervisor();
+  const port = process.env.SUPERVISOR_PORT || 8081;
+  const server = createApp(supervisor).listen(port, () => {
+    console.log(`✅ Supervisor listening on ${port}`);
+    supervisor.start();
+  });
 
-const PORT = process.env.PORT || 8080;
-app.listen(PORT, () => {
-  console.log(`✅ Server running on port ${PORT}`);
-  startBot();
-});
+  let stopping = false;
+  const shutdown = async (signal) => {
+    if (stopping) return;
+    stopping = true;
+    console.log(`${signal} received, stopping the bot...`);
+    await supervisor.shutdown();
+    server.close(() => process.exit(0));
+  };
+  process.on("SIGTERM", () => shutdown("SIGTERM"));
+  process.on("SIGINT", () => shutdown("SIGINT"));
+}
@@ -0,0 +1,130 @@
+// statements.js
+// A user's view of the wallet ledger for /history and downloadable statements: one row per journal
+// entry that touched their account, labelled with a statement type and the running balance.
+// CSV and PDF are rendered here without extra dependencies (the PDF is plain Courier text, A4).
+// ledgerCsv/withdrawalsCsv are the finance team's exports of the whole ledger and all withdrawals.
+const ledger = require("./ledger");
+
+const TYPES = ["scan_credit", "complaint_bonus", "referral", "transfer_in", "transfer_out", "withdrawals", "other"];
+
+function typeOf(e, amount) {
+  if (e.type === "transfer") return amount < 0 ? "transfer_out" : "transfer_in";
+  if (e.type === "transfer_in" || e.type === "transfer_out" || e.type === "scan_credit" || e.type === "complaint_bonus") return e.type;
+  if (e.type === "referral_reward") return "referral";
+  if (String(e.type).startsWith("withdraw")) return "withdrawals";
+  return "other";
+}
+
+// the other user on a transfer (legacy single-sided rows name them in the note: "to 123" / "from 123")
+function counterpartyOf(e, account) {
+  const other = ledger.postingsOf(e).find(p => p.account !== account && ledger.userIdOf(p.account) !== null);
+  if (other) return ledger.userIdOf(other.account);
+  const m = /^(?:to|from) (\d+)$/.exec(e.note || "");
+  return m && (e.type === "transfer_in" || e.type === "transfer_out") ? Number(m[1]) : null;
+}
+
+// newest first: { id, ts, type, amount, balance, counterparty, memo, ref }. `type` filters by statement type.
+function rows(userId, { type } = {}) {
+  const account = ledger.userAccount(userId);
+  const out = [];
+  let balance = 0;
+  for (const e of ledger.entriesFor(account)) {
+    const amount = ledger.round2(ledger.postingsOf(e).filter(p => p.account === account).reduce((a, p) => a + Number(p.amount), 0));
+    balance = ledger.round2(balance + amount);
+    out.push({ id: e.id || "", ts: e.ts || "", type: typeOf(e, amount), amount, balance, counterparty: counterpartyOf(e, account), memo: e.memo || "", ref: e.ref || null });
+  }
+  return out.filter(r => !type || r.type === type).reverse();
+}
+
+// { in, out } money totals over rows
+function totals(list) {
+  return {
+    in: ledger.round2(list.filter(r => r.amount > 0).reduce((a, r) => a + r.amount, 0)),
+    out: ledger.round2(list.filter(r => r.amount < 0).reduce((a, r) => a - r.amount, 0)),
+  };
+}
+
+// --------------------- CSV ---------------------
+const csvCell = (v) => (/[",\n]/.test(String(v)) ? `"${String(v).replace(/"/g, "\"\"")}"` : String(v));
+
+// name(userId) turns counterparties into display names
+function toCsv(list, { name = String } = {}) {
+  const head = ["date", "type", "amount", "balance", "counterparty", "note", "reference", "transaction"];
+  const lines = list.map(r => [r.ts, r.type, r.amount.toFixed(2), r.balance.toFixed(2), r.counterparty === null ? "" : name(r.counterparty), r.memo, r.ref || "", r.id]);
+  return [head, ...lines].map(l => l.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+// one row per posting, so every entry's rows sum to zero and the file imports as a journal
+function ledgerCsv(entries) {
+  const head = ["date", "transaction", "type", "account", "amount", "reference", "note", "memo"];
+  const lines = entries.flatMap(e => ledger.postingsOf(e).map(p => [e.ts || "", e.id || "", e.type || "", p.account, Number(p.amount).toFixed(2), e.ref || "", e.note || "", e.memo || ""]));
+  return [head, ...lines].map(l => l.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+function withdrawalsCsv(list) {
+  const head = ["requested", "withdrawal", "user", "amount", "status", "bank", "account_number", "account_name", "payout_reference", "settled"];
+  const lines = list.map(w => {
+    const d = w.destination || {};
+    const settled = w.paidAt || w.failedAt || w.declinedAt || w.expiredAt || "";
+    return [w.ts || "", w.id, w.userId, Number(w.amount).toFixed(2), w.status, d.bankName || "", d.accountNumber || "", d.accountName || "", (w.payout && w.payout.reference) || "", settled];
+  });
+  return [head, ...lines].map(l => l.map(csvCell).join(",")).join("\n") + "\n";
+}
+
+// --------------------- PDF ---------------------
+const PAGE_W = 595;
+const PAGE_H = 842;
+const MARGIN = 40;
+const FONT_SIZE = 8;
+const LEADING = 11;
+const LINES_PER_PAGE = Math.floor((PAGE_H - 2 * MARGIN) / LEADING);
+
+// the built-in fonts only cover Latin-1: ₦ becomes NGN and anything else unprintable becomes ?
+const pdfText = (s) => String(s).replace(/₦/g, "NGN").replace(/[^\x20-\x7e\xa0-\xff]/g, "?").replace(/[\\()]/g, "\\$&");
+
+// lines of text -> PDF document (Buffer), paginated
+function pdfDocument(lines) {
+  const pages = [];
+  for (let i = 0; i < lines.length || !pages.length; i += LINES_PER_PAGE) pages.push(lines.slice(i, i + LINES_PER_PAGE));
+  // objects: 1 catalog, 2 page tree, 3 font, then a page and its content stream per page
+  const objects = [];
+  const kids = pages.map((_, i) => `${4 + i * 2} 0 R`).join(" ");
+  objects.push("<< /Type /Catalog /Pages 2 0 R >>");
+  objects.push(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`);
+  objects.push("<< /Type /Font /Subtype /Type1 /BaseFont /Courier /Encoding /WinAnsiEncoding >>");
+  pages.forEach((page, i) => {
+    const body = page.map((l, n) => `${n ? "T* " : ""}(${pdfText(l)}) Tj`).join("\n");
+    const footer = `BT /F1 ${FONT_SIZE} Tf ${PAGE_W - MARGIN - 60} ${MARGIN / 2} Td (Page ${i + 1}/${pages.length}) Tj ET`;
+    const stream = `BT /F1 ${FONT_SIZE} Tf ${LEADING} TL ${MARGIN} ${PAGE_H - MARGIN} Td\n${body}\nET\n${footer}`;
+    objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_W} ${PAGE_H}] /Resources << /Font << /F1 3 0 R >> >> /Contents ${5 + i * 2} 0 R >>`);
+    objects.push(`<< /Length ${Buffer.byteLength(stream, "latin1")} >>\nstream\n${stream}\nendstream`);
+  });
+  let out = "%PDF-1.4\n";
+  const offsets = objects.map((o, i) => {
+    const at = Buffer.byteLength(out, "latin1");
+    out += `${i + 1} 0 obj\n${o}\nendobj\n`;
+    return at;
+  });
+  const xref = Buffer.byteLength(out, "latin1");
+  out += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n${offsets.map(o => `${String(o).padStart(10, "0")} 00000 n \n`).join("")}`;
+  out += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return Buffer.from(out, "latin1");
+}
+
+const col = (s, n) => String(s).slice(0, n).padEnd(n);
+
+// title: heading lines (user, filter, period); name(userId) as for toCsv
+function toPdf(list, { title = [], name = String } = {}) {
+  const t = totals(list);
+  const lines = [
+    ...title,
+    `Money in: NGN ${t.in.toFixed(2)}   Money out: NGN ${t.out.toFixed(2)}   Entries: ${list.length}`,
+    "",
+    `${col("Date (UTC)", 17)}${col("Type", 16)}${"Amount".padStart(12)}${"Balance".padStart(12)}  ${col("Counterparty", 16)}Note`,
+    "-".repeat(106),
+    ...list.map(r => `${col(r.ts.slice(0, 16).replace("T", " "), 17)}${col(r.type, 16)}${r.amount.toFixed(2).padStart(12)}${r.balance.toFixed(2).padStart(12)}  ${col(r.counterparty === null ? "" : name(r.counterparty), 16)}${r.memo.slice(0, 33)}`),
+  ];
+  return pdfDocument(lines);
+}
+
+module.exports = { TYPES, rows, totals, toCsv, ledgerCsv, withdrawalsCsv, toPdf };
@@ -0,0 +1,188 @@
+// stats.js
+// Impact and earnings figures for /stats, /leaderboard, /admin stats and the public GET /api/stats.
+// Nothing is stored; everything is derived from the ledger and the collections when asked for:
+//   recycled - one row per scan credit. The pickup it paid (entry.ref) gives material, kg and area;
+//              older credits only have "<waste type> [<kg>kg]" in their note, so both come from that.
+//   CO₂      - kg × co2_factors[material], kg CO₂e avoided per kg recycled (an estimate)
+//   area     - the pickup's LGA (its pin or address), else the LGA of the user's latest complaint
+const ledger = require("./ledger");
+const config = require("./config");
+const geo = require("./geo");
+const store = require("./storage");
+const { MATERIALS } = require("./classifier");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// ledger entry type -> earnings bucket
+const EARNINGS = { scan_credit: "scans", complaint_bonus: "complaints", referral_reward: "referrals" };
+const OPEN_WITHDRAWALS = ["pending", "processing"];
+const REFUNDED_WITHDRAWALS = ["declined", "failed", "expired"];
+
+const round2 = ledger.round2;
+const day = (iso) => String(iso || "").slice(0, 10);
+
+// "Plastic Bottle 2.5kg" / "plastic" -> "plastic"; "other" when no material is named
+function materialOf(note) {
+  const n = geo.norm(note);
+  const hit = Object.entries(MATERIALS).find(([key, m]) => ` ${n} `.includes(` ${geo.norm(m.label)} `) || n.split(" ").includes(key));
+  return hit ? hit[0] : "other";
+}
+
+const co2For = (material, kg) => round2(kg * (config.get("co2_factors")[material] || 0));
+
+function pickupArea(p) {
+  if (p.lga) return { lga: p.lga, state: p.state || null };
+  const area = p.location ? geo.resolveCoords(p.location.latitude, p.location.longitude) : p.address ? geo.resolveText(p.address) : null;
+  return area && area.lga ? area : null;
+}
+
+// userId -> { lga, state } of their latest complaint that named one
+function homeAreas() {
+  const homes = new Map();
+  for (const c of [...store.get("complaints")].sort((a, b) => (a.ts < b.ts ? -1 : 1))) {
+    if (c.lga) homes.set(c.userId, { lga: c.lga, state: c.state || null });
+  }
+  return homes;
+}
+
+// [{ userId, material, kg, amount, ts, lga, state }], oldest first
+function recycled() {
+  const pickups = new Map(store.get("pickups").map(p => [p.id, p]));
+  const homes = homeAreas();
+  const rows = [];
+  for (const e of store.get("transactions")) {
+    if (e.type !== "scan_credit") continue;
+    const credit = ledger.postingsOf(e).find(p => ledger.userIdOf(p.account) !== null && Number(p.amount) > 0);
+    if (!credit) continue;
+    const userId = ledger.userIdOf(credit.account);
+    const p = e.ref ? pickups.get(e.ref) : null;
+    const kgInNote = /(\d+(?:\.\d+)?)\s*kg\b/i.exec(e.note || "");
+    const area = (p && pickupArea(p)) || homes.get(userId) || null;
+    rows.push({
+      userId,
+      material: p && MATERIALS[p.material] ? p.material : materialOf(e.note),
+      kg: round2(p ? Number(p.measuredKg) || 0 : kgInNote ? Number(kgInNote[1]) : 0),
+      amount: round2(credit.amount),
+      ts: e.ts || "",
+      lga: area ? area.lga : null,
+      state: area ? area.state : null,
+    });
+  }
+  return rows.sort((a, b) => (a.ts < b.ts ? -1 : 1));
+}
+
+// { material: { kg, amount, co2 } } plus totals { kg, amount, co2, scans }
+function totalsOf(rows) {
+  const materials = {};
+  for (const r of rows) {
+    const m = materials[r.material] || (materials[r.material] = { kg: 0, amount: 0, co2: 0 });
+    m.kg = round2(m.kg + r.kg);
+    m.amount = round2(m.amount + r.amount);
+    m.co2 = round2(m.co2 + co2For(r.material, r.kg));
+  }
+  const sum = (field) => round2(Object.values(materials).reduce((a, m) => a + m[field], 0));
+  return { materials, kg: sum("kg"), amount: sum("amount"), co2: sum("co2"), scans: rows.length };
+}
+
+// LGAs by kg recycled, most first: [{ lga, state, kg, co2, recyclers }]
+function leaderboard(rows = recycled()) {
+  const lgas = new Map();
+  for (const r of rows) {
+    if (!r.lga) continue;
+    const l = lgas.get(r.lga) || { lga: r.lga, state: r.state, kg: 0, co2: 0, users: new Set() };
+    l.kg = round2(l.kg + r.kg);
+    l.co2 = round2(l.co2 + co2For(r.material, r.kg));
+    l.users.add(r.userId);
+    lgas.set(r.lga, l);
+  }
+  return [...lgas.values()]
+    .map(({ users, ...l }) => ({ ...l, recyclers: users.size }))
+    .sort((a, b) => b.kg - a.kg || a.lga.localeCompare(b.lga));
+}
+
+// where a user stands among the recyclers of the LGA they recycled in last: { lga, rank, of } or null
+function rankOf(userId, rows = recycled()) {
+  const mine = rows.filter(r => r.userId === userId && r.lga);
+  if (!mine.length) return null;
+  const lga = mine[mine.length - 1].lga;
+  const kg = new Map();
+  for (const r of rows) if (r.lga === lga) kg.set(r.userId, (kg.get(r.userId) || 0) + r.kg);
+  const order = [...kg.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0]).map(([id]) => id);
+  return { lga, rank: order.indexOf(userId) + 1, of: order.length };
+}
+
+// /stats: { materials, kg, amount, co2, scans, earnings: { scans, complaints, referrals, total }, rank }
+function forUser(userId) {
+  const rows = recycled();
+  const account = ledger.userAccount(userId);
+  const earnings = { scans: 0, complaints: 0, referrals: 0 };
+  for (const e of ledger.entriesFor(account)) {
+    const bucket = EARNINGS[e.type];
+    if (bucket) earnings[bucket] = round2(earnings[bucket] + ledger.postingsOf(e).filter(p => p.account === account).reduce((a, p) => a + Number(p.amount), 0));
+  }
+  earnings.total = round2(earnings.scans + earnings.complaints + earnings.referrals);
+  return { ...totalsOf(rows.filter(r => r.userId === userId)), earnings, rank: rankOf(userId, rows) };
+}
+
+// { count, amount } of the withdrawals matching `statuses`
+function volume(list, statuses) {
+  const hits = list.filter(w => statuses.includes(w.status));
+  return { count: hits.length, amount: round2(hits.reduce((a, w) => a + Number(w.amount), 0)) };
+}
+
+// /admin stats over the last `days` days (UTC, today included)
+function report({ days = 7, now = Date.now() } = {}) {
+  const since = day(new Date(now - (days - 1) * DAY_MS).toISOString());
+  const inPeriod = (iso) => day(iso) >= since;
+  const rows = recycled().filter(r => inPeriod(r.ts));
+  const bonuses = store.get("transactions").filter(e => (e.type === "complaint_bonus" || e.type === "referral_reward") && inPeriod(e.ts));
+  const withdrawals = store.get("withdrawals");
+  const users = store.get("users");
+
+  const byDay = [];
+  for (let t = Date.parse(`${since}T00:00:00Z`); day(new Date(t).toISOString()) <= day(new Date(now).toISOString()); t += DAY_MS) {
+    const d = day(new Date(t).toISOString());
+    const scans = rows.filter(r => day(r.ts) === d);
+    byDay.push({
+      day: d,
+      kg: round2(scans.reduce((a, r) => a + r.kg, 0)),
+      scans: scans.length,
+      paid: round2(scans.reduce((a, r) => a + r.amount, 0)),
+      paidOut: volume(withdrawals.filter(w => day(w.paidAt) === d), ["paid"]).amount,
+    });
+  }
+
+  const requested = withdrawals.filter(w => inPeriod(w.ts));
+  return {
+    days,
+    since,
+    users: { total: users.length, verified: users.filter(u => u.verified).length, new: users.filter(u => u.createdAt && inPeriod(u.createdAt)).length },
+    ...totalsOf(rows),
+    bonuses: round2(bonuses.reduce((a, e) => a + ledger.postingsOf(e).filter(p => ledger.userIdOf(p.account) !== null).reduce((s, p) => s + Number(p.amount), 0), 0)),
+    payouts: { paid: volume(requested, ["paid"]), open: volume(requested, OPEN_WITHDRAWALS), refunded: volume(requested, REFUNDED_WITHDRAWALS) },
+    complaints: store.get("complaints").filter(c => inPeriod(c.ts)).length,
+    byDay,
+    lgas: leaderboard(rows),
+  };
+}
+
+// public counters for the homepage: aggregates only, nothing that identifies a user
+function summary() {
+  const rows = recycled();
+  const totals = totalsOf(rows);
+  const withdrawals = store.get("withdrawals");
+  const complaints = store.get("complaints");
+  return {
+    updatedAt: new Date().toISOString(),
+    users: store.get("users").length,
+    recyclers: new Set(rows.map(r => r.userId)).size,
+    kgRecycled: totals.kg,
+    co2SavedKg: totals.co2,
+    byMaterial: Object.fromEntries(Object.entries(totals.materials).map(([m, t]) => [m, t.kg])),
+    paidToUsers: totals.amount,
+    withdrawnToBanks: volume(withdrawals, ["paid"]).amount,
+    complaints: { reported: complaints.length, resolved: complaints.filter(c => c.status === "resolved").length },
+    topLgas: leaderboard(rows).slice(0, 5).map(({ lga, state, kg }) => ({ lga, state, kg })),
+  };
+}
+
+module.exports = { materialOf, recycled, totalsOf, leaderboard, rankOf, forUser, report, summary };
@@ -0,0 +1,274 @@
+// storage.js
+// Collection store behind every data file (users, withdrawals, transactions, ...).
+// Collections are loaded once at startup and served from memory; each change is queued and
+// persisted per collection, one write at a time, always with the latest snapshot.
+// Backends (STORAGE_BACKEND):
+//   json  - ./data/<name>.json (default). Written to a temp file, fsynced, then renamed over the
+//           original, so a crash mid-write never leaves a half-written file behind.
+//   mongo - one MongoDB document per record through mongoose (needs MONGODB_URI).
+//   memory - plain objects in this process, nothing written to disk (tests; pass it to init()).
+// A data file that exists but cannot be parsed stops startup with a StorageCorruptError instead of
+// being treated as empty. A write that fails is retried with backoff; if it keeps failing the change
+// stays queued and flush()/close() reject with a StorageWriteError, so a shutdown or backup knows.
+const fs = require("fs");
+const path = require("path");
+
+const DATA_DIR = path.resolve(process.env.DATA_DIR || path.join(__dirname, "data"));
+// a failing write is tried this many more times, waiting RETRY_BASE_MS, then twice as long each time
+const WRITE_RETRIES = 4;
+const RETRY_BASE_MS = 250;
+
+class StorageCorruptError extends Error {
+  constructor(name, where, cause) {
+    super(`Collection "${name}" is corrupted (${where}): ${cause.message}. Restore it from a backup or fix it by hand; refusing to start with empty data.`);
+    this.name = "StorageCorruptError";
+    this.collection = name;
+    this.where = where;
+  }
+}
+
+class StorageWriteError extends Error {
+  constructor(name, cause) {
+    super(`Collection "${name}" could not be saved: ${cause.message}. The change is kept in memory and retried on the next write.`);
+    this.name = "StorageWriteError";
+    this.collection = name;
+    this.cause = cause;
+  }
+}
+
+// --- JSON files ---
+function jsonBackend(dir = DATA_DIR) {
+  const file = (name) => path.join(dir, name + ".json");
+  return {
+    kind: "json",
+    async connect() {
+      if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+    },
+    // undefined when the collection has never been written
+    async load(name) {
+      const p = file(name);
+      if (!fs.existsSync(p)) return undefined;
+      const raw = await fs.promises.readFile(p, "utf8");
+      try { return JSON.parse(raw); } catch (e) { throw new StorageCorruptError(name, p, e); }
+    },
+    async save(name, value) {
+      const p = file(name);
+      const tmp = `${p}.${process.pid}.tmp`;
+      const fh = await fs.promises.open(tmp, "w");
+      try {
+        await fh.writeFile(JSON.stringify(value, null, 2));
+        await fh.sync();
+      } finally {
+        await fh.close();
+      }
+      await fs.promises.rename(tmp, p);
+    },
+    async close() {},
+  };
+}
+
+// --- MongoDB (mongoose) ---
+// A collection is a "collections" document { _id: name, type: "array" | "object" } plus one "records"
+// document per element or key { _id: "<name>/<key>", name, key, seq, data }, so no document grows
+// with the collection (MongoDB caps documents at 16 MB). Array elements are keyed by their id when they
+// have one, else by position; seq keeps the order. A save writes only the records that changed since
+// the last load or save and deletes the ones that are gone.
+function toRecords(name, value) {
+  const seen = new Set();
+  const entries = Array.isArray(value)
+    ? value.map((v, i) => {
+      const id = v && (typeof v.id === "string" || typeof v.id === "number") ? String(v.id) : null;
+      const key = id !== null && !seen.has(id) ? id : `#${i}`;
+      seen.add(key);
+      return [key, v === undefined ? null : v];
+    })
+    : Object.entries(value).filter(([, v]) => v !== undefined);
+  return entries.map(([key, data], seq) => ({ _id: `${name}/${key}`, name, key, seq, data }));
+}
+
+function fromRecords(type, records) {
+  const sorted = [...records].sort((a, b) => a.seq - b.seq);
+  return type === "array" ? sorted.map(r => r.data) : Object.fromEntries(sorted.map(r => [r.key, r.data]));
+}
+
+function mongoBackend(uri = process.env.MONGODB_URI) {
+  const mongoose = require("mongoose");
+  const Collection = mongoose.models.Collection || mongoose.model("Collection", new mongoose.Schema({
+    _id: String,
+    type: String,
+    // the whole collection, as written before records existed; moved into records on the next save
+    data: mongoose.Schema.Types.Mixed,
+    updatedAt: Date,
+  }, { versionKey: false, minimize: false }));
+  const Record = mongoose.models.Record || mongoose.model("Record", new mongoose.Schema({
+    _id: String,
+    name: String,
+    key: String,
+    seq: Number,
+    data: mongoose.Schema.Types.Mixed,
+  }, { versionKey: false, minimize: false }).index({ name: 1 }));
+  // name -> Map(record _id -> serialized { seq, data }) as last loaded or saved
+  const saved = new Map();
+  const fingerprint = (r) => JSON.stringify([r.seq, r.data]);
+  return {
+    kind: "mongo",
+    async connect() {
+      if (!uri) throw new Error("MONGODB_URI is required for STORAGE_BACKEND=mongo");
+      await mongoose.connect(uri);
+    },
+    async load(name) {
+      const doc = await Collection.findById(name).lean();
+      if (!doc) return undefined;
+      if (doc.data !== undefined && doc.data !== null) return doc.data;
+      if (doc.type !== "array" && doc.type !== "object") throw new StorageCorruptError(name, `mongo document ${name}`, new Error("missing type"));
+      const records = await Record.find({ name }).lean();
+      const broken = records.find(r => !("data" in r) || typeof r.seq !== "number");
+      if (broken) throw new StorageCorruptError(name, `mongo record ${broken._id}`, new Error("missing data"));
+      saved.set(name, new Map(records.map(r => [r._id, fingerprint(r)])));
+      return fromRecords(doc.type, records);
+    },
+    async save(name, value) {
+      const records = toRecords(name, value);
+      const before = saved.get(name);
+      const after = new Map(records.map(r => [r._id, fingerprint(r)]));
+      // forget what was saved until this write lands, so a failed one is redone in full
+      saved.delete(name);
+      const ops = records.filter(r => !before || before.get(r._id) !== after.get(r._id))
+        .map(r => ({ replaceOne: { filter: { _id: r._id }, replacement: r, upsert: true } }));
+      if (!before) ops.push({ deleteMany: { filter: { name, _id: { $nin: [...after.keys()] } } } });
+      else {
+        const gone = [...before.keys()].filter(id => !after.has(id));
+        if (gone.length) ops.push({ deleteMany: { filter: { _id: { $in: gone } } } });
+      }
+      if (ops.length) await Record.bulkWrite(ops, { ordered: false });
+      await Collection.updateOne({ _id: name }, { $set: { type: Array.isArray(value) ? "array" : "object", updatedAt: new Date() }, $unset: { data: 1 } }, { upsert: true });
+      saved.set(name, after);
+    },
+    async close() { await mongoose.disconnect(); },
+  };
+}
+
+// --- memory (tests) ---
+// `data` maps collection name -> value and can be inspected after writes
+function memoryBackend(data = {}) {
+  return {
+    kind: "memory",
+    data,
+    async connect() {},
+    async load(name) { return clone(data[name]); },
+    async save(name, value) { data[name] = clone(value); },
+    async close() {},
+  };
+}
+
+// --- store ---
+let backend = null;
+const cache = {};
+const queues = {};
+
+const clone = (v) => (v === undefined ? v : structuredClone(v));
+
+// the backend STORAGE_BACKEND asks for
+function defaultBackend() {
+  return (process.env.STORAGE_BACKEND || "json") === "mongo" ? mongoBackend() : jsonBackend();
+}
+
+// load every collection; `collections` maps name -> initial value for collections not yet written
+async function init(collections, opts = {}) {
+  backend = opts.backend || defaultBackend();
+  await backend.connect();
+  for (const [name, initial] of Object.entries(collections)) {
+    const v = await backend.load(name);
+    if (v === undefined) {
+      cache[name] = clone(initial);
+      await backend.save(name, cache[name]);
+    } else {
+      if (Array.isArray(initial) !== Array.isArray(v) || typeof v !== "object" || v === null) {
+        throw new StorageCorruptError(name, backend.kind, new Error(`expected ${Array.isArray(initial) ? "an array" : "an object"}`));
+      }
+      cache[name] = v;
+    }
+  }
+  console.info(`✅ Storage ready (${backend.kind}): ${Object.keys(collections).join(", ")}`);
+}
+
+// a copy of the collection; change it and hand it back with set()
+function get(name) {
+  return clone(view(name));
+}
+
+// the stored collection itself, without copying, for hot read-only paths. Never change it. set()
+// replaces it rather than changing it, so the same value comes back until the collection is written.
+function view(name) {
+  if (!(name in cache)) throw new Error(`unknown collection "${name}" (storage not initialised?)`);
+  return cache[name];
+}
+
+function set(name, value) {
+  if (!(name in cache)) throw new Error(`unknown collection "${name}" (storage not initialised?)`);
+  cache[name] = clone(value);
+  return schedule(name);
+}
+
+// read-modify-write in one synchronous step; fn may mutate the draft or return a new value
+function update(name, fn) {
+  const draft = get(name);
+  const out = fn(draft);
+  set(name, out === undefined ? draft : out);
+  return out === undefined ? draft : out;
+}
+
+// one writer per collection; changes made while a write is in flight are coalesced into the next one
+function schedule(name) {
+  const q = queues[name] || (queues[name] = { running: null, dirty: false });
+  q.dirty = true;
+  if (!q.running) {
+    q.running = drain(name, q);
+    // most callers don't wait for the write; the failure is logged here and reported by flush()
+    q.running.catch(e => console.error(e.message));
+  }
+  return q.running;
+}
+
+async function drain(name, q) {
+  let failures = 0;
+  try {
+    while (q.dirty) {
+      q.dirty = false;
+      try {
+        await backend.save(name, cache[name]);
+        failures = 0;
+      } catch (e) {
+        // the snapshot never landed: keep it queued
+        q.dirty = true;
+        if (++failures > WRITE_RETRIES) throw new StorageWriteError(name, e);
+        console.error(`storage write failed for ${name} (attempt ${failures}), retrying`, e.message);
+        await new Promise(resolve => setTimeout(resolve, RETRY_BASE_MS * 2 ** (failures - 1)));
+      }
+    }
+  } finally {
+    q.running = null;
+  }
+}
+
+// wait for every queued write to land; collections whose writes gave up are tried once more, and the
+// first StorageWriteError is thrown when any of them still fails
+async function flush() {
+  for (const [name, q] of Object.entries(queues)) if (q.dirty && !q.running) schedule(name);
+  const errors = [];
+  let running;
+  while ((running = Object.values(queues).map(q => q.running).filter(Boolean)).length) {
+    for (const r of await Promise.allSettled(running)) if (r.status === "rejected") errors.push(r.reason);
+  }
+  if (errors.length) throw errors[0];
+}
+
+async function close() {
+  try {
+    await flush();
+  } finally {
+    if (backend) await backend.close();
+  }
+}
+
+module.exports = { init, get, view, set, update, flush, close, defaultBackend, jsonBackend, mongoBackend, memoryBackend, toRecords, fromRecords, StorageCorruptError, StorageWriteError, DATA_DIR };
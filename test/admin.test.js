@@ -0,0 +1,188 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { FakeTelegram } = require("./fake-telegram");
+const { ADMIN, startBot, t, register, verifyPhone, fund, balanceOf, until } = require("./setup");
+const config = require("../config");
+const broadcasts = require("../broadcasts");
+const payouts = require("../payouts");
+const risk = require("../risk");
+
+const SUPPORT = 901;
+const DAY = 24 * 60 * 60 * 1000;
+
+// the scheduler and the jobs read this clock, so expiry can be tested without waiting a week
+let clock = Date.now();
+
+let tg, app, store;
+before(async () => {
+  ({ tg, app, store } = await startBot({ now: () => clock }));
+  await register(tg, 1, "ada");
+  await verifyPhone(tg, 1, "+2348031112222");
+  await register(tg, 2, "bo");
+  await tg.say(ADMIN, `/admin addadmin ${SUPPORT} support`);
+});
+after(() => app.stop());
+
+const auditActions = () => store.get("audit").map(e => e.action);
+
+test("a support admin is refused money actions and the refusal is audited", async () => {
+  await tg.say(SUPPORT, "/admin approve wd_1");
+  assert.equal(tg.last(SUPPORT).text, t("admin_forbidden", { role: "support" }));
+  const denied = store.get("audit").filter(e => e.action === "denied").pop();
+  assert.equal(denied.adminId, SUPPORT);
+  await tg.say(1, "/admin jobs");
+  assert.equal(tg.last(1).text, t("admin_not_admin"));
+});
+
+test("settings are changed through /admin settings and validated", async () => {
+  await tg.say(ADMIN, "/admin settings set min_withdraw 500");
+  assert.equal(config.get("min_withdraw"), 500);
+  assert.equal(tg.last(ADMIN).text, t("admin_setting_changed", { key: "min_withdraw", before: "1000", after: "500" }));
+  await tg.say(ADMIN, "/admin settings set min_withdraw lots");
+  assert.match(tg.last(ADMIN).text, /^❌/);
+  assert.equal(tg.last(ADMIN).text, t("admin_setting_error_number", { key: "min_withdraw" }));
+  await tg.say(ADMIN, "/admin settings set default_language yo");
+  assert.equal(tg.last(ADMIN).text, t("admin_setting_error_language_not_offered", { language: "yo", languages: "en" }));
+  assert.equal(config.get("min_withdraw"), 500);
+  await tg.say(SUPPORT, "/admin settings set min_withdraw 1");
+  assert.equal(config.get("min_withdraw"), 500);
+});
+
+test("the audit log records admin actions and its hash chain verifies", async () => {
+  assert.ok(auditActions().includes("admin.add"));
+  assert.ok(auditActions().includes("settings.set"));
+  await tg.say(ADMIN, "/admin audit verify");
+  assert.equal(tg.last(ADMIN).text, t("admin_audit_ok", { count: store.get("audit").length }));
+});
+
+test("a confirmed broadcast reaches active users and marks blocked ones inactive", async () => {
+  tg.fail(2, { error_code: 403, description: "Forbidden: bot was blocked by the user" });
+  await tg.say(ADMIN, "/admin broadcast Collection day is Saturday");
+  const [send] = FakeTelegram.buttons(tg.last(ADMIN));
+  assert.match(send, /^bc_send_/);
+  await tg.tap(ADMIN, send);
+  const b = await until(() => store.get("broadcasts").find(x => x.status === "done"));
+  assert.ok(b);
+  assert.deepEqual(b.counts, { sent: 1, failed: 0, blocked: 1 });
+  assert.equal(tg.last(1).text, t("broadcast", { message: "Collection day is Saturday" }));
+  await tg.settle();
+  assert.ok(tg.last(ADMIN).text.startsWith(`📢 Broadcast ${b.id}: `));
+  assert.ok(store.get("users").find(u => u.id === 2).inactive);
+  await tg.say(ADMIN, "/admin broadcast_status bc_missing");
+  assert.equal(tg.last(ADMIN).text, t("admin_broadcast_not_found", { id: "bc_missing" }));
+  tg.fail(2, null);
+  await tg.say(2, "/balance");
+  assert.equal(store.get("users").find(u => u.id === 2).inactive, null);
+});
+
+test("the balance segment splits users by their ledger balance", () => {
+  assert.deepEqual(broadcasts.audience({ balance: false }).map(u => u.id), [1, 2]);
+  fund(2, 50);
+  assert.deepEqual(broadcasts.audience({ balance: true }).map(u => u.id), [2]);
+  assert.deepEqual(broadcasts.audience({ balance: false, verified: true }).map(u => u.id), [1]);
+});
+
+test("delivery saves its progress in batches, not after every message", async () => {
+  const b = broadcasts.create({ createdBy: ADMIN, message: "Bins go out tonight" });
+  const recipients = Array.from({ length: 45 }, (_, i) => ({ id: 5000 + i, lang: "en" }));
+  store.update("broadcasts", (all) => { Object.assign(all.find(x => x.id === b.id), { status: "queued", recipients }); });
+  const sent = [];
+  const writes = [];
+  const update = store.update;
+  store.update = (name, fn) => { writes.push(name); return update(name, fn); };
+  try {
+    await broadcasts.createSender({ send: async (userId) => { sent.push(userId); }, sleep: async () => {} }).kick();
+  } finally {
+    store.update = update;
+  }
+  assert.equal(sent.length, 45);
+  // sending, two batches of 20 and the final 5
+  assert.equal(writes.filter(name => name === "broadcasts").length, 4);
+  const done = broadcasts.get(b.id);
+  assert.equal(done.status, "done");
+  assert.equal(done.cursor, 45);
+  assert.deepEqual(done.counts, { sent: 45, failed: 0, blocked: 0 });
+});
+
+test("run_job expires week-old withdrawals on the injected clock and refunds them", async () => {
+  fund(1, 2000);
+  await tg.say(1, "/withdraw");
+  await tg.say(1, "800");
+  await tg.say(1, "058 0123456785");
+  await tg.say(1, t("withdraw_confirm_yes"));
+  assert.equal(balanceOf(1), 1200);
+
+  await tg.say(ADMIN, "/admin run_job expire_withdrawals");
+  assert.equal(store.get("withdrawals")[0].status, "pending");
+  clock += 8 * DAY;
+  await tg.say(ADMIN, "/admin run_job expire_withdrawals");
+  assert.equal(store.get("withdrawals")[0].status, "expired");
+  assert.equal(balanceOf(1), 2000);
+  assert.ok(auditActions().includes("withdrawal.expire"));
+
+  await tg.say(ADMIN, "/admin run_job nope");
+  assert.match(tg.last(ADMIN).text, /^❌/);
+});
+
+test("without a payout gateway an admin pays by hand and settles the withdrawal", async () => {
+  await tg.say(1, "/withdraw");
+  await tg.say(1, "600");
+  await tg.say(1, "1");
+  await tg.say(1, t("withdraw_confirm_yes"));
+  const r = store.get("withdrawals").slice(-1)[0];
+  await tg.say(ADMIN, `/admin approve ${r.id}`);
+  await tg.settle();
+  assert.equal(store.get("withdrawals").slice(-1)[0].status, "processing");
+  assert.ok(tg.to(ADMIN).some(m => m.text.includes(`/admin payout_paid ${r.id}`)));
+
+  await tg.say(SUPPORT, `/admin payout_paid ${r.id}`);
+  assert.equal(store.get("withdrawals").slice(-1)[0].status, "processing");
+  await tg.say(ADMIN, `/admin payout_paid ${r.id} sent from GTBank app`);
+  assert.equal(store.get("withdrawals").slice(-1)[0].status, "paid");
+  assert.equal(balanceOf(1), 1400);
+  assert.ok(auditActions().includes("withdrawal.payout_paid"));
+  await tg.say(ADMIN, `/admin payout_failed ${r.id}`);
+  assert.equal(tg.last(ADMIN).text, t("admin_payout_not_manual", { id: r.id, status: "paid" }));
+});
+
+test("PAYOUT_PROVIDER=http without PAYOUT_API_URL is refused rather than falling back to the mock", () => {
+  process.env.PAYOUT_PROVIDER = "http";
+  try {
+    assert.throws(() => payouts.provider(), payouts.PayoutError);
+  } finally {
+    delete process.env.PAYOUT_PROVIDER;
+  }
+  assert.equal(payouts.provider().name, "manual");
+});
+
+test("refused role changes are explained in the admin's language", async () => {
+  await tg.say(ADMIN, `/admin addadmin ${SUPPORT} finance`);
+  assert.equal(tg.last(ADMIN).text, t("admin_role_error_already_admin", { id: SUPPORT, role: "support" }));
+  await tg.say(ADMIN, `/admin role ${SUPPORT} janitor`);
+  assert.equal(tg.last(ADMIN).text, t("admin_role_error_unknown_role", { role: "janitor", roles: "owner, finance, moderator, support" }));
+  await tg.say(ADMIN, `/admin role ${ADMIN} support`);
+  assert.equal(tg.last(ADMIN).text, t("admin_role_error_last_owner_demoted"));
+  await tg.say(ADMIN, "/admin removeadmin 12345");
+  assert.equal(tg.last(ADMIN).text, t("admin_role_error_not_admin", { id: 12345 }));
+});
+
+test("broadcast problems are explained in the admin's language, in replies and button alerts", async () => {
+  await tg.say(ADMIN, "/admin broadcast colour=red Bins go out tonight");
+  assert.equal(tg.last(ADMIN).text, t("admin_broadcast_error_unknown_filter", { key: "colour", keys: broadcasts.SEGMENT_KEYS.join(", ") }));
+  await tg.say(ADMIN, "/admin broadcast_variant bc_missing en Hello");
+  assert.equal(tg.last(ADMIN).text, t("admin_broadcast_error_not_found", { id: "bc_missing" }));
+
+  const done = store.get("broadcasts").find(x => x.status === "done");
+  await tg.tap(ADMIN, `bc_send_${done.id}`);
+  const alert = tg.calls.filter(c => c.method === "answerCallbackQuery").pop();
+  assert.equal(alert.text, t("admin_broadcast_error_already", { id: done.id, status: "done" }));
+});
+
+test("risk flag listeners can be removed again", () => {
+  const seen = [];
+  const off = risk.onFlag((f) => seen.push(f.type));
+  risk.raise(2, "test_flag", "first");
+  off();
+  risk.raise(1, "test_flag", "second");
+  assert.deepEqual(seen, ["test_flag"]);
+});
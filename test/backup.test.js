@@ -0,0 +1,105 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { ADMIN, startBot, t, register, verifyPhone, fund, until } = require("./setup");
+const backup = require("../backup");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "clean9ja-backups-"));
+
+let tg, app, store;
+before(async () => {
+  ({ tg, app, store } = await startBot({ backupDir: dir }));
+  await register(tg, 1, "ada");
+  await verifyPhone(tg, 1, "+2348031112222");
+  fund(1, 500);
+});
+after(async () => {
+  await app.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const lastDocument = () => tg.calls.filter(c => c.method === "sendDocument").pop();
+
+// archives are written through zlib and the file system, which outlast FakeTelegram's settle(),
+// so admin commands here wait for the reply
+async function admin(text) {
+  const sent = tg.to(ADMIN).length;
+  await tg.say(ADMIN, text);
+  await until(() => tg.to(ADMIN).length > sent);
+}
+
+test("/admin backup sends a timestamped, checksummed archive of the money collections", async () => {
+  await admin("/admin backup");
+  const doc = lastDocument();
+  assert.match(doc.fileOpts.filename, /^clean9ja-manual-\d{8}T\d{6}Z\.json\.gz$/);
+  const file = path.join(dir, doc.fileOpts.filename);
+  assert.deepEqual(fs.readFileSync(file), doc.doc);
+  assert.ok(fs.existsSync(`${file}.sha256`));
+
+  const archive = await backup.read(file);
+  assert.deepEqual(Object.keys(archive.collections), backup.COLLECTIONS);
+  assert.equal(archive.counts.users, 1);
+  assert.deepEqual(archive.collections.transactions, store.get("transactions"));
+  assert.deepEqual(backup.validate(archive.collections), []);
+  assert.ok(store.get("audit").some(e => e.action === "backup.create" && e.target === doc.fileOpts.filename));
+});
+
+test("restore replaces the collections and keeps the data it replaced", async () => {
+  const [archive] = backup.list(dir);
+  const data = { users: [], transactions: [], withdrawals: [], complaints: [], waste: [], referrals: [], settings: { min_withdraw: 5 } };
+  const backend = store.memoryBackend(data);
+
+  const dry = await backup.restore(archive.file, { backend, dir, dryRun: true });
+  assert.equal(dry.safety, null);
+  assert.deepEqual(data.users, []);
+
+  const { safety } = await backup.restore(archive.file, { backend, dir });
+  assert.equal(data.users.length, 1);
+  assert.deepEqual(data.transactions, store.get("transactions"));
+  assert.deepEqual(data.settings, { min_withdraw: 5 });
+  assert.equal(safety.reason, "pre-restore");
+  assert.equal((await backup.read(safety.file)).counts.users, 0);
+});
+
+test("archives that were altered or fail the schema are refused", async () => {
+  const transactions = store.get("transactions");
+  transactions[0].postings[0].amount += 1;
+  const bad = await backup.create({ reason: "manual", collections: { ...backup.snapshot(), transactions }, dir });
+  const data = {};
+  await assert.rejects(backup.restore(bad.file, { backend: store.memoryBackend(data), dir }), /does not balance/);
+  assert.deepEqual(data, {});
+
+  const [good] = backup.list(dir).filter(b => b.reason === "manual" && b.name !== bad.name);
+  const body = fs.readFileSync(good.file);
+  body[body.length - 1] ^= 1;
+  fs.writeFileSync(good.file, body);
+  await assert.rejects(backup.read(good.file), /does not match its \.sha256 checksum/);
+});
+
+test("automatic snapshots rotate, keeping backup_keep of them", async () => {
+  await tg.say(ADMIN, "/admin settings set backup_keep 2");
+  for (let i = 0; i < 3; i++) await admin("/admin run_job backup");
+  const all = backup.list(dir);
+  assert.equal(all.filter(b => b.reason === "auto").length, 2);
+  assert.equal(all.filter(b => b.reason === "manual").length, 2);
+  await tg.say(ADMIN, "/admin backups");
+  assert.ok(tg.last(ADMIN).text.includes(all[0].name));
+});
+
+test("/admin export sends the ledger and withdrawals as CSV", async () => {
+  await tg.say(ADMIN, "/admin export transactions");
+  const ledgerCsv = lastDocument().doc.toString();
+  const rows = ledgerCsv.trim().split("\n").slice(1).map(l => l.split(","));
+  assert.equal(rows.length, 2);
+  assert.equal(rows.reduce((sum, r) => sum + Number(r[4]), 0), 0);
+  assert.ok(rows.some(r => r[3] === "user:1" && r[4] === "500.00"));
+
+  await tg.say(ADMIN, "/admin export withdrawals");
+  assert.equal(tg.last(ADMIN).text, t("admin_export_empty"));
+  await tg.say(ADMIN, "/admin export transactions 2001-01-01 2001-12-31");
+  assert.equal(tg.last(ADMIN).text, t("admin_export_empty"));
+  await tg.say(ADMIN, "/admin export users");
+  assert.equal(tg.last(ADMIN).text, t("admin_export_usage"));
+});
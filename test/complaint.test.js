@@ -0,0 +1,94 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ADMIN, startBot, t, register, verifyPhone, balanceOf } = require("./setup");
+
+let tg, app, store;
+before(async () => {
+  ({ tg, app, store } = await startBot());
+  await register(tg, 1, "ada");
+  await verifyPhone(tg, 1, "+2348031112222");
+  await register(tg, 2, "bo");
+  await verifyPhone(tg, 2, "+2348033334444");
+});
+after(() => app.stop());
+
+const PIN = { latitude: 6.5244, longitude: 3.3792 };
+const complaint = (userId) => store.get("complaints").filter(c => c.userId === userId).slice(-1)[0];
+
+async function report(chatId, { photo, location, address }) {
+  await tg.say(chatId, "/complaints");
+  await tg.say(chatId, t("complaint_cat_illegal_dump"));
+  await tg.say(chatId, "Refuse dumped beside the canal again");
+  if (photo) await tg.send(chatId, { photo: [{ file_id: photo, file_unique_id: `u-${photo}` }] });
+  await tg.say(chatId, t("complaint_photos_done"));
+  if (location) await tg.send(chatId, { location });
+  else await tg.say(chatId, address);
+}
+
+test("a report walks through category, description, photos and location", async () => {
+  await report(1, { photo: "dump-1", location: PIN });
+  const c = complaint(1);
+  assert.equal(c.category, "illegal_dump");
+  assert.equal(c.status, "pending");
+  assert.deepEqual(c.photos, ["dump-1"]);
+  assert.deepEqual(c.location, PIN);
+  assert.equal(c.duplicateOf, null);
+  assert.ok(tg.texts(ADMIN).some(text => text.includes(c.id)));
+});
+
+test("approving a report pays the bonus once", async () => {
+  const c = complaint(1);
+  await tg.tap(ADMIN, `complaint_approve_${c.id}`);
+  assert.equal(balanceOf(1), 700);
+  await tg.tap(ADMIN, `complaint_approve_${c.id}`);
+  assert.equal(balanceOf(1), 700);
+});
+
+test("a second report of the same site is flagged and approved without a bonus", async () => {
+  await report(2, { location: { latitude: 6.5245, longitude: 3.3793 } });
+  const c = complaint(2);
+  assert.equal(c.duplicateOf, complaint(1).id);
+  await tg.tap(ADMIN, `complaint_approve_${c.id}`);
+  assert.equal(balanceOf(2), 0);
+  assert.equal(tg.last(2).text, t("complaint_approved_duplicate", { id: c.id, original: complaint(1).id }));
+});
+
+test("the original report gets no bonus when its duplicate was approved first", async () => {
+  await report(1, { location: { latitude: 6.6018, longitude: 3.3515 } });
+  const original = complaint(1);
+  await report(2, { location: { latitude: 6.6019, longitude: 3.3516 } });
+  const duplicate = complaint(2);
+  assert.equal(duplicate.duplicateOf, original.id);
+  await tg.tap(ADMIN, `complaint_approve_${duplicate.id}`);
+  assert.equal(balanceOf(2), 700);
+  await tg.tap(ADMIN, `complaint_approve_${original.id}`);
+  assert.equal(complaint(1).status, "approved");
+  assert.equal(balanceOf(1), 700);
+  assert.equal(tg.last(1).text, t("complaint_approved_duplicate", { id: original.id, original: duplicate.id }));
+});
+
+test("a declined report pays nothing and shows in /mycomplaints", async () => {
+  await report(1, { address: "12 Broad Street, Lagos Island" });
+  const c = complaint(1);
+  await tg.tap(ADMIN, `complaint_decline_${c.id}`);
+  assert.equal(complaint(1).status, "declined");
+  assert.equal(balanceOf(1), 700);
+  await tg.say(1, "/mycomplaints");
+  assert.ok(tg.last(1).text.includes(c.id));
+});
+
+test("short descriptions are sent back", async () => {
+  await tg.say(1, "/complaints");
+  await tg.say(1, t("complaint_cat_other"));
+  await tg.say(1, "dirty");
+  assert.equal(tg.last(1).text, t("complaint_description_short"));
+  await tg.say(1, "/cancel");
+});
+
+test("a status change the complaint can't make is explained to the admin in their language", async () => {
+  const c = complaint(1);
+  await tg.say(ADMIN, `/admin complaint_status ${c.id} resolved`);
+  assert.equal(tg.last(ADMIN).text, t("admin_complaint_error_bad_transition", { id: c.id, from: "declined", to: "resolved" }));
+  await tg.say(ADMIN, "/admin complaint_note cmp_missing checked");
+  assert.equal(tg.last(ADMIN).text, t("admin_complaint_error_not_found", { id: "cmp_missing" }));
+});
@@ -0,0 +1,127 @@
+// test/fake-telegram.js
+// Offline stand-in for node-telegram-bot-api's TelegramBot. It has the methods the app calls, records
+// every outgoing call in `calls` ({ method, chatId, text, opts, ... }) and lets tests script updates:
+//   await tg.say(chatId, "/start")            text message, then wait for the app to finish with it
+//   await tg.send(chatId, { photo: [...] })   any other message fields
+//   await tg.tap(chatId, "send_ok_ab12")      inline button press (callback query)
+// Updates are dispatched the way the library does it: "message" first, then the onText handlers.
+// fail(chatId, { error_code, description, parameters }) makes sendMessage to that chat reject like the
+// Bot API would (403 blocked, 429 with retry_after, ...) until cleared with fail(chatId, null).
+const { EventEmitter } = require("events");
+const { Readable } = require("stream");
+
+class FakeTelegram extends EventEmitter {
+  constructor() {
+    super();
+    this.calls = [];
+    this.textHandlers = [];
+    this.failures = new Map();
+    this.files = new Map();
+    this.polling = false;
+    this.nextMessageId = 1;
+    this.nextUpdateId = 1;
+  }
+
+  // --------------------- the client side the app uses ---------------------
+  onText(regexp, callback) { this.textHandlers.push({ regexp, callback }); }
+
+  record(call) {
+    this.calls.push(call);
+    return { message_id: this.nextMessageId++, chat: { id: call.chatId }, text: call.text };
+  }
+
+  async sendMessage(chatId, text, opts) {
+    const failure = this.failures.get(chatId);
+    if (failure) {
+      const e = new Error(`ETELEGRAM: ${failure.error_code} ${failure.description || ""}`);
+      e.code = "ETELEGRAM";
+      e.response = { statusCode: failure.error_code, body: { ok: false, ...failure } };
+      throw e;
+    }
+    return this.record({ method: "sendMessage", chatId, text, opts });
+  }
+
+  async editMessageText(text, opts) { this.record({ method: "editMessageText", chatId: opts.chat_id, messageId: opts.message_id, text, opts }); return true; }
+  async editMessageReplyMarkup(markup, opts) { this.record({ method: "editMessageReplyMarkup", chatId: opts.chat_id, messageId: opts.message_id, markup }); return true; }
+  async answerCallbackQuery(id, opts = {}) { this.record({ method: "answerCallbackQuery", queryId: id, text: opts.text, opts }); return true; }
+  async sendDocument(chatId, doc, opts, fileOpts) { return this.record({ method: "sendDocument", chatId, doc, text: opts && opts.caption, opts, fileOpts }); }
+  async sendPhoto(chatId, photo, opts) { return this.record({ method: "sendPhoto", chatId, photo, text: opts && opts.caption, opts }); }
+  async sendLocation(chatId, latitude, longitude) { return this.record({ method: "sendLocation", chatId, latitude, longitude }); }
+
+  // photo bytes come from addFile(fileId, buffer); unknown ids get a small fake JPEG
+  getFileStream(fileId) {
+    const jpeg = Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.from(String(fileId).padEnd(32, "x"))]);
+    return Readable.from([this.files.get(fileId) || jpeg]);
+  }
+
+  async getMe() { return { id: 1, is_bot: true, username: "clean9ja_test_bot" }; }
+  async setWebHook() { return true; }
+  async deleteWebHook() { return true; }
+  startPolling() { this.polling = true; }
+  async stopPolling() { this.polling = false; }
+  isPolling() { return this.polling; }
+
+  processUpdate(update) {
+    const message = update.message;
+    if (message) {
+      this.emit("message", message);
+      if (message.text) {
+        for (const { regexp, callback } of this.textHandlers) {
+          const match = regexp.exec(message.text);
+          regexp.lastIndex = 0;
+          if (match) callback(message, match);
+        }
+      }
+    }
+    if (update.callback_query) this.emit("callback_query", update.callback_query);
+  }
+
+  // --------------------- the test side ---------------------
+  addFile(fileId, buffer) { this.files.set(fileId, buffer); }
+  fail(chatId, error) { if (error) this.failures.set(chatId, error); else this.failures.delete(chatId); }
+
+  // a message from chatId; `fields` are merged into it (photo, location, caption, from, ...)
+  async send(chatId, fields = {}) {
+    const { username, ...rest } = fields;
+    this.processUpdate({
+      update_id: this.nextUpdateId++,
+      message: { message_id: this.nextMessageId++, chat: { id: chatId, type: "private" }, from: { id: chatId, username }, date: Math.floor(Date.now() / 1000), ...rest },
+    });
+    await this.settle();
+  }
+
+  async say(chatId, text, fields = {}) { return this.send(chatId, { ...fields, text }); }
+
+  async tap(chatId, data, { messageId = 1, username } = {}) {
+    this.processUpdate({
+      update_id: this.nextUpdateId++,
+      callback_query: { id: `q${this.nextUpdateId}`, from: { id: chatId, username }, message: { message_id: messageId, chat: { id: chatId } }, data },
+    });
+    await this.settle();
+  }
+
+  // wait until the app has stopped making calls (handlers run through several promise/timer turns)
+  async settle() {
+    let quiet = 0;
+    let seen = this.calls.length;
+    for (let i = 0; i < 500 && quiet < 5; i++) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (this.calls.length === seen) quiet++;
+      else { quiet = 0; seen = this.calls.length; }
+    }
+  }
+
+  // messages (sendMessage/sendDocument/...) sent to a chat, oldest first
+  to(chatId) { return this.calls.filter(c => c.chatId === chatId && c.method.startsWith("send")); }
+  last(chatId) { const list = this.to(chatId); return list[list.length - 1] || null; }
+  texts(chatId) { return this.to(chatId).map(c => c.text); }
+  clear() { this.calls = []; }
+
+  // callback_data of the inline buttons on a recorded message
+  static buttons(call) {
+    const rows = (call && call.opts && call.opts.reply_markup && call.opts.reply_markup.inline_keyboard) || [];
+    return rows.flat().map(b => b.callback_data);
+  }
+}
+
+module.exports = { FakeTelegram };
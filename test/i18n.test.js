@@ -0,0 +1,25 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const i18n = require("../i18n");
+const settings = require("../data/settings.json");
+
+// admin_* messages are English-only; everything else a user or collector can see must be translated
+const userKeys = () => i18n.baseKeys().filter(k => !k.startsWith("admin_"));
+const placeholders = (text) => [...text.matchAll(/\{(\w+)\}/g)].map(m => m[1]).sort();
+
+test("every language offered in settings.json has every user-facing message", () => {
+  for (const lang of settings.languages) {
+    assert.deepEqual(userKeys().filter(k => !i18n.has(lang, k)), [], `${lang} is missing messages`);
+  }
+});
+
+test("translations use the same placeholders as English", () => {
+  for (const lang of settings.languages) {
+    const wrong = userKeys().filter(k => JSON.stringify(placeholders(i18n.t(lang, k))) !== JSON.stringify(placeholders(i18n.t("en", k))));
+    assert.deepEqual(wrong, [], `${lang} placeholders differ`);
+  }
+});
+
+test("menu labels never clash between actions", () => {
+  assert.deepEqual(i18n.menuClashes(), []);
+});
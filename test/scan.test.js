@@ -0,0 +1,132 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ADMIN, startBot, t, register, verifyPhone, balanceOf } = require("./setup");
+const config = require("../config");
+const classifier = require("../classifier");
+const pickups = require("../pickups");
+
+let tg, app, store;
+before(async () => {
+  ({ tg, app, store } = await startBot());
+  await register(tg, 1, "ada");
+  await verifyPhone(tg, 1, "+2348031112222");
+});
+after(() => app.stop());
+
+// text of the first reply-keyboard button on the last message to a chat
+const firstButton = (chatId) => tg.last(chatId).opts.reply_markup.keyboard[0][0].text;
+
+test("a scanned photo is priced and accepted into a drop-off order", async () => {
+  await tg.say(1, "/scan");
+  await tg.send(1, { photo: [{ file_id: "photo-1", file_unique_id: "u-photo-1" }], caption: "2kg plastic bottles" });
+  const accept = firstButton(1);
+  assert.match(accept, /₦/);
+  await tg.say(1, accept);
+  await tg.say(1, t("scan_dropoff"));
+  const [order] = store.get("pickups");
+  assert.equal(order.userId, 1);
+  assert.equal(order.status, "requested");
+  assert.equal(order.method, "dropoff");
+  assert.equal(store.get("waste")[0].outcome, "accepted");
+  assert.equal(balanceOf(1), 0);
+});
+
+test("the same photo cannot be scanned twice", async () => {
+  await tg.say(1, "/scan");
+  await tg.send(1, { photo: [{ file_id: "photo-2", file_unique_id: "u-photo-1" }], caption: "2kg plastic bottles" });
+  assert.equal(tg.last(1).text, t("scan_duplicate"));
+  assert.equal(store.get("pickups").length, 1);
+});
+
+test("the order is paid once collected and weighed", async () => {
+  const [order] = store.get("pickups");
+  await tg.say(ADMIN, `/admin assign ${order.id} ${ADMIN}`);
+  await tg.say(ADMIN, `/admin collected ${order.id}`);
+  await tg.say(ADMIN, `/admin confirm ${order.id} 2`);
+  const paid = store.get("pickups")[0];
+  assert.equal(paid.status, "credited");
+  assert.ok(paid.finalAmount > 0);
+  assert.equal(balanceOf(1), paid.finalAmount);
+});
+
+test("a weight typed in the caption is capped and nothing is paid before weighing", async () => {
+  await tg.say(1, "/scan");
+  await tg.send(1, { photo: [{ file_id: "photo-3", file_unique_id: "u-photo-3" }], caption: "5000kg plastic bottles" });
+  const scan = store.get("waste").pop();
+  assert.equal(scan.kg, 10);
+  assert.equal(scan.classification.kgClaimed, true);
+  const before = balanceOf(1);
+  await tg.say(1, firstButton(1));
+  await tg.say(1, t("scan_dropoff"));
+  const order = store.get("pickups").pop();
+  assert.equal(order.estimatedKg, 10);
+  assert.equal(order.kgClaimed, true);
+  assert.equal(order.status, "requested");
+  assert.equal(balanceOf(1), before);
+  await tg.settle();
+  assert.ok(tg.last(ADMIN).text.includes(`~10 kg${t("pickup_kg_claimed")}`));
+
+  await tg.say(ADMIN, `/admin assign ${order.id} ${ADMIN}`);
+  assert.ok(tg.texts(ADMIN).some(text => text.startsWith(`🚚 New pickup job ${order.id}`) && text.includes(t("pickup_kg_claimed"))));
+});
+
+test("the classifier caps a claimed weight at the max_scan_kg setting", async () => {
+  const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10, 0x4a, 0x46, 0x49, 0x46, 0, 1]);
+  config.set("max_scan_kg", 25);
+  try {
+    const result = await classifier.heuristicClassifier().classify({ buffer: jpeg, caption: "40kg scrap metal" });
+    assert.deepEqual([result.material, result.estimatedKg, result.kgClaimed], ["metal", 25, true]);
+  } finally {
+    config.set("max_scan_kg", 10);
+  }
+});
+
+test("a photo without a caption keyword is only a guess and is not offered a price", async () => {
+  await tg.say(1, "/scan");
+  await tg.send(1, { photo: [{ file_id: "photo-4", file_unique_id: "u-photo-4" }] });
+  assert.equal(tg.last(1).text, t("scan_unrecognised"));
+  const scan = store.get("waste").pop();
+  assert.equal(scan.outcome, "unrecognised");
+  assert.ok(scan.classification.confidence < config.get("scan_min_confidence"));
+});
+
+test("online scanning without a CLASSIFIER_URL is unavailable unless offline scanning is on", async () => {
+  config.set("offline_scanning", false);
+  try {
+    await tg.say(1, "/scan");
+    assert.equal(tg.last(1).text, t("scan_disabled"));
+  } finally {
+    config.set("offline_scanning", true);
+  }
+});
+
+test("a pickup step that isn't allowed is explained in the actor's language", async () => {
+  const [paid] = store.get("pickups");
+  await tg.say(ADMIN, `/admin collected ${paid.id}`);
+  assert.equal(tg.last(ADMIN).text, t("pickup_error_bad_transition", { id: paid.id, from: "credited", to: "collected" }));
+
+  const open = store.get("pickups").pop();
+  await tg.say(ADMIN, `/admin assign ${open.id} ${ADMIN}`);
+  await tg.say(ADMIN, `/admin collected ${open.id}`);
+  await tg.say(ADMIN, `/admin confirm ${open.id}`);
+  assert.equal(tg.last(ADMIN).text, t("pickup_error_not_weighed", { id: open.id, status: "collected" }));
+});
+
+test("confirm with a weight pays nothing when the weight can't be recorded", async () => {
+  const open = store.get("pickups").pop();
+  assert.equal(open.status, "collected");
+  const before = balanceOf(1);
+  const transition = pickups.transition;
+  pickups.transition = (id, to, opts) => {
+    if (to === "weighed") throw new pickups.PickupError("bad_transition", { id, from: "collected", to });
+    return transition(id, to, opts);
+  };
+  try {
+    await tg.say(ADMIN, `/admin confirm ${open.id} 3`);
+  } finally {
+    pickups.transition = transition;
+  }
+  assert.equal(tg.last(ADMIN).text, t("pickup_error_bad_transition", { id: open.id, from: "collected", to: "weighed" }));
+  assert.equal(store.get("pickups").pop().status, "collected");
+  assert.equal(balanceOf(1), before);
+});
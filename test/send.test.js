@@ -0,0 +1,62 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { FakeTelegram } = require("./fake-telegram");
+const { startBot, t, register, verifyPhone, fund, balanceOf } = require("./setup");
+
+let tg, app, store;
+before(async () => {
+  ({ tg, app, store } = await startBot());
+  await register(tg, 1, "ada");
+  await verifyPhone(tg, 1, "+2348031112222");
+  await register(tg, 2, "bo");
+  await verifyPhone(tg, 2, "+2348033334444");
+  fund(1, 200);
+});
+after(() => app.stop());
+
+// the send_ok_/send_no_ callback data on the last confirmation shown to a chat
+const confirmButtons = (chatId) => FakeTelegram.buttons(tg.last(chatId));
+
+test("a transfer waits for the confirm button, then moves the money with receipts", async () => {
+  await tg.say(1, "/send");
+  await tg.say(1, "@bo 50 lunch");
+  const [ok] = confirmButtons(1);
+  assert.match(ok, /^send_ok_/);
+  assert.equal(balanceOf(1), 200);
+
+  await tg.tap(1, ok);
+  assert.equal(balanceOf(1), 150);
+  assert.equal(balanceOf(2), 50);
+  const [transfer] = store.get("transactions").filter(e => e.type === "transfer");
+  assert.equal(transfer.memo, "lunch");
+  assert.ok(tg.last(1).text.includes(transfer.id));
+  assert.ok(tg.last(2).text.includes(transfer.id));
+});
+
+test("a recipient can be named by phone number", async () => {
+  await tg.say(1, "/send");
+  await tg.say(1, "0803 333 4444 10");
+  await tg.tap(1, confirmButtons(1)[0]);
+  assert.equal(balanceOf(2), 60);
+});
+
+test("cancel and stale buttons send nothing", async () => {
+  await tg.say(1, "/send");
+  await tg.say(1, "@bo 5");
+  const [ok, no] = confirmButtons(1);
+  await tg.tap(1, no);
+  await tg.tap(1, ok);
+  const alert = tg.calls.filter(c => c.method === "answerCallbackQuery").pop();
+  assert.equal(alert.text, t("send_expired"));
+  assert.equal(balanceOf(1), 140);
+});
+
+test("transfers beyond the balance or to yourself are refused", async () => {
+  await tg.say(1, "/send");
+  await tg.say(1, "@bo 1000");
+  assert.equal(tg.last(1).text, t("insufficient_balance"));
+  await tg.say(1, "/send");
+  await tg.say(1, "@ada 5");
+  assert.equal(tg.last(1).text, t("send_self"));
+  assert.equal(balanceOf(1), 140);
+});
@@ -0,0 +1,51 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { createSupervisor } = require("../server");
+
+// a bot child that exits on the next tick when signalled
+function fakeSpawn() {
+  const spawned = [];
+  const spawnFn = () => {
+    const child = new EventEmitter();
+    child.pid = 1000 + spawned.length;
+    child.stdout = new EventEmitter();
+    child.stderr = new EventEmitter();
+    child.kill = (signal) => setImmediate(() => child.emit("exit", null, signal));
+    spawned.push(child);
+    return child;
+  };
+  return { spawned, spawnFn };
+}
+
+const quiet = { log() {}, error() {} };
+
+test("restarts that overlap share one stop and one new child", async () => {
+  const { spawned, spawnFn } = fakeSpawn();
+  const supervisor = createSupervisor({ spawnFn, log: quiet });
+  supervisor.start();
+  await Promise.all([supervisor.restart(), supervisor.restart()]);
+  assert.equal(spawned.length, 2);
+  assert.equal(supervisor.status().pid, spawned[1].pid);
+  assert.equal(supervisor.status().restarts, 1);
+
+  supervisor.start();
+  assert.equal(spawned.length, 2);
+  await supervisor.stop();
+  assert.equal(supervisor.status().state, "stopped");
+});
+
+test("a shutdown during a restart leaves the bot stopped", async () => {
+  const { spawned, spawnFn } = fakeSpawn();
+  const supervisor = createSupervisor({ spawnFn, log: quiet });
+  supervisor.start();
+  const restarting = supervisor.restart();
+  await supervisor.shutdown();
+  await restarting;
+  assert.equal(spawned.length, 1);
+  assert.equal(supervisor.status().state, "stopped");
+  assert.equal(supervisor.status().pid, null);
+
+  supervisor.start();
+  assert.equal(spawned.length, 1);
+});
@@ -0,0 +1,58 @@
+// test/setup.js
+// Runs the whole bot offline for one test file: in-memory storage, the fake Telegram client and the
+// mock OTP service (mock-twilio.js). Storage and settings are process-wide, so each test file starts
+// one bot and its tests run against it in order (node --test gives every file its own process).
+const { createApp } = require("../app");
+const store = require("../storage");
+const ledger = require("../ledger");
+const i18n = require("../i18n");
+const verify = require("../verify");
+const { FakeTelegram } = require("./fake-telegram");
+
+const ADMIN = 900;
+
+// options go to createApp (port, now, ...)
+async function startBot(options = {}) {
+  const tg = new FakeTelegram();
+  // there is no CLASSIFIER_URL offline, so scans need the offline heuristic
+  const backend = store.memoryBackend({ settings: { offline_scanning: true } });
+  const app = createApp({ bot: tg, storage: backend, port: null, polling: false, initAdminId: ADMIN, ...options });
+  await app.start();
+  return { tg, app, store, data: backend.data };
+}
+
+const t = (key, vars) => i18n.t("en", key, vars);
+
+// /start, pick English
+async function register(tg, chatId, username) {
+  await tg.say(chatId, "/start", { username });
+  await tg.tap(chatId, "lang_en", { username });
+}
+
+// the code mock-twilio.js "sent" to a phone
+const otpFor = (phone) => (store.get("otp_store")[phone] || {}).code;
+
+async function verifyPhone(tg, chatId, phone) {
+  await tg.say(chatId, "/verify");
+  await tg.say(chatId, phone);
+  await tg.say(chatId, otpFor(verify.normalizePhone(phone)));
+}
+
+// money into a user's wallet as if a pickup had been paid
+function fund(userId, amount) {
+  ledger.transfer({ type: "scan_credit", from: ledger.ACCOUNTS.SCAN_REWARDS, to: ledger.userAccount(userId), amount, note: "test funding" });
+}
+
+const balanceOf = (userId) => ledger.balanceOf(ledger.userAccount(userId));
+
+// poll `check` until it returns something truthy (for work that finishes after an HTTP round trip)
+async function until(check, timeoutMs = 3000) {
+  const end = Date.now() + timeoutMs;
+  for (;;) {
+    const v = check();
+    if (v || Date.now() > end) return v;
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+module.exports = { ADMIN, startBot, t, register, otpFor, verifyPhone, fund, balanceOf, until };
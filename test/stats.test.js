@@ -0,0 +1,99 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ADMIN, startBot, t, register, verifyPhone, fund } = require("./setup");
+
+let tg, app, store;
+before(async () => {
+  // /api/stats is served by the bot's Express app, so this bot listens
+  ({ tg, app, store } = await startBot({ port: 0 }));
+  await register(tg, 1, "ada");
+  await verifyPhone(tg, 1, "+2348031112222");
+  await register(tg, 2, "bola");
+  await verifyPhone(tg, 2, "+2348031113333");
+});
+after(() => app.stop());
+
+// scan a photo, book a pickup at `address` and have it collected and paid for `kg`
+async function recycle(chatId, caption, address, kg) {
+  await tg.say(chatId, "/scan");
+  await tg.send(chatId, { photo: [{ file_id: `photo-${caption}`, file_unique_id: `u-${chatId}-${caption}` }], caption });
+  await tg.say(chatId, tg.last(chatId).opts.reply_markup.keyboard[0][0].text);
+  await tg.say(chatId, address);
+  const order = store.get("pickups").pop();
+  await tg.say(ADMIN, `/admin assign ${order.id} ${ADMIN}`);
+  await tg.say(ADMIN, `/admin collected ${order.id}`);
+  await tg.say(ADMIN, `/admin confirm ${order.id} ${kg}`);
+  return store.get("pickups").find(p => p.id === order.id);
+}
+
+test("/stats shows kg per material, earnings and the CO₂ saved", async () => {
+  await tg.say(1, "/stats");
+  assert.equal(tg.last(1).text, t("stats_empty", { menu_scan: t("menu_scan") }));
+
+  const plastic = await recycle(1, "2kg plastic bottles", "5 Admiralty Way, Lekki, Eti-Osa", 2);
+  const metal = await recycle(1, "1kg metal cans", "5 Admiralty Way, Lekki, Eti-Osa", 1.5);
+  assert.equal(plastic.lga, "Eti-Osa");
+  assert.equal(metal.status, "credited");
+
+  await tg.say(1, "/stats");
+  const text = tg.last(1).text;
+  assert.match(text, /Recycled: 3\.5 kg in 2 paid scans/);
+  assert.ok(text.includes(`Plastic Bottle: 2 kg (₦${plastic.finalAmount.toFixed(2)})`));
+  assert.ok(text.includes("Metal Can: 1.5 kg"));
+  // default factors: plastic 1.5, metal 4 kg CO₂ per kg
+  assert.match(text, /CO₂ saved: about 9 kg/);
+  assert.ok(text.includes(`Earned: ₦${(plastic.finalAmount + metal.finalAmount).toFixed(2)}`));
+  assert.ok(text.includes(t("stats_rank", { rank: 1, of: 1, lga: "Eti-Osa" })));
+});
+
+test("/leaderboard ranks LGAs by kg and shows the user's place in theirs", async () => {
+  await recycle(2, "5kg plastic bottles", "Allen Avenue, Ikeja", 5);
+  await recycle(2, "1kg plastic sachets", "Admiralty Way, Eti-Osa", 1);
+
+  await tg.say(1, "/leaderboard");
+  const lines = tg.last(1).text.split("\n");
+  assert.match(lines[1], /^1\. Ikeja \(Lagos\) - 5 kg, 1 ♻️$/);
+  assert.match(lines[2], /^2\. Eti-Osa \(Lagos\) - 4\.5 kg, 2 ♻️$/);
+  assert.ok(tg.last(1).text.includes(t("stats_rank", { rank: 1, of: 2, lga: "Eti-Osa" })));
+  assert.ok(!tg.last(1).text.includes("bola"));
+
+  await tg.say(2, "/leaderboard");
+  assert.ok(tg.last(2).text.includes(t("stats_rank", { rank: 2, of: 2, lga: "Eti-Osa" })));
+});
+
+test("/admin stats reports totals by day, material and LGA, with payout volume", async () => {
+  await tg.say(ADMIN, "/admin stats");
+  const text = tg.last(ADMIN).text;
+  const today = new Date().toISOString().slice(0, 10);
+  assert.match(text, /Last 7 days/);
+  assert.match(text, /Recycled: 9\.5 kg in 4 paid scans/);
+  assert.match(text, new RegExp(`${today}: 9\\.5 kg / ₦`));
+  assert.match(text, /Plastic Bottle: 8 kg/);
+  assert.match(text, /1\. Ikeja - 5 kg, recyclers: 1/);
+  assert.match(text, /paid 0 \(₦0\.00\)/);
+
+  await tg.say(ADMIN, "/admin stats 500");
+  assert.equal(tg.last(ADMIN).text, t("admin_stats_usage"));
+  await tg.say(ADMIN, "/admin addadmin 2 support");
+  await tg.say(2, "/admin stats 30");
+  assert.match(tg.last(2).text, /Last 30 days/);
+});
+
+test("GET /api/stats serves aggregate counters to the homepage", async () => {
+  fund(1, 100);
+  const res = await fetch(`http://127.0.0.1:${app.address().port}/api/stats`);
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("access-control-allow-origin"), "*");
+  const body = await res.json();
+  assert.equal(body.users, 2);
+  assert.equal(body.recyclers, 2);
+  assert.equal(body.kgRecycled, 9.5);
+  // 8 kg plastic × 1.5 + 1.5 kg metal × 4
+  assert.equal(body.co2SavedKg, 18);
+  assert.deepEqual(body.byMaterial, { plastic: 8, metal: 1.5, other: 0 });
+  assert.deepEqual(body.topLgas.map(l => l.lga), ["Ikeja", "Eti-Osa"]);
+  assert.ok(!JSON.stringify(body).includes("ada"));
+
+  const page = await (await fetch(`http://127.0.0.1:${app.address().port}/`)).text();
+  assert.match(page, /<meta name="clean9ja-stats-url" content="\/api\/stats" \/>/);
+});
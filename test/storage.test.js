@@ -0,0 +1,52 @@
+const { test, before } = require("node:test");
+const assert = require("node:assert/strict");
+const store = require("../storage");
+
+// a memory backend whose next `failures` saves throw
+const data = {};
+const backend = store.memoryBackend(data);
+const save = backend.save;
+let failures = 0;
+backend.save = async (name, value) => {
+  if (failures > 0) { failures--; throw new Error("ENOSPC: no space left on device"); }
+  return save(name, value);
+};
+
+before(() => store.init({ users: [] }, { backend }));
+
+test("a failed write is retried until it lands", async () => {
+  failures = 2;
+  store.set("users", [{ id: 1 }]);
+  await store.flush();
+  assert.deepEqual(data.users, [{ id: 1 }]);
+});
+
+test("flush rejects while writes keep failing, and the change stays queued", async () => {
+  failures = Infinity;
+  store.set("users", [{ id: 1 }, { id: 2 }]);
+  await assert.rejects(store.flush(), (e) => e instanceof store.StorageWriteError && e.collection === "users" && /ENOSPC/.test(e.message));
+  assert.deepEqual(data.users, [{ id: 1 }]);
+
+  failures = 0;
+  await store.close();
+  assert.deepEqual(data.users, [{ id: 1 }, { id: 2 }]);
+});
+
+test("view hands out the stored collection until the next write replaces it", () => {
+  const seen = store.view("users");
+  assert.equal(store.view("users"), seen);
+  assert.notEqual(store.get("users"), seen);
+  store.update("users", users => { users.push({ id: 3 }); });
+  assert.notEqual(store.view("users"), seen);
+  assert.equal(seen.length, 2);
+});
+
+test("mongo records: one per element keyed by id (position when missing or repeated), order kept", () => {
+  const value = [{ id: "tx_b" }, { id: 7 }, { note: "no id" }, { id: "tx_b", dup: true }];
+  const records = store.toRecords("transactions", value);
+  assert.deepEqual(records.map(r => r._id), ["transactions/tx_b", "transactions/7", "transactions/#2", "transactions/#3"]);
+  assert.deepEqual(store.fromRecords("array", [...records].reverse()), value);
+
+  const settings = { min_withdraw: 5, languages: ["en"] };
+  assert.deepEqual(store.fromRecords("object", store.toRecords("settings", settings)), settings);
+});
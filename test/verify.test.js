@@ -0,0 +1,46 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startBot, t, register, otpFor, verifyPhone } = require("./setup");
+
+let tg, app, store;
+before(async () => { ({ tg, app, store } = await startBot()); });
+after(() => app.stop());
+
+const user = (id) => store.get("users").find(u => u.id === id);
+
+test("/start registers the user and the language button sets their language", async () => {
+  await tg.say(1, "/start", { username: "ada" });
+  assert.equal(user(1).username, "ada");
+  await tg.tap(1, "lang_en", { username: "ada" });
+  assert.equal(user(1).lang, "en");
+  assert.equal(user(1).verified, false);
+  assert.ok(tg.texts(1).includes(t("welcome")));
+});
+
+test("a local number is normalized and verified with the mocked code", async () => {
+  await verifyPhone(tg, 1, "0803 111 2222");
+  assert.equal(user(1).verified, true);
+  assert.equal(user(1).phone, "+2348031112222");
+});
+
+test("a phone verified on one account cannot verify another", async () => {
+  await register(tg, 2, "bo");
+  await tg.say(2, "/verify");
+  await tg.say(2, "+2348031112222");
+  assert.equal(otpFor("+2348031112222"), undefined);
+  assert.equal(user(2).verified, false);
+  assert.equal(tg.last(2).text, t("verify_phone_taken"));
+});
+
+test("wrong codes count down and then lock verification", async () => {
+  await tg.say(2, "+2348035556666");
+  const code = otpFor("+2348035556666");
+  const wrong = code === "000000" ? "111111" : "000000";
+  await tg.say(2, wrong);
+  assert.equal(store.get("otp_limits")[2].wrong, 1);
+  for (let i = 0; i < 4; i++) await tg.say(2, wrong);
+  assert.ok(store.get("otp_limits")[2].lockedUntil);
+  await tg.say(2, "/verify");
+  assert.equal(user(2).verified, false);
+  assert.equal(tg.last(2).text, t("verify_locked", { minutes: 30 }));
+});
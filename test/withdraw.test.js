@@ -0,0 +1,99 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ADMIN, startBot, t, register, verifyPhone, fund, balanceOf, until } = require("./setup");
+const ledger = require("../ledger");
+
+let tg, app, store;
+before(async () => {
+  // the mock payout gateway settles with a signed callback to our own /payouts/webhook, so this bot listens
+  process.env.PAYOUT_PROVIDER = "mock";
+  ({ tg, app, store } = await startBot({ port: 0 }));
+  process.env.PAYOUT_CALLBACK_URL = `http://127.0.0.1:${app.address().port}/payouts/webhook`;
+  process.env.PAYOUT_MOCK_DELAY_MS = "10";
+  await register(tg, 1, "ada");
+  await verifyPhone(tg, 1, "+2348031112222");
+  fund(1, 5000);
+});
+after(() => app.stop());
+
+const withdrawal = () => store.get("withdrawals").slice(-1)[0];
+
+async function requestWithdrawal(amount, account) {
+  await tg.say(1, "/withdraw");
+  await tg.say(1, String(amount));
+  await tg.say(1, account);
+  await tg.say(1, t("withdraw_confirm_yes"));
+}
+
+test("a confirmed withdrawal holds the funds until an admin approves, then pays out", async () => {
+  await requestWithdrawal(2000, "058 0123456785");
+  const r = withdrawal();
+  assert.equal(r.status, "pending");
+  assert.equal(r.destination.bankName, "GTBank");
+  assert.equal(balanceOf(1), 3000);
+  assert.equal(ledger.balanceOf(ledger.ACCOUNTS.WITHDRAWALS_PENDING), 2000);
+  assert.equal(store.get("destinations").length, 1);
+
+  await tg.tap(ADMIN, `withdraw_approve_${r.id}`);
+  assert.equal(await until(() => withdrawal().status === "paid"), true);
+  assert.equal(ledger.balanceOf(ledger.ACCOUNTS.WITHDRAWALS_PENDING), 0);
+  await tg.settle();
+  assert.ok(tg.last(1).text.includes(r.id));
+});
+
+test("bad account numbers and amounts under the minimum are refused", async () => {
+  await tg.say(1, "/withdraw");
+  await tg.say(1, "10");
+  assert.equal(tg.last(1).text, t("min_withdraw", { min: 1000 }));
+  await tg.say(1, "1000");
+  await tg.say(1, t("withdraw_new_account"));
+  await tg.say(1, "058 123");
+  assert.equal(tg.last(1).text, t("withdraw_account_invalid"));
+  await tg.say(1, "058 0123456789");
+  assert.equal(tg.last(1).text, t("destination_nuban_invalid"));
+  // a mobile wallet has to be the user's own verified number
+  await tg.say(1, "999992 08039998888");
+  assert.equal(tg.last(1).text, t("destination_wallet_not_owner", { phone: "+2348031112222" }));
+  await tg.say(1, "999992 08031112222");
+  assert.match(tg.last(1).text, /OPay 08031112222/);
+  await tg.say(1, "/cancel");
+  assert.equal(balanceOf(1), 3000);
+});
+
+test("a mobile wallet is refused until the user has verified their phone", async () => {
+  await register(tg, 3, "chidi");
+  await tg.say(3, "/addaccount");
+  await tg.say(3, "999992 08031112222");
+  assert.equal(tg.last(3).text, t("destination_wallet_unverified"));
+});
+
+test("a declined withdrawal is refunded", async () => {
+  await tg.say(1, "/withdraw");
+  await tg.say(1, "1000");
+  await tg.say(1, "1");
+  await tg.say(1, t("withdraw_confirm_yes"));
+  const r = withdrawal();
+  assert.equal(r.destination.accountNumber, "0123456785");
+  assert.equal(balanceOf(1), 2000);
+  await tg.tap(ADMIN, `withdraw_decline_${r.id}`);
+  assert.equal(withdrawal().status, "declined");
+  assert.equal(balanceOf(1), 3000);
+});
+
+test("a payout the bank rejects is refunded automatically", async () => {
+  await tg.say(1, "/withdraw");
+  await tg.say(1, "1500");
+  await tg.say(1, t("withdraw_new_account"));
+  await tg.say(1, "058 0000123456");
+  await tg.say(1, t("withdraw_confirm_yes"));
+  const r = withdrawal();
+  await tg.tap(ADMIN, `withdraw_approve_${r.id}`);
+  assert.equal(await until(() => withdrawal().status === "failed"), true);
+  assert.equal(balanceOf(1), 3000);
+});
+
+test("a fourth withdrawal in a day is stopped by the risk limit", async () => {
+  await tg.say(1, "/withdraw");
+  assert.equal(tg.last(1).text, t("risk_daily_count", { limit: 3 }));
+  assert.equal(store.get("withdrawals").length, 3);
+});
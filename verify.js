@@ -0,0 +1,189 @@
+// verify.js
+// Phone verification by one-time code. A provider delivers and checks the codes:
+//   name
+//   send(phone)        -> { sid }                          (throws when the code could not be sent)
+//   check(phone, code) -> { success, reason }              reason: approved | wrong_code | expired | no_otp | max_attempts
+// twilioProvider() uses Twilio Verify (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_VERIFY_SID) and is picked
+// when settings.twilio_enabled is on and the credentials are set; otherwise mock-twilio.js is used.
+// On top of the provider this module keeps the rules, whatever delivers the codes:
+//   - phones are normalized to E.164 (+234…; local Nigerian 080…/070…/090… numbers are accepted)
+//   - a phone can be the verified number of one account only
+//   - otp_resend_seconds between codes, at most otp_max_sends_per_hour codes per chat and per phone
+//   - otp_max_attempts wrong codes lock the chat out of verification for otp_lockout_minutes
+// Per-chat counters live in the "otp_limits" collection (./data/otp_limits.json).
+const store = require("./storage");
+const config = require("./config");
+const mockProvider = require("./mock-twilio");
+
+const DEFAULT_COUNTRY = "234";
+const HOUR_MS = 60 * 60 * 1000;
+
+// code is one of: invalid_phone, phone_taken, cooldown, too_many_sends, locked, invalid_code
+class VerifyError extends Error {
+  constructor(code, vars = {}) {
+    super(code);
+    this.name = "VerifyError";
+    this.code = code;
+    this.vars = vars;
+  }
+}
+
+// --------------------- providers ---------------------
+function twilioProvider({
+  accountSid = process.env.TWILIO_ACCOUNT_SID || process.env.TWILIO_SID,
+  authToken = process.env.TWILIO_AUTH_TOKEN || process.env.TWILIO_AUTH,
+  serviceSid = process.env.TWILIO_VERIFY_SID,
+} = {}) {
+  if (!accountSid || !authToken || !serviceSid) return null;
+  const client = require("twilio")(accountSid, authToken);
+  const service = () => client.verify.v2.services(serviceSid);
+  return {
+    name: "twilio",
+    async send(phone) {
+      const res = await service().verifications.create({ to: phone, channel: "sms" });
+      return { sid: res.sid };
+    },
+    async check(phone, code) {
+      try {
+        const res = await service().verificationChecks.create({ to: phone, code });
+        return { success: res.status === "approved", reason: res.status === "approved" ? "approved" : "wrong_code" };
+      } catch (e) {
+        // 404: no pending verification (expired, already used or too many attempts)
+        if (e.status === 404) return { success: false, reason: "expired" };
+        throw e;
+      }
+    },
+  };
+}
+
+let twilio;
+function twilioConfigured() {
+  if (twilio === undefined) {
+    try {
+      twilio = twilioProvider();
+    } catch (e) {
+      console.warn("⚠ Twilio Verify could not be set up:", e.message);
+      twilio = null;
+    }
+  }
+  return !!twilio;
+}
+
+// settings.twilio_enabled switches between Twilio and the mock at runtime
+function provider() {
+  if (config.get("twilio_enabled") && twilioConfigured()) return twilio;
+  return mockProvider;
+}
+
+// --------------------- phone numbers ---------------------
+// "+234 803 123 4567", "08031234567", "2348031234567", "00234…" -> "+2348031234567"; null when it isn't a phone number
+function normalizePhone(input) {
+  let s = String(input || "").trim().replace(/[\s\-().]/g, "");
+  if (s.startsWith("00")) s = `+${s.slice(2)}`;
+  if (/^0\d{10}$/.test(s)) s = `+${DEFAULT_COUNTRY}${s.slice(1)}`;
+  else if (/^\d+$/.test(s) && s.startsWith(DEFAULT_COUNTRY)) s = `+${s}`;
+  if (!/^\+[1-9]\d{7,14}$/.test(s)) return null;
+  // Nigerian numbers: 10 digits after the country code, without the trunk 0
+  if (s.startsWith(`+${DEFAULT_COUNTRY}`) && !/^\+234[789]\d{9}$/.test(s)) return null;
+  return s;
+}
+
+// the other account this phone is verified on, if any
+function phoneOwner(phone, exceptId) {
+  return store.get("users").find(u => u.id !== exceptId && u.verified && normalizePhone(u.phone) === phone) || null;
+}
+
+// verification older than verification_days (0 = never expires) has to be redone
+function isCurrent(user, now = Date.now()) {
+  if (!user || !user.verified) return false;
+  const days = config.get("verification_days");
+  if (!days || !user.verifiedAt) return true;
+  return Date.parse(user.verifiedAt) > now - days * 24 * HOUR_MS;
+}
+
+function isExpired(user, now = Date.now()) { return !!(user && user.verified) && !isCurrent(user, now); }
+
+// --------------------- limits ---------------------
+const limitsOf = (chatId) => store.get("otp_limits")[chatId] || { sends: [], wrong: 0, lockedUntil: null };
+
+function updateLimits(chatId, fn) {
+  store.update("otp_limits", (all) => {
+    const l = all[chatId] || { sends: [], wrong: 0, lockedUntil: null };
+    l.sends = l.sends.filter(s => Date.parse(s.ts) > Date.now() - HOUR_MS);
+    fn(l);
+    all[chatId] = l;
+  });
+}
+
+// minutes left on a lockout, or 0
+function lockedFor(chatId) {
+  const l = limitsOf(chatId);
+  const left = l.lockedUntil ? Date.parse(l.lockedUntil) - Date.now() : 0;
+  return left > 0 ? Math.ceil(left / 60000) : 0;
+}
+
+function checkCanSend(chatId, phone) {
+  const minutes = lockedFor(chatId);
+  if (minutes) throw new VerifyError("locked", { minutes });
+  const hourAgo = Date.now() - HOUR_MS;
+  const mine = limitsOf(chatId).sends.filter(s => Date.parse(s.ts) > hourAgo);
+  const last = mine[mine.length - 1];
+  const wait = last ? Math.ceil((Date.parse(last.ts) + config.get("otp_resend_seconds") * 1000 - Date.now()) / 1000) : 0;
+  if (wait > 0) throw new VerifyError("cooldown", { seconds: wait });
+  const max = config.get("otp_max_sends_per_hour");
+  const toPhone = Object.values(store.get("otp_limits")).reduce((n, l) => n + (l.sends || []).filter(s => s.phone === phone && Date.parse(s.ts) > hourAgo).length, 0);
+  if (mine.length >= max || toPhone >= max) throw new VerifyError("too_many_sends");
+}
+
+// drop counters with no sends in the last hour and no lockout running; returns how many were removed
+function purgeLimits(now = Date.now()) {
+  let removed = 0;
+  store.update("otp_limits", (all) => {
+    for (const [chatId, l] of Object.entries(all)) {
+      const active = (l.sends || []).some(s => Date.parse(s.ts) > now - HOUR_MS) || (l.lockedUntil && Date.parse(l.lockedUntil) > now);
+      if (!active) { delete all[chatId]; removed++; }
+    }
+  });
+  return removed;
+}
+
+// --------------------- flow ---------------------
+// normalize, check the rules and send a code; returns { phone } (normalized). Throws VerifyError.
+async function send(chatId, rawPhone) {
+  const phone = normalizePhone(rawPhone);
+  if (!phone) throw new VerifyError("invalid_phone");
+  if (phoneOwner(phone, chatId)) throw new VerifyError("phone_taken");
+  checkCanSend(chatId, phone);
+  await provider().send(phone);
+  // wrong guesses carry over to the new code, so resending doesn't buy extra attempts
+  updateLimits(chatId, (l) => { l.sends.push({ phone, ts: new Date().toISOString() }); });
+  return { phone };
+}
+
+// check a code; returns { success, reason, attemptsLeft }. Throws VerifyError (invalid_code, locked, phone_taken).
+async function check(chatId, phone, rawCode) {
+  const code = String(rawCode || "").replace(/\s/g, "");
+  if (!/^\d{4,8}$/.test(code)) throw new VerifyError("invalid_code");
+  const minutes = lockedFor(chatId);
+  if (minutes) throw new VerifyError("locked", { minutes });
+  const res = await provider().check(phone, code);
+  if (res.success) {
+    // someone else may have verified the number while this code was outstanding
+    if (phoneOwner(phone, chatId)) throw new VerifyError("phone_taken");
+    updateLimits(chatId, (l) => { l.wrong = 0; l.lockedUntil = null; });
+    return { success: true, reason: "approved", attemptsLeft: config.get("otp_max_attempts") };
+  }
+  let attemptsLeft = 0;
+  updateLimits(chatId, (l) => {
+    l.wrong += 1;
+    attemptsLeft = Math.max(0, config.get("otp_max_attempts") - l.wrong);
+    if (!attemptsLeft) { l.wrong = 0; l.lockedUntil = new Date(Date.now() + config.get("otp_lockout_minutes") * 60000).toISOString(); }
+  });
+  if (!attemptsLeft) throw new VerifyError("locked", { minutes: config.get("otp_lockout_minutes") });
+  return { success: false, reason: res.reason, attemptsLeft };
+}
+
+module.exports = {
+  VerifyError, twilioProvider, twilioConfigured, provider, normalizePhone, phoneOwner,
+  isCurrent, isExpired, lockedFor, purgeLimits, send, check,
+};
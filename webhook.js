@@ -0,0 +1,69 @@
+// webhook.js
+// Telegram webhook mode (settings.mode = WEBHOOK). Telegram POSTs every update to WEBHOOK_URL + path();
+// the path is derived from the bot token so it can't be guessed, and each request must carry the
+// secret registered with setWebHook in the X-Telegram-Bot-Api-Secret-Token header.
+// WEBHOOK_SECRET overrides the derived secret (Telegram allows 1-256 of A-Z a-z 0-9 _ -).
+const crypto = require("crypto");
+const express = require("express");
+
+const HEADER = "X-Telegram-Bot-Api-Secret-Token";
+const digest = (s) => crypto.createHash("sha256").update(s).digest("hex");
+
+function path(token) { return `/telegram/webhook/${digest(`path:${token}`).slice(0, 32)}`; }
+
+function secret(token) { return process.env.WEBHOOK_SECRET || digest(`secret:${token}`).slice(0, 48); }
+
+// public URL Telegram should call, or null when WEBHOOK_URL is not set
+function url(token) {
+  const base = (process.env.WEBHOOK_URL || "").replace(/\/+$/, "");
+  return base ? base + path(token) : null;
+}
+
+function validSecret(token, given) {
+  if (typeof given !== "string") return false;
+  const a = Buffer.from(secret(token));
+  const b = Buffer.from(given);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// mount the update route; updates are acknowledged at once and handled by the bot afterwards
+function mount(app, bot, token) {
+  app.post(path(token), express.json({ limit: "1mb" }), (req, res) => {
+    if (!validSecret(token, req.get(HEADER))) return res.sendStatus(401);
+    if (!req.body || typeof req.body.update_id !== "number") return res.sendStatus(400);
+    res.sendStatus(200);
+    try {
+      bot.processUpdate(req.body);
+    } catch (e) {
+      console.error(`webhook update ${req.body.update_id} error`, e);
+    }
+  });
+}
+
+// register with Telegram; drop_pending_updates stays off so nothing sent during a restart is lost
+async function register(bot, token) {
+  const target = url(token);
+  if (!target) throw new Error("WEBHOOK_URL is not set");
+  await bot.setWebHook(target, { secret_token: secret(token) });
+  return target;
+}
+
+module.exports = { HEADER, path, secret, url, validSecret, mount, register };
+
+// node webhook.js <updates.json> [baseUrl]: replay recorded updates (one object or an array) against a
+// running bot in webhook mode, e.g. http://127.0.0.1:3000
+if (require.main === module) {
+  require("dotenv").config();
+  const fs = require("fs");
+  const axios = require("axios");
+  const [file, base = `http://127.0.0.1:${process.env.PORT || 8080}`] = process.argv.slice(2);
+  if (!file) { console.error("usage: node webhook.js <updates.json> [baseUrl]"); process.exit(2); }
+  const token = process.env.TELEGRAM_TOKEN || "";
+  const raw = JSON.parse(fs.readFileSync(file, "utf8"));
+  (async () => {
+    for (const update of Array.isArray(raw) ? raw : [raw]) {
+      const res = await axios.post(base + path(token), update, { headers: { [HEADER]: secret(token) }, validateStatus: () => true });
+      console.log(`update ${update.update_id}: HTTP ${res.status}`);
+    }
+  })().catch((e) => { console.error(e.message); process.exit(1); });
+}